@@ -0,0 +1,565 @@
+#!/usr/bin/env node
+/**
+ * Manifest CLI
+ * Command-line access to the manifest toolchain without running the server:
+ * - validate: check manifests against the schema, exit non-zero on errors
+ * - convert: render manifests to React/Vue/PHP/HTML files
+ * - bundle: combine several manifests into one
+ * - build: generate a static multi-page site from a site manifest
+ * - crawl: scrape a website into a site manifest, page manifests and shared modules
+ * - lock: record remote manifests in manifest.lock (the other commands verify against it)
+ * - pack / publish: build a versioned module package and push it to a registry
+ * - tokens: export a manifest's design tokens as CSS, SCSS, JS or a Tailwind config
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const jsyaml = require('js-yaml');
+const chalk = require('chalk');
+const { glob } = require('glob');
+const yargs = require('yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { ManifestLoader } = require('./src/manifest-loader');
+const { ManifestBundler } = require('./src/manifest-bundler');
+const { ManifestValidator, ManifestValidationError } = require('./src/manifest-validator');
+const { SiteBuilder } = require('./src/site-builder');
+const { ManifestLock } = require('./src/lockfile');
+const { ManifestPackager } = require('./src/packager');
+const { ModuleRegistry } = require('./src/registry');
+const { SCOPE_MODES } = require('./src/style-scope');
+const { DesignTokens, TOKEN_FORMATS } = require('./src/design-tokens');
+const { CssOptimizer } = require('./src/css-optimizer');
+const { SiteCrawler } = require('./src/converters/site-crawler');
+const {
+  ManifestToReactConverter,
+  ManifestToVueConverter,
+  ManifestToPHPConverter,
+  ManifestToHTMLConverter
+} = require('./src/converters/format-converters');
+
+const FORMATS = {
+  react: { create: () => new ManifestToReactConverter(), convert: (c, m, o) => c.convertToReact(m, o) },
+  vue: { create: () => new ManifestToVueConverter(), convert: (c, m, o) => c.convertToVue(m, o) },
+  php: { create: () => new ManifestToPHPConverter(), convert: (c, m, o) => c.convertToPHP(m, o) },
+  html: { create: () => new ManifestToHTMLConverter(), convert: (c, m, o) => c.convertToHTML(m, o) }
+};
+
+// File written per token format by `manifest tokens --out-dir`
+const TOKEN_FILES = {
+  css: 'tokens.css',
+  scss: '_tokens.scss',
+  js: 'tokens.js',
+  tailwind: 'tailwind.config.js',
+  json: 'tokens.json'
+};
+
+// CSS optimization flags shared by `convert` and `build`
+const OPTIMIZE_OPTIONS = {
+  optimize: { describe: 'Drop unused styles, add vendor prefixes and minify the CSS', type: 'boolean', default: false },
+  browsers: { describe: 'Browserslist query for vendor prefixes (default: project config or "defaults")', type: 'string' },
+  critical: { describe: 'Inline only the CSS of the first N sections in the head (HTML)', type: 'number' },
+  minify: { describe: 'Minify optimized CSS (--no-minify keeps it readable)', type: 'boolean', default: true }
+};
+
+/**
+ * Expand file arguments and glob patterns into a sorted list of manifest paths
+ */
+async function expandFiles(patterns) {
+  const files = new Set();
+
+  for (const pattern of patterns) {
+    const matches = await glob(pattern, { nodir: true });
+    if (matches.length === 0 && !glob.hasMagic(pattern)) {
+      // Keep plain paths so missing files are reported instead of silently skipped
+      files.add(pattern);
+    }
+    matches.filter(file => /\.ya?ml$/.test(file)).forEach(file => files.add(file));
+  }
+
+  return [...files].sort().map(file => path.resolve(file));
+}
+
+/**
+ * Loader for the manifest directory; remote manifests are verified when a lockfile exists
+ */
+async function createLoader(argv, options = {}) {
+  const lock = await ManifestLock.load(path.resolve(argv.lockfile));
+  const registry = argv.registry && !/^https?:\/\//.test(argv.registry) ? path.resolve(argv.registry) : argv.registry;
+  return new ManifestLoader({ baseDir: path.resolve(argv.manifestDir), lock, registry, ...options });
+}
+
+function relative(file) {
+  return path.relative(process.cwd(), file) || file;
+}
+
+async function validateCommand(argv) {
+  const files = await expandFiles(argv.files);
+  const validator = new ManifestValidator();
+  // Schema errors are reported with positions below, so the loader only checks resolution
+  const loader = await createLoader(argv, { validate: false });
+  const report = [];
+
+  for (const file of files) {
+    let errors;
+    try {
+      const source = await fs.readFile(file, 'utf8');
+      ({ errors } = validator.validateSource(source));
+
+      if (errors.length === 0) {
+        await loader.loadManifest(file);
+      }
+    } catch (error) {
+      // Module props are checked during expansion and carry their own positions
+      errors = error instanceof ManifestValidationError
+        ? error.errors
+        : [{ path: '', keyword: 'resolve', message: error.message }];
+    }
+
+    report.push({ file: relative(file), valid: errors.length === 0, errors });
+  }
+
+  const failures = report.filter(entry => !entry.valid).length;
+
+  if (argv.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    for (const entry of report) {
+      if (entry.valid) {
+        if (!argv.quiet) console.log(`${chalk.green('✓')} ${entry.file}`);
+        continue;
+      }
+
+      console.error(`${chalk.red('✗')} ${entry.file}`);
+      entry.errors.forEach(error => {
+        const location = error.line ? `${entry.file}:${error.line}:${error.column}` : entry.file;
+        const pointer = error.path ? `${chalk.cyan(error.path)} ` : '';
+        console.error(`  ${chalk.gray(location)} ${pointer}${error.message}`);
+      });
+    }
+
+    if (!argv.quiet) {
+      console.log(`\n${files.length} manifest(s) checked, ${failures} with errors`);
+    }
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+/**
+ * CssOptimizer for the OPTIMIZE_OPTIONS flags, null without --optimize
+ */
+function createOptimizer(argv) {
+  if (!argv.optimize) return null;
+  return new CssOptimizer({ browsers: argv.browsers, critical: argv.critical, minify: argv.minify });
+}
+
+async function convertCommand(argv) {
+  const files = await expandFiles(argv.files);
+  const formats = argv.format;
+  const loader = await createLoader(argv);
+  const optimize = createOptimizer(argv);
+  // Output path → manifest it was written for
+  const written = new Map();
+  let failures = 0;
+
+  await fs.mkdir(argv.outDir, { recursive: true });
+
+  for (const file of files) {
+    const basename = path.basename(file).replace(/\.ya?ml$/, '');
+
+    let manifest;
+    try {
+      manifest = await loader.loadManifest(file);
+    } catch (error) {
+      failures++;
+      console.error(`${chalk.red('✗')} ${relative(file)}: ${error.message}`);
+      continue;
+    }
+
+    if (!manifest.structure) {
+      // Site manifests (routes/pages only) have nothing to render
+      console.log(`${chalk.gray('-')} ${relative(file)}: no structure, skipped`);
+      continue;
+    }
+
+    for (const format of formats) {
+      try {
+        const { create, convert } = FORMATS[format];
+        const result = convert(create(), manifest, { styleScope: argv.styleScope, optimize, tailwind: argv.tailwind, sanitize: argv.sanitize, csp: argv.csp });
+        // Converters name files after the page (index.html) or component (Component.jsx), which
+        // several manifests share, so every output is named after its manifest
+        const outputPath = path.join(argv.outDir, `${basename}${path.extname(result.filename)}`);
+        if (written.has(outputPath)) {
+          throw new Error(`${relative(outputPath)} was already written for ${relative(written.get(outputPath))}`);
+        }
+        written.set(outputPath, file);
+
+        await fs.writeFile(outputPath, result.content, 'utf8');
+        console.log(`${chalk.green('✓')} ${relative(file)} → ${relative(outputPath)}`);
+
+        if (argv.styleMap && result.styleMap) {
+          // Same for every format, so one file per manifest
+          const mapPath = path.join(argv.outDir, `${basename}.styles.json`);
+          await fs.writeFile(mapPath, `${JSON.stringify(result.styleMap, null, 2)}\n`, 'utf8');
+        }
+      } catch (error) {
+        failures++;
+        console.error(`${chalk.red('✗')} ${relative(file)} (${format}): ${error.message}`);
+      }
+    }
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+async function bundleCommand(argv) {
+  const files = await expandFiles(argv.files);
+  const bundler = new ManifestBundler({ loader: await createLoader(argv), manifestDir: argv.manifestDir });
+
+  try {
+    const bundled = await bundler.bundle(files.map(relative), { name: argv.name });
+    const yamlContent = jsyaml.dump(bundled, { indent: 2 });
+
+    if (argv.outDir) {
+      await fs.mkdir(argv.outDir, { recursive: true });
+      const outputPath = path.join(argv.outDir, `${argv.name}.yaml`);
+      await fs.writeFile(outputPath, yamlContent, 'utf8');
+      console.log(`${chalk.green('✓')} Bundled ${files.length} manifest(s) → ${relative(outputPath)}`);
+    } else {
+      process.stdout.write(yamlContent);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`${chalk.red('✗')} Bundle failed: ${error.message}`);
+    return 1;
+  }
+}
+
+async function buildCommand(argv) {
+  const site = argv.site || path.join(argv.manifestDir, 'site.yaml');
+  const builder = new SiteBuilder({
+    loader: await createLoader(argv),
+    cleanUrls: argv.cleanUrls,
+    styleScope: argv.styleScope,
+    optimize: createOptimizer(argv),
+    csp: argv.csp
+  });
+
+  try {
+    const result = await builder.build(site, argv.outDir);
+
+    result.pages.forEach(page => {
+      console.log(`${chalk.green('✓')} ${page.route} → ${relative(path.join(argv.outDir, page.output))}`);
+    });
+    console.log(`\nBuilt ${result.pages.length} page(s), ${result.assets.length} asset(s) into ${relative(path.resolve(argv.outDir))}`);
+    return 0;
+  } catch (error) {
+    console.error(`${chalk.red('✗')} Build failed: ${error.message}`);
+    return 1;
+  }
+}
+
+async function crawlCommand(argv) {
+  const crawler = new SiteCrawler({
+    depth: argv.depth,
+    maxPages: argv.maxPages,
+    minPages: argv.minPages,
+    fetch: { interval: argv.delay, robots: argv.robots, cacheDir: argv.cacheDir, timeout: argv.timeout },
+    render: argv.render && { waitFor: argv.waitFor }
+  });
+
+  try {
+    const project = await crawler.crawl(argv.url);
+    await crawler.write(project, argv.outDir);
+
+    project.pages.forEach(page => {
+      console.log(`${chalk.green('✓')} ${page.url} → ${relative(path.join(argv.outDir, page.file))}`);
+    });
+    project.modules.forEach(module => {
+      console.log(`${chalk.cyan('◆')} ${module.alias} (${module.pages.length} pages) → ${relative(path.join(argv.outDir, module.file))}`);
+    });
+    project.errors.forEach(error => {
+      console.error(`${chalk.red('✗')} ${error.url}: ${error.error}`);
+    });
+    console.log(`\nCrawled ${project.pages.length} page(s) with ${project.modules.length} shared module(s) into ${relative(path.resolve(argv.outDir))}`);
+    return project.pages.length > 0 ? 0 : 1;
+  } catch (error) {
+    console.error(`${chalk.red('✗')} Crawl failed: ${error.message}`);
+    return 1;
+  }
+}
+
+async function lockCommand(argv) {
+  const patterns = argv.files && argv.files.length > 0 ? argv.files : [path.join(argv.manifestDir, '**/*.yaml')];
+  const files = await expandFiles(patterns);
+  const lockfile = path.resolve(argv.lockfile);
+  const previous = await ManifestLock.load(lockfile).catch(() => null);
+
+  // Start from an empty lock so entries nothing uses any more are dropped
+  const lock = new ManifestLock();
+  const loader = await createLoader(argv, { lock, lockMode: 'update', validate: false });
+  let failures = 0;
+
+  for (const file of files) {
+    try {
+      const manifest = await loader.loadManifest(file);
+      // Templates are only followed by expandManifest, so load the extends chain here
+      let current = file;
+      let template = manifest.metadata?.extends;
+      while (typeof template === 'string') {
+        current = loader.resolveModuleUrl(template, current);
+        template = (await loader.loadManifest(current)).metadata?.extends;
+      }
+    } catch (error) {
+      failures++;
+      console.error(`${chalk.red('✗')} ${relative(file)}: ${error.message}`);
+    }
+  }
+
+  if (failures > 0) {
+    console.error(`\n${relative(lockfile)} not written: ${failures} manifest(s) failed to resolve`);
+    return 1;
+  }
+
+  await lock.save(lockfile);
+
+  const before = previous ? previous.toJSON().modules : {};
+  const after = lock.toJSON().modules;
+  for (const url of Object.keys({ ...before, ...after }).sort()) {
+    if (!before[url]) {
+      console.log(`${chalk.green('+')} ${url} ${after[url].version || ''}`);
+    } else if (!after[url]) {
+      console.log(`${chalk.red('-')} ${url}`);
+    } else if (before[url].integrity !== after[url].integrity || before[url].version !== after[url].version) {
+      console.log(`${chalk.yellow('~')} ${url} ${before[url].version || ''} → ${after[url].version || ''}`);
+    }
+  }
+  console.log(`${relative(lockfile)}: ${Object.keys(after).length} module(s) locked`);
+  return 0;
+}
+
+async function packCommand(argv) {
+  const packager = new ManifestPackager({ loader: await createLoader(argv) });
+
+  try {
+    const pkg = await packager.pack(argv.file, argv.outDir, { name: argv.name });
+    Object.keys(pkg.files).forEach(file => console.log(`  ${file}`));
+    Object.entries(pkg.dependencies).forEach(([url, range]) => console.log(`  ${chalk.gray(`depends on ${url} ${range}`)}`));
+    console.log(`${chalk.green('✓')} ${pkg.name}@${pkg.version} → ${relative(pkg.file)} (${pkg.integrity})`);
+    return 0;
+  } catch (error) {
+    console.error(`${chalk.red('✗')} Pack failed: ${error.message}`);
+    return 1;
+  }
+}
+
+async function publishCommand(argv) {
+  if (!argv.registry) {
+    console.error(`${chalk.red('✗')} No registry to publish to: pass --registry or set MANIFEST_REGISTRY`);
+    return 1;
+  }
+
+  const registry = new ModuleRegistry({ root: /^https?:\/\//.test(argv.registry) ? argv.registry : path.resolve(argv.registry) });
+  let tarball = argv.file;
+  let staging = null;
+
+  try {
+    // A manifest is packed on the fly
+    if (/\.ya?ml$/i.test(tarball)) {
+      staging = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-'));
+      const packager = new ManifestPackager({ loader: await createLoader(argv) });
+      tarball = (await packager.pack(tarball, staging, { name: argv.name })).file;
+    }
+
+    const pkg = await registry.publish(tarball, { force: argv.force });
+    console.log(`${chalk.green('✓')} Published ${pkg.name}@${pkg.version} to ${registry.root}`);
+    console.log(`  url: "registry:${pkg.name}@^${pkg.version}"`);
+    return 0;
+  } catch (error) {
+    console.error(`${chalk.red('✗')} Publish failed: ${error.message}`);
+    return 1;
+  } finally {
+    if (staging) await fs.rm(staging, { recursive: true, force: true });
+  }
+}
+
+async function tokensCommand(argv) {
+  try {
+    // expandManifest follows metadata.extends, so template tokens are included
+    const file = path.resolve(argv.file);
+    const raw = jsyaml.load(await fs.readFile(file, 'utf8'));
+    const manifest = await (await createLoader(argv)).expandManifest(raw, path.dirname(file));
+    const tokens = DesignTokens.forManifest(manifest);
+    if (tokens.empty) {
+      console.error(`${chalk.red('✗')} ${relative(argv.file)} defines no design tokens`);
+      return 1;
+    }
+
+    if (!argv.outDir) {
+      argv.format.forEach(format => process.stdout.write(tokens.format(format)));
+      return 0;
+    }
+
+    await fs.mkdir(argv.outDir, { recursive: true });
+    for (const format of argv.format) {
+      const outputPath = path.join(argv.outDir, TOKEN_FILES[format]);
+      await fs.writeFile(outputPath, tokens.format(format), 'utf8');
+      console.log(`${chalk.green('✓')} ${format} → ${relative(outputPath)}`);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`${chalk.red('✗')} ${relative(argv.file)}: ${error.message}`);
+    return 1;
+  }
+}
+
+/**
+ * Wrap a command so its return value becomes the process exit code
+ */
+function run(command) {
+  return async (argv) => {
+    process.exitCode = await command(argv);
+  };
+}
+
+function main(args) {
+  return yargs(args)
+    .scriptName('manifest')
+    .usage('$0 <command> [options]')
+    .option('manifest-dir', {
+      describe: 'Base directory for resolving module paths',
+      type: 'string',
+      default: process.env.MANIFEST_DIR || '.'
+    })
+    .option('lockfile', {
+      describe: 'Lockfile pinning remote manifests (verified when present)',
+      type: 'string',
+      default: 'manifest.lock'
+    })
+    .option('registry', {
+      describe: 'Directory or http(s) URL that registry: modules resolve from',
+      type: 'string',
+      default: process.env.MANIFEST_REGISTRY
+    })
+    .command(
+      'validate <files..>',
+      'Check manifests against the schema and resolve their modules',
+      y => y
+        .positional('files', { describe: 'Manifest files or glob patterns', type: 'string' })
+        .option('quiet', { alias: 'q', describe: 'Only print errors', type: 'boolean', default: false })
+        .option('json', { describe: 'Print a machine-readable report', type: 'boolean', default: false }),
+      run(validateCommand)
+    )
+    .command(
+      'convert <files..>',
+      'Convert manifests to one or more output formats',
+      y => y
+        .positional('files', { describe: 'Manifest files or glob patterns', type: 'string' })
+        .option('format', {
+          alias: 'f',
+          describe: 'Output formats',
+          type: 'array',
+          choices: Object.keys(FORMATS),
+          default: ['html']
+        })
+        .option('out-dir', {
+          alias: 'o',
+          describe: 'Directory to write converted files to',
+          type: 'string',
+          default: process.env.OUTPUT_DIR || './output'
+        })
+        .option('style-scope', { describe: 'Scope module styles (overrides manifest.style_scope)', choices: SCOPE_MODES })
+        .option('style-map', { describe: 'Write <name>.styles.json mapping style keys to scoped selectors', type: 'boolean', default: false })
+        .option('tailwind', { describe: 'Render styles as Tailwind utility classes (react, vue, html)', type: 'boolean', default: false })
+        .option('sanitize', { describe: 'Filter HTML output through the sanitizer allowlist, for untrusted manifests', type: 'boolean', default: false })
+        .option('csp', { describe: 'Add a Content-Security-Policy <meta> tag matching each HTML page', type: 'boolean', default: false })
+        .options(OPTIMIZE_OPTIONS),
+      run(convertCommand)
+    )
+    .command(
+      'bundle <files..>',
+      'Bundle several manifests into a single manifest',
+      y => y
+        .positional('files', { describe: 'Manifest files or glob patterns', type: 'string' })
+        .option('name', { alias: 'n', describe: 'Name of the bundled manifest', type: 'string', default: 'bundled-manifest' })
+        .option('out-dir', { alias: 'o', describe: 'Write <name>.yaml here instead of stdout', type: 'string' }),
+      run(bundleCommand)
+    )
+    .command(
+      'build [site]',
+      'Build a static site from a manifest with routes/pages',
+      y => y
+        .positional('site', { describe: 'Site manifest (default: <manifest-dir>/site.yaml)', type: 'string' })
+        .option('out-dir', { alias: 'o', describe: 'Directory to write the site to', type: 'string', default: './dist' })
+        .option('clean-urls', { describe: 'Write /about as about/index.html', type: 'boolean', default: true })
+        .option('style-scope', { describe: 'Scope module styles (overrides manifest.style_scope)', choices: SCOPE_MODES })
+        .option('csp', { describe: 'Add a Content-Security-Policy <meta> tag matching each page', type: 'boolean', default: false })
+        .options(OPTIMIZE_OPTIONS),
+      run(buildCommand)
+    )
+    .command(
+      'crawl <url>',
+      'Crawl a website into a site manifest, page manifests and shared module manifests',
+      y => y
+        .positional('url', { describe: 'Start page; same-origin links are followed', type: 'string' })
+        .option('out-dir', { alias: 'o', describe: 'Directory to write the project to', type: 'string', default: './crawled' })
+        .option('depth', { describe: 'Links to follow from the start page', type: 'number', default: 2 })
+        .option('max-pages', { describe: 'Stop after this many pages', type: 'number', default: 50 })
+        .option('min-pages', { describe: 'Pages that must share a subtree before it becomes a module', type: 'number', default: 2 })
+        .option('delay', { describe: 'Minimum milliseconds between requests to the site (robots.txt Crawl-delay may raise it)', type: 'number', default: 500 })
+        .option('robots', { describe: 'Skip pages robots.txt disallows (--no-robots ignores it)', type: 'boolean', default: true })
+        .option('cache-dir', { describe: 'Cache responses here and reuse them for an hour', type: 'string' })
+        .option('timeout', { describe: 'Milliseconds before a request is abandoned', type: 'number', default: 15000 })
+        .option('render', { describe: 'Render pages in headless Chromium first, for sites built with JavaScript (needs Playwright)', type: 'boolean', default: false })
+        .option('wait-for', { describe: 'With --render: CSS selector to wait for before scraping a page', type: 'string' }),
+      run(crawlCommand)
+    )
+    .command(
+      'lock [files..]',
+      'Resolve remote manifests and write their versions and hashes to the lockfile',
+      y => y.positional('files', { describe: 'Manifest files or glob patterns (default: <manifest-dir>/**/*.yaml)', type: 'string' }),
+      run(lockCommand)
+    )
+    .command(
+      'pack <file>',
+      'Package a module manifest with its local modules and assets as <name>-<version>.tgz',
+      y => y
+        .positional('file', { describe: 'Module manifest (its manifest.version is the package version)', type: 'string' })
+        .option('name', { alias: 'n', describe: 'Package name (default: manifest.name)', type: 'string' })
+        .option('out-dir', { alias: 'o', describe: 'Directory to write the tarball to', type: 'string', default: '.' }),
+      run(packCommand)
+    )
+    .command(
+      'publish <file>',
+      'Publish a package tarball (or pack and publish a manifest) to --registry',
+      y => y
+        .positional('file', { describe: 'Tarball from `manifest pack`, or a module manifest', type: 'string' })
+        .option('name', { alias: 'n', describe: 'Package name when packing a manifest', type: 'string' })
+        .option('force', { describe: 'Replace a version that is already published', type: 'boolean', default: false }),
+      run(publishCommand)
+    )
+    .command(
+      'tokens <file>',
+      'Export the design tokens and themes of a manifest',
+      y => y
+        .positional('file', { describe: 'Manifest (tokens of its template and modules are included)', type: 'string' })
+        .option('format', { alias: 'f', describe: 'Export formats', type: 'array', choices: TOKEN_FORMATS, default: ['css'] })
+        .option('out-dir', { alias: 'o', describe: 'Write tokens.css, _tokens.scss, tokens.js, tailwind.config.js, tokens.json here instead of stdout', type: 'string' }),
+      run(tokensCommand)
+    )
+    .demandCommand(1, 'Please specify a command')
+    .strict()
+    .help()
+    .parseAsync();
+}
+
+if (require.main === module) {
+  main(hideBin(process.argv)).catch(error => {
+    console.error(chalk.red(error.message));
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main, expandFiles };
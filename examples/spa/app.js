@@ -0,0 +1,35 @@
+// Fixture for the scraper's render mode: content comes from data.json and styles are inserted
+// with CSSOM, so neither appears in the HTML the server sends.
+(function () {
+  const sheet = document.head.appendChild(document.createElement('style')).sheet;
+  [
+    'body { margin: 0; font-family: system-ui, sans-serif; color: #1f2933; }',
+    '.app-header { padding: 24px; background-color: #3b82f6; color: #ffffff; }',
+    '.product-list { display: grid; grid-template-columns: repeat(3, 1fr); gap: 16px; padding: 24px; }',
+    '.product-card { padding: 16px; border: 1px solid #e5e7eb; border-radius: 8px; }',
+    '.product-price { font-weight: 700; color: #047857; }'
+  ].forEach(rule => sheet.insertRule(rule, sheet.cssRules.length));
+
+  function element(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  fetch('data.json')
+    .then(response => response.json())
+    .then(data => {
+      const root = document.getElementById('root');
+      const header = root.appendChild(element('header', 'app-header'));
+      header.appendChild(element('h1', null, data.title));
+
+      const list = root.appendChild(element('main', 'product-list'));
+      data.products.forEach(product => {
+        const card = list.appendChild(element('article', 'product-card'));
+        card.appendChild(element('h2', null, product.name));
+        card.appendChild(element('p', null, product.description));
+        card.appendChild(element('span', 'product-price', product.price));
+      });
+    });
+})();
@@ -5,11 +5,13 @@
  * - React to manifest conversion  
  * - Manifest to multiple formats (React/Vue/PHP/HTML)
  * - Module resolution and bundling
+ * - Module registry for packages published with `manifest publish`
  */
 
 // Load environment configuration
 require('dotenv').config();
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
@@ -18,6 +20,11 @@ const jsyaml = require('js-yaml');
 
 // Import our converters
 const { ManifestLoader } = require('./src/manifest-loader');
+const { ManifestBundler } = require('./src/manifest-bundler');
+const { ManifestValidator, formatValidationError } = require('./src/manifest-validator');
+const { ManifestWatcher } = require('./src/manifest-watcher');
+const { ModuleRegistry } = require('./src/registry');
+const { ContentSecurityPolicy } = require('./src/content-security-policy');
 const ReactToManifestConverter = require('./src/converters/react-converter');
 const { WebpageToManifestConverter } = require('./src/converters/url-scraper');
 const {
@@ -27,6 +34,62 @@ const {
   ManifestToHTMLConverter
 } = require('./src/converters/format-converters');
 
+// Upper bound for the render timeout a request may ask for
+const MAX_RENDER_TIMEOUT = 60000;
+// Scraper and crawler options a request may set, with their type and upper bound
+const REQUEST_SCRAPER_OPTIONS = {
+  extractStyles: { type: 'boolean' },
+  extractScripts: { type: 'boolean' },
+  preserveClasses: { type: 'boolean' },
+  generateModules: { type: 'boolean' },
+  maxDepth: { type: 'number', max: 50 },
+  concurrency: { type: 'number', max: 5 },
+  delay: { type: 'number', max: 10000 },
+  depth: { type: 'number', max: 10 },
+  maxPages: { type: 'number', max: 200 },
+  minPages: { type: 'number', max: 200 },
+  minElements: { type: 'number', max: 1000 }
+};
+// Upper bound for the fetch timeout a request may ask for
+const MAX_FETCH_TIMEOUT = 60000;
+
+/**
+ * Render mode as a request may set it: true, or an object with waitFor, waitUntil and timeout.
+ * Everything else stays server-side: launch options can start any executable, and the
+ * user agent and viewport are the server's to choose
+ */
+function requestRenderOptions(render) {
+  if (!render) return false;
+  if (typeof render !== 'object') return true;
+
+  const options = {};
+  if (typeof render.waitFor === 'string') options.waitFor = render.waitFor;
+  if (typeof render.waitUntil === 'string') options.waitUntil = render.waitUntil;
+  if (Number.isFinite(render.timeout) && render.timeout > 0) options.timeout = Math.min(render.timeout, MAX_RENDER_TIMEOUT);
+  return options;
+}
+
+/**
+ * Options for sitemap analysis and crawling built from a request's: only the keys in
+ * REQUEST_SCRAPER_OPTIONS, a fetch timeout and render mode (see requestRenderOptions).
+ * The fetcher's cacheDir, robots and interval stay server-side, so a request can neither
+ * write to the server's disk nor ignore robots.txt and rate limits
+ */
+function requestScraperOptions(options = {}) {
+  const result = {};
+  for (const [key, { type, max }] of Object.entries(REQUEST_SCRAPER_OPTIONS)) {
+    const value = options[key];
+    if (type === 'boolean' && typeof value === 'boolean') result[key] = value;
+    if (type === 'number' && Number.isFinite(value) && value >= 0) result[key] = Math.min(value, max);
+  }
+
+  const timeout = options.fetch && options.fetch.timeout;
+  if (Number.isFinite(timeout) && timeout > 0) result.fetch = { timeout: Math.min(timeout, MAX_FETCH_TIMEOUT) };
+  const render = requestRenderOptions(options.render);
+  if (render) result.render = render;
+  return result;
+}
+
 class ManifestServer {
   constructor(options = {}) {
     this.app = express();
@@ -35,15 +98,28 @@ class ManifestServer {
     this.outputDir = options.outputDir || process.env.OUTPUT_DIR || './output';
     this.examplesDir = process.env.EXAMPLES_DIR || './examples';
     this.scriptsDir = process.env.SCRIPTS_DIR || './scripts';
+    this.registryDir = options.registryDir || process.env.REGISTRY_DIR || './registry';
+    // Publishing is only possible with a token; without one the registry is read-only
+    this.registryToken = options.registryToken || process.env.REGISTRY_TOKEN || null;
+    this.watch = options.watch ?? process.env.NODE_ENV !== 'production';
+    // Sanitize the HTML of every manifest, not only of posted and scraped ones
+    this.sanitize = options.sanitize ?? process.env.SANITIZE_HTML === 'true';
+    // Previews are served with a Content-Security-Policy header unless CSP=false
+    this.csp = options.csp ?? process.env.CSP !== 'false';
+    this.eventClients = new Set();
     
     // Initialize converters
-    this.manifestLoader = new ManifestLoader({ baseUrl: `http://localhost:${this.port}` });
+    // Manifests are read from disk so cache entries line up with the file watcher
+    this.manifestLoader = new ManifestLoader({ baseDir: process.cwd() });
     this.reactConverter = new ReactToManifestConverter();
     this.urlConverter = new WebpageToManifestConverter();
     this.toReactConverter = new ManifestToReactConverter();
     this.toVueConverter = new ManifestToVueConverter();
     this.toPHPConverter = new ManifestToPHPConverter();
     this.toHTMLConverter = new ManifestToHTMLConverter();
+    this.bundler = new ManifestBundler({ loader: this.manifestLoader, manifestDir: this.manifestDir });
+    this.validator = new ManifestValidator();
+    this.registry = new ModuleRegistry({ root: path.resolve(this.registryDir) });
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -57,12 +133,15 @@ class ManifestServer {
     
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+    this.app.use(express.text({ type: ['text/yaml', 'application/x-yaml'], limit: '10mb' }));
     
     // Serve static files
     this.app.use('/manifests', express.static(this.manifestDir));
     this.app.use('/output', express.static(this.outputDir));
     this.app.use('/examples', express.static(this.examplesDir));
     this.app.use('/scripts', express.static(this.scriptsDir));
+    // Loaders use http://<host>/registry as an HTTP registry
+    this.app.use('/registry', express.static(this.registryDir));
     this.app.use('/', express.static('.'));
 
     // Error handling middleware
@@ -95,15 +174,20 @@ class ManifestServer {
     // Bulk operations
     this.app.post('/api/convert/bulk', this.bulkConvert.bind(this));
     this.app.post('/api/analyze/sitemap', this.analyzeSitemap.bind(this));
+    this.app.post('/api/analyze/crawl', this.crawlSite.bind(this));
 
     // Module operations
     this.app.get('/api/manifest/:name/resolved', this.getResolvedManifest.bind(this));
     this.app.get('/api/manifest/:name/dependencies', this.getManifestDependencies.bind(this));
     this.app.post('/api/bundle', this.bundleManifests.bind(this));
 
+    // Registry publishing: PUT /registry/<name>/<version> (name may be @scope/name)
+    this.app.put(/^\/registry\/(.+)\/([^/]+)$/, express.raw({ type: () => true, limit: '50mb' }), this.publishPackage.bind(this));
+
     // Development routes
     this.app.get('/api/preview/:name', this.previewManifest.bind(this));
     this.app.get('/dev/:name', this.devMode.bind(this));
+    this.app.get('/api/events', this.streamEvents.bind(this));
     
     // Serve the main UI
     this.app.get('/', this.serveMainUI.bind(this));
@@ -202,12 +286,12 @@ class ManifestServer {
         return res.status(400).json({ error: 'URL is required' });
       }
 
-      const manifest = await this.urlConverter.convertFromUrl(url);
+      const manifest = await this.scrapeUrl(url, options);
       
       // Optionally save the manifest
       if (options.save) {
         const name = options.name || this.urlToName(url);
-        await this.saveManifest(name, manifest);
+        await this.saveScrapedManifest(name, manifest);
       }
       
       res.json({ manifest, success: true });
@@ -216,6 +300,22 @@ class ManifestServer {
     }
   }
 
+  /**
+   * Scrape a URL; options.render (see requestRenderOptions) renders it in a browser of its
+   * own, closed afterwards, so scraping without it keeps the shared converter
+   */
+  async scrapeUrl(url, options = {}) {
+    const render = requestRenderOptions(options.render);
+    if (!render) return this.urlConverter.convertFromUrl(url);
+
+    const converter = new WebpageToManifestConverter({ render });
+    try {
+      return await converter.convertFromUrl(url);
+    } finally {
+      await converter.close();
+    }
+  }
+
   /**
    * Convert React component to manifest
    */
@@ -349,7 +449,11 @@ class ManifestServer {
         return res.status(400).json({ error: 'Either manifestName or manifest is required' });
       }
 
-      const result = this.toHTMLConverter.convertToHTML(manifest);
+      // Posted manifests are untrusted input
+      const result = this.toHTMLConverter.convertToHTML(manifest, {
+        ...this.htmlOptions(manifest, Boolean(directManifest)),
+        csp: options.csp
+      });
       
       if (options.save) {
         await this.saveOutput(result.filename, result.content);
@@ -363,58 +467,44 @@ class ManifestServer {
 
   /**
    * Validate manifest structure and content
+   * Accepts a JSON manifest or raw YAML (text/yaml) - YAML adds line/column to each error
    */
   async validateManifest(req, res) {
     try {
-      const manifest = req.body;
+      const body = req.body;
       
-      if (!manifest) {
+      if (!body || (typeof body === 'string' ? !body.trim() : Object.keys(body).length === 0)) {
         return res.status(400).json({ 
           valid: false, 
           errors: ['No manifest data provided'] 
         });
       }
 
-      const errors = [];
+      const { manifest, errors: details } = typeof body === 'string'
+        ? this.validator.validateSource(body)
+        : { manifest: body, ...this.validator.validate(body) };
       const warnings = [];
 
-      // Check required sections
-      if (!manifest.metadata) {
-        errors.push('Missing required section: metadata');
-      }
-      
-      if (!manifest.structure) {
-        errors.push('Missing required section: structure');
-      }
-
       // Validate metadata
-      if (manifest.metadata) {
-        if (!manifest.metadata.title) {
-          warnings.push('Metadata should include a title');
-        }
-      }
-
-      // Validate styles if present
-      if (manifest.styles) {
-        Object.keys(manifest.styles).forEach(styleKey => {
-          if (typeof manifest.styles[styleKey] !== 'string') {
-            errors.push(`Style '${styleKey}' should be a string`);
-          }
-        });
+      if (manifest && manifest.metadata && !manifest.metadata.title) {
+        warnings.push('Metadata should include a title');
       }
 
       // Try to expand manifest to check for resolution issues
-      try {
-        await this.manifestLoader.expandManifest(manifest);
-      } catch (expandError) {
-        errors.push(`Manifest expansion failed: ${expandError.message}`);
+      if (details.length === 0) {
+        try {
+          await this.manifestLoader.expandManifest(manifest);
+        } catch (expandError) {
+          details.push({ path: '', keyword: 'resolve', message: `Manifest expansion failed: ${expandError.message}` });
+        }
       }
 
-      const isValid = errors.length === 0;
+      const isValid = details.length === 0;
       
       res.json({
         valid: isValid,
-        errors,
+        errors: details.map(formatValidationError),
+        details,
         warnings,
         success: true
       });
@@ -469,9 +559,14 @@ class ManifestServer {
       }
 
       const { BulkWebpageAnalyzer } = require('./src/converters/url-scraper');
-      const analyzer = new BulkWebpageAnalyzer(options);
+      const analyzer = new BulkWebpageAnalyzer(requestScraperOptions(options));
       
-      const results = await analyzer.analyzeSitemap(sitemapUrl);
+      let results;
+      try {
+        results = await analyzer.analyzeSitemap(sitemapUrl);
+      } finally {
+        await analyzer.close();
+      }
       
       res.json({ results, success: true });
     } catch (error) {
@@ -479,6 +574,26 @@ class ManifestServer {
     }
   }
 
+  /**
+   * Crawl a site into page manifests, shared modules and a site manifest with routes
+   */
+  async crawlSite(req, res) {
+    try {
+      const { url, options = {} } = req.body;
+
+      if (!url) {
+        return res.status(400).json({ error: 'URL is required' });
+      }
+
+      const { SiteCrawler } = require('./src/converters/site-crawler');
+      const project = await new SiteCrawler(requestScraperOptions(options)).crawl(url);
+
+      res.json({ ...project, success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+
   /**
    * Get resolved manifest with all modules loaded
    */
@@ -536,6 +651,42 @@ class ManifestServer {
     }
   }
 
+  /**
+   * Store a package tarball uploaded by `manifest publish`
+   * Requires `Authorization: Bearer $REGISTRY_TOKEN`; without REGISTRY_TOKEN publishing is disabled
+   */
+  async publishPackage(req, res) {
+    const [name, version] = [req.params[0], req.params[1]];
+
+    if (!this.registryToken) {
+      return res.status(403).json({ error: 'Publishing is disabled: the server has no REGISTRY_TOKEN' });
+    }
+    const expected = crypto.createHash('sha256').update(`Bearer ${this.registryToken}`).digest();
+    const given = crypto.createHash('sha256').update(req.get('authorization') || '').digest();
+    if (!crypto.timingSafeEqual(expected, given)) {
+      return res.status(401).json({ error: 'Invalid or missing registry token' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Request body must be a package tarball' });
+    }
+
+    try {
+      const metadata = await this.registry.publish(req.body, { force: req.query.force === '1', expect: { name, version } });
+      res.status(201).json({ name: metadata.name, version: metadata.version });
+    } catch (error) {
+      const status = error.name !== 'RegistryError' ? 500 : error.code === 'EPUBLISHED' ? 409 : 400;
+      res.status(status).json({ error: error.message });
+    }
+  }
+
+  /**
+   * HTML converter options for a manifest: manifests that were posted or scraped from a URL
+   * (manifest.source) are sanitized, as is everything when the server runs with SANITIZE_HTML=true
+   */
+  htmlOptions(manifest, posted = false) {
+    return { sanitize: this.sanitize || posted || Boolean(manifest.manifest?.source) };
+  }
+
   /**
    * Preview manifest as HTML
    */
@@ -543,10 +694,18 @@ class ManifestServer {
     try {
       const { name } = req.params;
       const manifest = await this.loadManifest(name, true);
+      if (!manifest.structure) {
+        return res.status(422).json({
+          error: `Manifest '${name}' has no structure to preview; site manifests (routes/pages) are built with \`manifest build\``
+        });
+      }
       
-      const htmlResult = this.toHTMLConverter.convertToHTML(manifest);
+      // A fresh nonce per response for the inline blocks
+      const csp = this.csp ? { nonce: ContentSecurityPolicy.nonce(), meta: false } : false;
+      const htmlResult = this.toHTMLConverter.convertToHTML(manifest, { ...this.htmlOptions(manifest), csp });
       
       res.setHeader('Content-Type', 'text/html');
+      if (htmlResult.csp) res.setHeader('Content-Security-Policy', htmlResult.csp);
       res.send(htmlResult.content);
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -555,35 +714,93 @@ class ManifestServer {
 
   /**
    * Development mode with live reload
+   * Listens on /api/events and patches only the styles and DOM nodes that changed,
+   * so scroll position and untouched elements survive a reload
    */
   async devMode(req, res) {
     try {
       const { name } = req.params;
+      // The name comes from the URL, so it is escaped for the page and the inline script
+      const title = name.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
       
       const devHTML = `
 <!DOCTYPE html>
 <html>
 <head>
-  <title>Dev Mode: ${name}</title>
+  <title>Dev Mode: ${title}</title>
   <style>
     body { font-family: Arial, sans-serif; margin: 20px; }
     .dev-toolbar { background: #f0f0f0; padding: 10px; margin-bottom: 20px; }
+    .dev-status { margin-left: 10px; color: #666; }
+    .dev-status.error { color: #c00; }
     #preview { border: 1px solid #ccc; min-height: 400px; }
   </style>
+  <style id="preview-styles"></style>
 </head>
 <body>
   <div class="dev-toolbar">
-    <h2>Development Mode: ${name}</h2>
+    <h2>Development Mode: ${title}</h2>
     <button onclick="reload()">Reload</button>
     <button onclick="exportCode()">Export Code</button>
+    <span id="status" class="dev-status">connecting…</span>
   </div>
   <div id="preview"></div>
   
   <script>
+    const manifestName = ${JSON.stringify(name).replace(/</g, '\\u003c')};
+    const status = document.getElementById('status');
+
+    function setStatus(text, isError) {
+      status.textContent = text;
+      status.className = 'dev-status' + (isError ? ' error' : '');
+    }
+
+    // Patch "from" in place until it matches "to"; unchanged nodes are left alone
+    function morph(from, to) {
+      if (from.nodeType !== to.nodeType || from.nodeName !== to.nodeName) {
+        from.replaceWith(to.cloneNode(true));
+        return;
+      }
+      if (from.nodeType !== Node.ELEMENT_NODE) {
+        if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue;
+        return;
+      }
+
+      for (const { name } of [...from.attributes]) {
+        if (!to.hasAttribute(name)) from.removeAttribute(name);
+      }
+      for (const { name, value } of [...to.attributes]) {
+        if (from.getAttribute(name) !== value) from.setAttribute(name, value);
+      }
+
+      morphChildren(from, to);
+    }
+
+    function morphChildren(from, to) {
+      const current = [...from.childNodes];
+      const next = [...to.childNodes];
+      next.forEach((child, index) => {
+        if (current[index]) morph(current[index], child);
+        else from.appendChild(child.cloneNode(true));
+      });
+      current.slice(next.length).forEach(child => child.remove());
+    }
+
     async function reload() {
-      const response = await fetch('/api/preview/${name}');
-      const html = await response.text();
-      document.getElementById('preview').innerHTML = html;
+      const response = await fetch('/api/preview/' + encodeURIComponent(manifestName));
+      if (!response.ok) {
+        const { error } = await response.json().catch(() => ({ error: response.statusText }));
+        setStatus(error, true);
+        return;
+      }
+
+      const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+      const css = [...page.querySelectorAll('style')].map(style => style.textContent).join('\\n');
+      const styles = document.getElementById('preview-styles');
+      if (styles.textContent !== css) styles.textContent = css;
+
+      morphChildren(document.getElementById('preview'), page.body);
+      setStatus('updated ' + new Date().toLocaleTimeString());
     }
     
     async function exportCode() {
@@ -592,7 +809,7 @@ class ManifestServer {
         const response = await fetch('/api/convert/manifest-to-' + format, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ manifestName: '${name}', options: { save: true } })
+          body: JSON.stringify({ manifestName, options: { save: true } })
         });
         const result = await response.json();
         console.log(format + ' exported:', result);
@@ -600,8 +817,14 @@ class ManifestServer {
       alert('Code exported to all formats!');
     }
     
-    // Auto-reload every 2 seconds in dev mode
-    setInterval(reload, 2000);
+    // Reload when this manifest or anything it depends on changes
+    const events = new EventSource('/api/events');
+    events.addEventListener('open', () => setStatus('watching for changes'));
+    events.addEventListener('error', () => setStatus('disconnected, retrying…', true));
+    events.addEventListener('change', event => {
+      const { manifests } = JSON.parse(event.data);
+      if (manifests.includes(manifestName)) reload();
+    });
     reload(); // Initial load
   </script>
 </body>
@@ -614,6 +837,36 @@ class ManifestServer {
     }
   }
 
+  /**
+   * Server-Sent Events stream of manifest changes
+   */
+  streamEvents(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write('retry: 1000\n\n');
+
+    this.eventClients.add(res);
+    req.on('close', () => this.eventClients.delete(res));
+  }
+
+  broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.eventClients.forEach(client => client.write(message));
+  }
+
+  /**
+   * Watch manifestDir and push change events to connected dev pages
+   */
+  async startWatcher() {
+    this.watcher = new ManifestWatcher({ manifestDir: this.manifestDir, loader: this.manifestLoader });
+    this.watcher.on('change', change => this.broadcast('change', change));
+    this.watcher.on('error', error => console.error('Watcher error:', error.message));
+    await this.watcher.start();
+  }
+
   /**
    * Serve main UI
    */
@@ -641,6 +894,25 @@ class ManifestServer {
     return manifestPath;
   }
 
+  /**
+   * Save a scraped manifest with the modules it carries (modules[]._content) next to it, as <name>-<alias>.yaml
+   */
+  async saveScrapedManifest(name, manifest) {
+    const carried = (manifest.modules || []).filter(module => module._content);
+    const files = new Map(carried.map(module => [module.url, `./${name}-${module.alias}.yaml`]));
+    const relink = modules => modules.map(module => {
+      const entry = { ...module, url: files.get(module.url) || module.url };
+      delete entry._content;
+      return entry;
+    });
+
+    for (const module of carried) {
+      const content = module._content;
+      await this.saveManifest(`${name}-${module.alias}`, content.modules ? { ...content, modules: relink(content.modules) } : content);
+    }
+    return this.saveManifest(name, manifest.modules ? { ...manifest, modules: relink(manifest.modules) } : manifest);
+  }
+
   async saveOutput(filename, content) {
     await fs.mkdir(this.outputDir, { recursive: true });
     const outputPath = path.join(this.outputDir, filename);
@@ -669,57 +941,7 @@ class ManifestServer {
   }
 
   async bundleMultipleManifests(manifestNames, options) {
-    const bundled = {
-      manifest: {
-        version: "2.0",
-        name: options.name || "bundled-manifest",
-        description: "Bundled from multiple manifests",
-        bundledFrom: manifestNames
-      },
-      styles: {},
-      structure: { div: { children: [] } },
-      interactions: {},
-      imports: { scripts: [], styles: [], fonts: [] }
-    };
-
-    for (const name of manifestNames) {
-      const manifest = await this.loadManifest(name, true);
-      
-      // Merge styles with prefixes
-      if (manifest._mergedStyles) {
-        Object.entries(manifest._mergedStyles).forEach(([key, value]) => {
-          bundled.styles[`${name}-${key}`] = value;
-        });
-      }
-      
-      // Merge structures
-      if (manifest.structure) {
-        bundled.structure.div.children.push(manifest.structure);
-      }
-      
-      // Merge interactions
-      if (manifest.interactions) {
-        Object.entries(manifest.interactions).forEach(([key, value]) => {
-          bundled.interactions[`${name}-${key}`] = value;
-        });
-      }
-      
-      // Merge imports
-      if (manifest.imports) {
-        ['scripts', 'styles', 'fonts'].forEach(type => {
-          if (manifest.imports[type]) {
-            bundled.imports[type].push(...manifest.imports[type]);
-          }
-        });
-      }
-    }
-
-    // Remove duplicates from imports
-    ['scripts', 'styles', 'fonts'].forEach(type => {
-      bundled.imports[type] = [...new Set(bundled.imports[type])];
-    });
-
-    return bundled;
+    return await this.bundler.bundle(manifestNames, options);
   }
 
   async processOperation(operation) {
@@ -727,7 +949,7 @@ class ManifestServer {
     
     switch (type) {
       case 'url-to-manifest':
-        return await this.urlConverter.convertFromUrl(params.url);
+        return await this.scrapeUrl(params.url, params.options);
       case 'react-to-manifest':
         return this.reactConverter.convertComponentString(params.code);
       case 'manifest-to-react':
@@ -751,12 +973,19 @@ class ManifestServer {
     // Ensure directories exist
     await fs.mkdir(this.manifestDir, { recursive: true });
     await fs.mkdir(this.outputDir, { recursive: true });
+
+    if (this.watch) {
+      await this.startWatcher();
+    }
     
     this.app.listen(this.port, () => {
       console.log(`🚀 Manifest Server running on http://localhost:${this.port}`);
       console.log(`📁 Manifests directory: ${this.manifestDir}`);
       console.log(`📤 Output directory: ${this.outputDir}`);
       console.log(`🔧 API endpoints available at http://localhost:${this.port}/api/`);
+      if (this.watch) {
+        console.log(`👀 Watching ${this.manifestDir} - open /dev/<name> for live reload`);
+      }
     });
   }
 }
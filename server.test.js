@@ -0,0 +1,29 @@
+/**
+ * ManifestServer preview and dev-mode routes against the shipped manifests
+ */
+
+const path = require('path');
+const request = require('supertest');
+const ManifestServer = require('./server');
+
+describe('ManifestServer previews', () => {
+  const server = new ManifestServer({ manifestDir: path.join(__dirname, 'manifests'), watch: false, csp: false });
+
+  test('previews nested manifests by their encoded name', async () => {
+    const response = await request(server.app).get(`/api/preview/${encodeURIComponent('examples/complete-page')}`);
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/html/);
+  });
+
+  test('dev mode reloads through the encoded name', async () => {
+    const response = await request(server.app).get(`/dev/${encodeURIComponent('examples/complete-page')}`);
+    expect(response.text).toContain("fetch('/api/preview/' + encodeURIComponent(manifestName))");
+    expect(response.text).toContain('const manifestName = "examples/complete-page"');
+  });
+
+  test('refuses site manifests, which have no structure', async () => {
+    const response = await request(server.app).get('/api/preview/site');
+    expect(response.status).toBe(422);
+    expect(response.body.error).toMatch(/no structure to preview/);
+  });
+});
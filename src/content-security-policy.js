@@ -0,0 +1,204 @@
+/**
+ * Content Security Policy - A strict CSP matching a rendered page
+ * The page is scanned after rendering, so the policy allows exactly what it contains:
+ *   inline <script>/<style> blocks    'sha256-...' hashes, or a nonce added to each block
+ *   on* handlers and style attributes 'unsafe-hashes' with the hash of each value
+ *   external scripts, styles, images, media, frames and fonts (url() in CSS)
+ *                                     their origins; same-origin and relative URLs are 'self'
+ * Everything else falls back to default-src 'self', and object-src is 'none'.
+ * The policy is emitted as a <meta http-equiv> tag, or returned for a response header.
+ */
+
+const crypto = require('crypto');
+const { Parser } = require('htmlparser2');
+const postcss = require('postcss');
+
+const BASE_DIRECTIVES = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'"],
+  'style-src': ["'self'"],
+  'img-src': ["'self'", 'data:'],
+  'font-src': ["'self'"],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+  'frame-ancestors': ["'self'"]
+};
+// Ignored (with a console warning) when delivered in a <meta> tag
+const HEADER_ONLY = ['frame-ancestors', 'report-uri', 'sandbox'];
+// Element attribute → directive for the origins it loads from
+const SOURCE_ATTRIBUTES = {
+  img: { src: 'img-src', srcset: 'img-src' },
+  source: { src: 'media-src', srcset: 'img-src' },
+  video: { src: 'media-src', poster: 'img-src' },
+  audio: { src: 'media-src' },
+  track: { src: 'media-src' },
+  iframe: { src: 'frame-src' }
+};
+// Stylesheets that load their fonts from another origin
+const FONT_ORIGINS = {
+  'https://fonts.googleapis.com': 'https://fonts.gstatic.com'
+};
+
+class ContentSecurityPolicy {
+  constructor(directives = BASE_DIRECTIVES) {
+    this.directives = new Map(Object.entries(directives).map(([name, sources]) => [name, [...sources]]));
+  }
+
+  /**
+   * Policy for rendered HTML
+   * options.nonce: allow inline blocks by nonce (see applyNonce) instead of by hash
+   * options.directives: extra sources per directive, e.g. { 'connect-src': ['https://api.example.com'] }
+   */
+  static forHTML(html, options = {}) {
+    const policy = new ContentSecurityPolicy();
+    const inline = options.nonce ? () => `'nonce-${options.nonce}'` : hash;
+
+    scan(html, {
+      script: text => policy.add('script-src', inline(text)),
+      style: text => {
+        policy.add('style-src', inline(text));
+        policy._addStylesheetOrigins(text);
+      },
+      handler: code => policy.add('script-src', "'unsafe-hashes'", hash(code)),
+      styleAttribute: css => policy.add('style-src', "'unsafe-hashes'", hash(css)),
+      resource: (directive, url) => policy.add(directive, origin(url)),
+      stylesheet: url => {
+        policy.add('style-src', origin(url));
+        if (FONT_ORIGINS[origin(url)]) policy.add('font-src', FONT_ORIGINS[origin(url)]);
+      }
+    });
+
+    for (const [directive, sources] of Object.entries(options.directives || {})) {
+      policy.add(directive, ...[].concat(sources));
+    }
+    return policy;
+  }
+
+  /**
+   * Random value for options.nonce, new for every response
+   */
+  static nonce() {
+    return crypto.randomBytes(16).toString('base64');
+  }
+
+  /**
+   * HTML with a nonce attribute on every inline <script> and <style> block
+   */
+  static applyNonce(html, nonce) {
+    const positions = [];
+    const parser = new Parser({
+      onopentag: (tag, attributes) => {
+        if ((tag === 'script' && !attributes.src) || tag === 'style') positions.push(parser.endIndex);
+      }
+    }, { lowerCaseTags: true });
+    parser.write(html);
+    parser.end();
+
+    // From the end, so earlier positions stay valid
+    return positions.reverse().reduce((result, index) =>
+      `${result.slice(0, index)} nonce="${nonce}"${result.slice(index)}`, html);
+  }
+
+  /**
+   * Add sources to a directive; ignores duplicates and 'self' origins (null)
+   */
+  add(directive, ...sources) {
+    const list = this.directives.get(directive) || [...(this.directives.get('default-src') || [])];
+    for (const source of sources) {
+      if (source && !list.includes(source)) list.push(source);
+    }
+    this.directives.set(directive, list);
+    return this;
+  }
+
+  /**
+   * Policy text; options.meta leaves out directives that only work as a header
+   */
+  toString({ meta = false } = {}) {
+    return [...this.directives]
+      .filter(([name]) => !meta || !HEADER_ONLY.includes(name))
+      .map(([name, sources]) => [name, ...sources].join(' '))
+      .join('; ');
+  }
+
+  /**
+   * <meta> tag for the policy
+   */
+  metaTag() {
+    return `<meta http-equiv="Content-Security-Policy" content="${this.toString({ meta: true }).replace(/"/g, '&quot;')}">`;
+  }
+
+  /**
+   * Font and image origins of url() references in a stylesheet
+   */
+  _addStylesheetOrigins(css) {
+    let root;
+    try {
+      root = postcss.parse(css);
+    } catch (error) {
+      // Not ours to report: the browser ignores what it cannot parse either
+      return;
+    }
+    root.walkDecls(declaration => {
+      const directive = declaration.parent?.type === 'atrule' && declaration.parent.name === 'font-face' ? 'font-src' : 'img-src';
+      for (const match of declaration.value.matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g)) {
+        this.add(directive, origin(match[2]));
+      }
+    });
+  }
+}
+
+/**
+ * Walk rendered HTML, reporting what the policy has to allow
+ */
+function scan(html, visit) {
+  let raw = null;
+  const parser = new Parser({
+    onopentag: (tag, attributes) => {
+      for (const [name, value] of Object.entries(attributes)) {
+        if (/^on/.test(name)) visit.handler(value);
+        if (name === 'style') visit.styleAttribute(value);
+        const directive = SOURCE_ATTRIBUTES[tag]?.[name];
+        if (directive) urls(name, value).forEach(url => visit.resource(directive, url));
+      }
+
+      if (tag === 'script' && attributes.src) visit.resource('script-src', attributes.src);
+      if (tag === 'link' && attributes.href && /\bstylesheet\b|\bpreload\b/.test(attributes.rel || '')) {
+        visit.stylesheet(attributes.href);
+      }
+      if ((tag === 'script' && !attributes.src) || tag === 'style') raw = { tag, text: '' };
+    },
+    ontext: text => {
+      if (raw) raw.text += text;
+    },
+    onclosetag: tag => {
+      if (raw && raw.tag === tag) {
+        visit[tag](raw.text);
+        raw = null;
+      }
+    }
+  }, { decodeEntities: true, lowerCaseTags: true, lowerCaseAttributeNames: true });
+
+  parser.write(html);
+  parser.end();
+}
+
+function urls(attribute, value) {
+  return attribute === 'srcset' ? value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]) : [value];
+}
+
+function hash(text) {
+  return `'sha256-${crypto.createHash('sha256').update(text, 'utf8').digest('base64')}'`;
+}
+
+/**
+ * Origin a URL loads from, or null for relative and same-origin URLs (covered by 'self')
+ */
+function origin(url) {
+  const match = String(url).trim().match(/^(https?:)?\/\/([^/?#]+)/i);
+  if (!match) return /^data:/i.test(url) ? 'data:' : null;
+  return `${(match[1] || 'https:').toLowerCase()}//${match[2].toLowerCase()}`;
+}
+
+module.exports = { ContentSecurityPolicy };
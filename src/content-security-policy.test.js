@@ -0,0 +1,84 @@
+/**
+ * ContentSecurityPolicy: policies derived from rendered HTML, on their own and from the HTML converter
+ */
+
+const crypto = require('crypto');
+const { ContentSecurityPolicy } = require('./content-security-policy');
+const { ManifestToHTMLConverter } = require('./converters/format-converters');
+
+const sha256 = text => `'sha256-${crypto.createHash('sha256').update(text, 'utf8').digest('base64')}'`;
+const directive = (policy, name) => policy.directives.get(name);
+
+describe('ContentSecurityPolicy.forHTML', () => {
+  const html = [
+    '<script>console.log(1)</script>',
+    '<script src="https://cdn.example.com/app.js"></script>',
+    '<script src="/local.js"></script>',
+    '<style>@font-face { src: url(https://fonts.example.com/a.woff2) } .a { background: url("//img.example.com/bg.png") }</style>',
+    '<link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Inter">',
+    '<button onclick="go()" style="color: red">Go</button>',
+    '<img src="data:image/png;base64,AAAA" srcset="https://a.example/1.png 1x, https://b.example/2.png 2x">',
+    '<video src="https://media.example/v.mp4" poster="/poster.png"></video>',
+    '<iframe src="https://www.youtube.com/embed/x"></iframe>'
+  ].join('\n');
+
+  test('hashes inline blocks, handlers and style attributes', () => {
+    const policy = ContentSecurityPolicy.forHTML(html);
+    expect(directive(policy, 'script-src')).toEqual(expect.arrayContaining([sha256('console.log(1)'), "'unsafe-hashes'", sha256('go()')]));
+    expect(directive(policy, 'style-src')).toEqual(expect.arrayContaining([sha256('color: red')]));
+    expect(directive(policy, 'style-src')).toContain(sha256('@font-face { src: url(https://fonts.example.com/a.woff2) } .a { background: url("//img.example.com/bg.png") }'));
+  });
+
+  test('allows the origins of external resources, with relative URLs left to self', () => {
+    const policy = ContentSecurityPolicy.forHTML(html);
+    expect(directive(policy, 'script-src')).toEqual(["'self'", sha256('console.log(1)'), 'https://cdn.example.com', "'unsafe-hashes'", sha256('go()')]);
+    expect(directive(policy, 'style-src')).toContain('https://fonts.googleapis.com');
+    expect(directive(policy, 'font-src')).toEqual(["'self'", 'https://fonts.example.com', 'https://fonts.gstatic.com']);
+    expect(directive(policy, 'img-src')).toEqual(["'self'", 'data:', 'https://img.example.com', 'https://a.example', 'https://b.example']);
+    expect(directive(policy, 'media-src')).toEqual(["'self'", 'https://media.example']);
+    expect(directive(policy, 'frame-src')).toEqual(["'self'", 'https://www.youtube.com']);
+  });
+
+  test('allows inline blocks by nonce instead of hash', () => {
+    const policy = ContentSecurityPolicy.forHTML(html, { nonce: 'abc' });
+    expect(directive(policy, 'script-src')).toContain("'nonce-abc'");
+    expect(directive(policy, 'script-src')).not.toContain(sha256('console.log(1)'));
+    expect(ContentSecurityPolicy.applyNonce('<script>a</script><script src="x.js"></script><style>b</style>', 'abc'))
+      .toBe('<script nonce="abc">a</script><script src="x.js"></script><style nonce="abc">b</style>');
+  });
+
+  test('adds extra directives and leaves header-only ones out of the meta tag', () => {
+    const policy = ContentSecurityPolicy.forHTML('<p>Hi</p>', { directives: { 'connect-src': 'https://api.example.com' } });
+    expect(policy.toString()).toBe(
+      "default-src 'self'; script-src 'self'; style-src 'self'; img-src 'self' data:; font-src 'self'; object-src 'none'; " +
+      "base-uri 'self'; form-action 'self'; frame-ancestors 'self'; connect-src 'self' https://api.example.com"
+    );
+    expect(policy.metaTag()).not.toContain('frame-ancestors');
+    expect(policy.metaTag()).toMatch(/^<meta http-equiv="Content-Security-Policy" content="default-src 'self'; /);
+  });
+});
+
+describe('ManifestToHTMLConverter csp option', () => {
+  const manifest = {
+    _mergedStyles: { card: { padding: '4px' } },
+    interactions: { hello: { code: 'console.log(1)' } },
+    imports: { scripts: ['https://unpkg.com/aos.js'] },
+    structure: { div: { style: 'card', children: [{ img: { src: 'https://cdn.example.com/a.png' } }] } }
+  };
+
+  test('returns the policy of the page and adds it as a meta tag', () => {
+    const { content, csp } = new ManifestToHTMLConverter().convertToHTML(manifest, { csp: true });
+    const script = content.match(/<script>([\s\S]*?)<\/script>/)[1];
+    expect(csp).toContain(`script-src 'self' https://unpkg.com ${sha256(script)}`);
+    expect(csp).toContain("img-src 'self' data: https://cdn.example.com");
+    expect(content).toContain('<meta http-equiv="Content-Security-Policy"');
+  });
+
+  test('puts the nonce on inline blocks', () => {
+    const { content, csp } = new ManifestToHTMLConverter().convertToHTML(manifest, { csp: { nonce: 'abc', meta: false } });
+    expect(csp).toContain("style-src 'self' 'nonce-abc'");
+    expect(content).toContain('<style nonce="abc">');
+    expect(content).toContain('<script nonce="abc">');
+    expect(content).not.toContain('http-equiv');
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Browser Renderer - Load JavaScript-rendered pages in headless Chromium before scraping
+ * The scraper's render mode (`render: true` or options) uses it instead of downloading the
+ * server HTML: the page is opened with Playwright, allowed to settle (network idle, or until
+ * `waitFor` matches) and its hydrated DOM serialized. With computedStyles every element also
+ * carries its computed style in a data-computed-style attribute: the properties that differ
+ * from the element's browser default, inherited ones only where they differ from the parent.
+ * The scraper turns those into computed-N styles.
+ * Playwright is an optional dependency: npm install playwright && npx playwright install chromium
+ */
+
+const { FetchError } = require('../http-fetcher');
+
+const COMPUTED_STYLE_ATTRIBUTE = 'data-computed-style';
+const WAIT_STATES = ['load', 'domcontentloaded', 'networkidle'];
+const SIDES = ['top', 'right', 'bottom', 'left'];
+// Properties compared against the parent element rather than the tag's default
+const INHERITED_PROPERTIES = [
+  'color', 'font-family', 'font-size', 'font-weight', 'font-style', 'line-height', 'letter-spacing',
+  'text-align', 'text-transform', 'white-space', 'list-style-type', 'cursor'
+];
+const COMPUTED_PROPERTIES = [
+  ...INHERITED_PROPERTIES,
+  'display', 'position', ...SIDES, 'z-index', 'float', 'box-sizing', 'max-width', 'min-height',
+  ...SIDES.map(side => `margin-${side}`),
+  ...SIDES.map(side => `padding-${side}`),
+  ...SIDES.flatMap(side => [`border-${side}-width`, `border-${side}-style`, `border-${side}-color`]),
+  'border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius', 'border-bottom-left-radius',
+  'box-shadow', 'background-color', 'background-image', 'background-size', 'background-position',
+  'text-decoration-line', 'flex-direction', 'flex-wrap', 'justify-content', 'align-items', 'gap',
+  'grid-template-columns', 'opacity', 'overflow-x', 'overflow-y', 'transform', 'object-fit'
+];
+
+class BrowserRenderer {
+  constructor(options = {}) {
+    this.waitUntil = options.waitUntil || 'networkidle';
+    if (!WAIT_STATES.includes(this.waitUntil)) {
+      throw new Error(`Unknown waitUntil '${this.waitUntil}' (expected one of: ${WAIT_STATES.join(', ')})`);
+    }
+    // CSS selector to wait for after loading, e.g. the app's first rendered element
+    this.waitFor = options.waitFor || null;
+    this.timeout = options.timeout || 30000;
+    this.viewport = options.viewport || { width: 1280, height: 800 };
+    this.userAgent = options.userAgent || null;
+    // Attribute that receives each element's computed style (null: computedStyles off)
+    this.styleAttribute = options.computedStyles === false ? null : COMPUTED_STYLE_ATTRIBUTE;
+    // Passed to chromium.launch()
+    this.launchOptions = options.launch || {};
+    this.browser = null;
+  }
+
+  /**
+   * Renderer for the scraper's `render` option: true or an options object
+   */
+  static from(render) {
+    if (!render) return null;
+    return render instanceof BrowserRenderer ? render : new BrowserRenderer(render === true ? {} : render);
+  }
+
+  /**
+   * Rendered page: { url (after redirects), body (serialized DOM) }
+   */
+  async render(url) {
+    const browser = await this._launch();
+    const context = await browser.newContext({
+      viewport: this.viewport,
+      ...(this.userAgent ? { userAgent: this.userAgent } : {})
+    });
+
+    try {
+      const page = await context.newPage();
+      const response = await page.goto(url, { waitUntil: this.waitUntil, timeout: this.timeout });
+      if (response && !response.ok()) {
+        throw new FetchError(`Failed to fetch ${url}: HTTP ${response.status()} ${response.statusText()}`.trim(), url, 'EHTTP', response.status());
+      }
+      if (this.waitFor) {
+        await page.waitForSelector(this.waitFor, { timeout: this.timeout });
+      }
+      if (this.styleAttribute) {
+        await page.evaluate(annotateComputedStyles, {
+          attribute: this.styleAttribute,
+          properties: COMPUTED_PROPERTIES,
+          inherited: INHERITED_PROPERTIES
+        });
+      }
+
+      return { url: page.url(), body: await page.content() };
+    } finally {
+      await context.close();
+    }
+  }
+
+  /**
+   * Close the browser; the next render() launches a new one
+   */
+  async close() {
+    const browser = this.browser;
+    this.browser = null;
+    if (browser) await (await browser.catch(() => null))?.close();
+  }
+
+  _launch() {
+    if (!this.browser) {
+      let playwright;
+      try {
+        playwright = require('playwright');
+      } catch (error) {
+        throw new Error('Render mode needs Playwright: npm install playwright && npx playwright install chromium');
+      }
+      // One browser for all pages; the promise is kept so parallel renders share the launch
+      this.browser = playwright.chromium.launch({ headless: true, ...this.launchOptions });
+      this.browser.catch(() => { this.browser = null; });
+    }
+    return this.browser;
+  }
+}
+
+/**
+ * Runs in the page: set `attribute` on every element of the body to the computed declarations
+ * that differ from a fresh element of the same tag (in an empty frame) or, for inherited
+ * properties, from the parent. Border sides without a border style are left out.
+ */
+function annotateComputedStyles({ attribute, properties, inherited }) {
+  const frame = document.createElement('iframe');
+  frame.style.display = 'none';
+  document.body.appendChild(frame);
+  const blank = frame.contentDocument;
+
+  const defaults = new Map();
+  const defaultsOf = tag => {
+    if (!defaults.has(tag)) {
+      const element = blank.createElement(tag);
+      blank.body.appendChild(element);
+      const style = frame.contentWindow.getComputedStyle(element);
+      defaults.set(tag, Object.fromEntries(properties.map(property => [property, style.getPropertyValue(property)])));
+      element.remove();
+    }
+    return defaults.get(tag);
+  };
+
+  // Read everything before writing, so setting attributes does not restyle the page in between
+  const annotations = [];
+  const elements = [document.body, ...document.body.querySelectorAll('*')].filter(element => element !== frame);
+  for (const element of elements) {
+    const style = getComputedStyle(element);
+    const parent = element === document.body ? null : getComputedStyle(element.parentElement);
+    const base = defaultsOf(element.localName);
+
+    const declarations = [];
+    for (const property of properties) {
+      const side = property.match(/^border-(top|right|bottom|left)-(width|color)$/);
+      if (side && style.getPropertyValue(`border-${side[1]}-style`) === 'none') continue;
+
+      const value = style.getPropertyValue(property);
+      const reference = parent && inherited.includes(property) ? parent.getPropertyValue(property) : base[property];
+      if (value && value !== reference) declarations.push(`${property}: ${value}`);
+    }
+    if (declarations.length > 0) annotations.push([element, declarations.join('; ')]);
+  }
+
+  frame.remove();
+  annotations.forEach(([element, css]) => element.setAttribute(attribute, css));
+}
+
+module.exports = { BrowserRenderer, COMPUTED_STYLE_ATTRIBUTE };
@@ -0,0 +1,94 @@
+/**
+ * Render mode against examples/spa served from an in-process HTTP server
+ * The browser tests need Playwright and its Chromium (npx playwright install chromium) and are skipped without them
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { BrowserRenderer } = require('./browser-renderer');
+const { WebpageToManifestConverter } = require('./url-scraper');
+
+const SPA = path.join(__dirname, '..', '..', 'examples', 'spa');
+const TYPES = { '.html': 'text/html; charset=utf-8', '.js': 'text/javascript', '.json': 'application/json' };
+
+const hasChromium = (() => {
+  try {
+    return fs.existsSync(require('playwright').chromium.executablePath());
+  } catch (error) {
+    return false;
+  }
+})();
+
+/**
+ * Static server for examples/spa on a free port; `/` is index.html
+ */
+async function serveSpa() {
+  const server = http.createServer((req, res) => {
+    const name = req.url.split('?')[0] === '/' ? 'index.html' : path.basename(req.url.split('?')[0]);
+    const file = path.join(SPA, name);
+    if (!fs.existsSync(file)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+    res.writeHead(200, { 'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: pathname => `http://127.0.0.1:${server.address().port}${pathname}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+describe('render mode', () => {
+  let site;
+
+  beforeAll(async () => {
+    site = await serveSpa();
+  });
+
+  afterAll(() => site.close());
+
+  test('without it the scraper sees only the empty root', async () => {
+    const converter = new WebpageToManifestConverter({ fetch: { interval: 0 } });
+    const manifest = await converter.convertFromUrl(site.url('/'));
+    expect(JSON.stringify(manifest.structure)).not.toContain('Rendered Products');
+  });
+
+  test('rejects unknown wait states', () => {
+    expect(() => new BrowserRenderer({ waitUntil: 'idle' })).toThrow("Unknown waitUntil 'idle'");
+  });
+
+  (hasChromium ? describe : describe.skip)('in headless Chromium', () => {
+    jest.setTimeout(60000);
+
+    test('renders the DOM the script builds, with computed styles', async () => {
+      const renderer = new BrowserRenderer({ waitFor: '.product-card' });
+      try {
+        const page = await renderer.render(site.url('/'));
+        expect(page.body).toContain('<h1>Rendered Products</h1>');
+        expect(page.body.match(/class="product-card"/g)).toHaveLength(3);
+        expect(page.body).toMatch(/class="product-price" data-computed-style="[^"]*font-weight: 700/);
+      } finally {
+        await renderer.close();
+      }
+    });
+
+    test('scrapes the hydrated page into a manifest', async () => {
+      const converter = new WebpageToManifestConverter({ render: { waitFor: '.product-card' }, fetch: { interval: 0 } });
+      try {
+        const manifest = JSON.stringify(await converter.convertFromUrl(site.url('/')));
+        expect(manifest).toContain('Rendered Products');
+        expect(manifest).toContain('Oak frame, wool seat.');
+        expect(manifest).toContain('computed-1');
+      } finally {
+        await converter.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * CSS Capture - The stylesheets of a scraped page as manifest styles
+ * load() collects the page's CSS in cascade order: <link rel="stylesheet"> files are
+ * downloaded, <style> blocks read, and @import rules replaced by the sheets they name
+ * (relative url()s become absolute). capture() then maps every rule onto the document:
+ *   .card, .card:hover, @media/@supports/@container { .card }   styles.card with variants
+ *   any other selector matching an element of the page          stylesheet.global
+ *   @font-face, @keyframes                                      stylesheet.font_faces / keyframes
+ *   other at-rules (@page, @property, ...)                      stylesheet.css
+ * Rules that match nothing on the page and classes the page never uses are dropped.
+ */
+
+const postcss = require('postcss');
+const { STATE_VARIANTS } = require('../style-variants');
+
+// `.name` with an optional state variant
+const CLASS_SELECTOR = new RegExp(`^\\.((?:\\\\.|[\\w-])+)(${Object.values(STATE_VARIANTS).join('|')})?$`);
+// Class names that can be style keys; escaped ones (.md\:flex, .w-1\.5) keep their selector as a global rule
+const STYLE_NAME = /^-?[_a-zA-Z][\w-]*$/;
+// Never true for a static document, so they are removed before matching a selector against it
+const DYNAMIC_PSEUDO = /::?(hover|focus|focus-visible|focus-within|active|visited|target|before|after|first-line|first-letter|marker|placeholder|selection|backdrop|file-selector-button|-webkit-[\w-]+|-moz-[\w-]+)(?![\w-])/g;
+const NESTING_AT_RULES = ['media', 'supports', 'container'];
+const MAX_IMPORT_DEPTH = 5;
+
+class CssCapture {
+  /**
+   * options.fetcher: object with text(url) that downloads stylesheets (an HttpFetcher)
+   */
+  constructor(options = {}) {
+    this.fetcher = options.fetcher || null;
+  }
+
+  /**
+   * Stylesheets of a document in cascade order: { sheets: [{ css, url }], failed: [urls] }
+   * Sheets that could not be downloaded are listed in `failed`, for the page to keep linking
+   */
+  async load(doc, baseUrl) {
+    const sheets = [];
+    const failed = [];
+
+    for (const element of doc.querySelectorAll('link[rel~="stylesheet"][href], style')) {
+      let url = baseUrl;
+      let css;
+      if (element.tagName.toLowerCase() === 'style') {
+        css = element.textContent;
+      } else {
+        url = resolve(element.getAttribute('href'), baseUrl);
+        css = await this._download(url);
+        if (css === null) {
+          failed.push(url);
+          continue;
+        }
+      }
+
+      const root = parse(css);
+      if (!root) continue;
+      absolutize(root, url);
+      await this._inlineImports(root, url, new Set([url]), 0, failed);
+
+      const media = element.getAttribute('media');
+      sheets.push({ css: media && media !== 'all' ? `@media ${media} {\n${root.toString()}\n}` : root.toString(), url });
+    }
+
+    return { sheets, failed };
+  }
+
+  /**
+   * The <style> blocks of a document, for HTML converted without network access
+   */
+  static inlineSheets(doc, baseUrl = '') {
+    return Array.from(doc.querySelectorAll('style')).map(style => ({ css: style.textContent, url: baseUrl }));
+  }
+
+  /**
+   * Manifest styles and stylesheet section for the rules of `sheets` that apply to `doc`
+   */
+  capture(doc, sheets) {
+    const classes = new Set();
+    doc.querySelectorAll('[class]').forEach(element => element.classList.forEach(name => classes.add(name)));
+
+    const result = { styles: {}, stylesheet: { font_faces: [], global: {}, keyframes: {}, css: '' } };
+    const matches = new Map();
+    const applies = selector => {
+      if (!matches.has(selector)) matches.set(selector, matchesDocument(doc, selector));
+      return matches.get(selector);
+    };
+
+    const walk = (container, atRules) => {
+      container.each(node => {
+        if (node.type === 'rule') {
+          const declarations = declarationsOf(node);
+          if (Object.keys(declarations).length === 0) return;
+
+          for (const selector of node.selectors) {
+            const simple = selector.match(CLASS_SELECTOR);
+            if (simple && STYLE_NAME.test(simple[1])) {
+              if (!classes.has(simple[1])) continue;
+              const state = Object.keys(STATE_VARIANTS).find(key => STATE_VARIANTS[key] === simple[2]);
+              assign(result.styles, simple[1], atRules, state, declarations);
+            } else if (applies(selector)) {
+              assign(result.stylesheet.global, selector, atRules, null, declarations);
+            }
+          }
+        } else if (node.type === 'atrule') {
+          const name = node.name.toLowerCase();
+          if (NESTING_AT_RULES.includes(name) && node.nodes) {
+            walk(node, [...atRules, `@${name} ${node.params}`]);
+          } else if (name === 'layer' && node.nodes) {
+            walk(node, atRules);
+          } else if (name === 'font-face') {
+            const face = declarationsOf(node);
+            if (face['font-family'] && face.src) result.stylesheet.font_faces.push(face);
+          } else if (name === 'keyframes') {
+            result.stylesheet.keyframes[node.params.trim()] = keyframesOf(node);
+          } else if (!['import', 'charset', 'namespace'].includes(name) && !/keyframes$/.test(name)) {
+            // Prefixed @-webkit-keyframes are left out; the converters' optimizer prefixes when asked
+            result.stylesheet.css += `${wrap(node.toString(), atRules)}\n`;
+          }
+        }
+      });
+    };
+
+    sheets.forEach(sheet => {
+      const root = parse(sheet.css);
+      if (root) walk(root, []);
+    });
+
+    const { stylesheet } = result;
+    stylesheet.keyframes = Object.fromEntries(Object.entries(stylesheet.keyframes)
+      .filter(([name, steps]) => /^-?[A-Za-z_][\w-]*$/.test(name) && Object.keys(steps).length > 0));
+    stylesheet.css = stylesheet.css.trim();
+    // Only the parts with content, so the section stays valid and small
+    result.stylesheet = Object.fromEntries(Object.entries(stylesheet)
+      .filter(([, value]) => (Array.isArray(value) ? value.length : typeof value === 'string' ? value : Object.keys(value).length)));
+    return result;
+  }
+
+  async _download(url) {
+    if (!this.fetcher || !url) return null;
+    try {
+      return await this.fetcher.text(url);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Replace the @import rules of a parsed sheet with the rules they import
+   */
+  async _inlineImports(root, url, seen, depth, failed) {
+    const imports = [];
+    root.each(node => {
+      if (node.type === 'atrule' && node.name.toLowerCase() === 'import') imports.push(node);
+    });
+
+    for (const rule of imports) {
+      const match = rule.params.match(/^(?:url\(\s*)?(['"]?)([^'")\s]+)\1\s*\)?\s*(.*)$/);
+      const target = match && resolve(match[2], url);
+      if (!target || seen.has(target) || depth >= MAX_IMPORT_DEPTH) {
+        rule.remove();
+        continue;
+      }
+
+      const css = await this._download(target);
+      const imported = css === null ? null : parse(css);
+      if (!imported) {
+        failed.push(target);
+        rule.remove();
+        continue;
+      }
+      absolutize(imported, target);
+      await this._inlineImports(imported, target, new Set([...seen, target]), depth + 1, failed);
+
+      // layer(...) and supports(...) conditions are dropped; a media list wraps the imported rules
+      const media = (match[3] || '').replace(/\b(layer|supports)\([^)]*\)|\blayer\b/g, '').trim();
+      rule.replaceWith(media ? postcss.atRule({ name: 'media', params: media, nodes: imported.nodes }) : imported.nodes);
+    }
+  }
+}
+
+function parse(css) {
+  try {
+    return postcss.parse(css);
+  } catch (error) {
+    // A sheet the browser could not read either
+    return null;
+  }
+}
+
+function resolve(href, base) {
+  try {
+    return base ? new URL(href, base).href : href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Make the url()s of a sheet absolute, so they still work from the generated page
+ */
+function absolutize(root, base) {
+  if (!base) return;
+  root.walkDecls(declaration => {
+    declaration.value = declaration.value.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) =>
+      /^(data:|#)/i.test(url) ? match : `url(${quote}${resolve(url, base) || url}${quote})`);
+  });
+}
+
+function declarationsOf(node) {
+  const declarations = {};
+  node.each(child => {
+    if (child.type === 'decl') {
+      declarations[child.prop] = `${child.value.replace(/\s+/g, ' ').trim()}${child.important ? ' !important' : ''}`;
+    }
+  });
+  return declarations;
+}
+
+function keyframesOf(node) {
+  const steps = {};
+  node.each(step => {
+    if (step.type !== 'rule') return;
+    const declarations = declarationsOf(step);
+    step.selectors.map(selector => selector.trim().toLowerCase())
+      .filter(selector => /^(from|to|\d+(\.\d+)?%)$/.test(selector))
+      .forEach(selector => { steps[selector] = { ...steps[selector], ...declarations }; });
+  });
+  return steps;
+}
+
+/**
+ * Merge declarations into target[key], nested under the at-rule and state variants they came from
+ */
+function assign(target, key, atRules, state, declarations) {
+  let style = target[key] = target[key] || {};
+  for (const atRule of atRules) style = style[atRule] = style[atRule] || {};
+  if (state) style = style[state] = style[state] || {};
+  Object.assign(style, declarations);
+}
+
+function wrap(css, atRules) {
+  return [...atRules].reverse().reduce((inner, atRule) => `${atRule} {\n${inner}\n}`, css);
+}
+
+/**
+ * Does a selector match any element? Dynamic pseudo-classes and pseudo-elements are ignored
+ */
+function matchesDocument(doc, selector) {
+  let candidate = selector.replace(DYNAMIC_PSEUDO, '').trim();
+  // A pseudo-element on its own (`.menu > ::before`) applies to whatever is there
+  if (!candidate || /[>+~]$/.test(candidate)) candidate = `${candidate} *`.trim();
+  try {
+    return Boolean(doc.querySelector(candidate));
+  } catch (error) {
+    // Selector syntax the DOM does not support
+    return false;
+  }
+}
+
+module.exports = { CssCapture };
@@ -3,6 +3,254 @@
  * Supports modular manifests with proper dependency handling
  */
 
+const { Interpolator, InterpolationError, createScope } = require('../interpolation');
+const { Slots, DEFAULT_SLOT } = require('../slots');
+const { StyleScope } = require('../style-scope');
+const { DesignTokens, THEME_ATTRIBUTE } = require('../design-tokens');
+const { styleToCSS } = require('../style-variants');
+const { Stylesheet } = require('../stylesheet');
+const { CssOptimizer } = require('../css-optimizer');
+const { TailwindScope, TAILWIND_CDN } = require('../tailwind-scope');
+const { HtmlSanitizer, safeURL, URL_ATTRIBUTES, IMAGE_ATTRIBUTES } = require('../html-sanitizer');
+const { ContentSecurityPolicy } = require('../content-security-policy');
+
+const interpolator = new Interpolator();
+
+/**
+ * Escape a value for HTML text and double-quoted attributes
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape literal manifest text, keeping character references such as &copy; as written
+ * Quotes only need escaping in (double-quoted) attributes
+ */
+function escapeLiteral(value, { attribute = false } = {}) {
+  const escaped = String(value)
+    .replace(/&(?!(#\d+|#x[\da-f]+|[a-z][a-z\d]*);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+  return attribute ? escaped.replace(/"/g, '&quot;') : escaped;
+}
+
+/**
+ * Keep raw text (script and style contents) from closing its element early
+ */
+function escapeRawText(text) {
+  return text.replace(/<\/(script|style)/gi, '<\\/$1');
+}
+
+const TAG_NAME = /^[A-Za-z][\w:-]*$/;
+const ATTRIBUTE_NAME = /^[^\s"'<>/=]+$/;
+
+/**
+ * JavaScript accessor for a path below a root, e.g. props.items[0]["first-name"]
+ */
+function jsAccessor(root, segments) {
+  return segments.reduce((code, segment) => {
+    if (/^\d+$/.test(segment)) return `${code}[${segment}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(segment)) return `${code}.${segment}`;
+    return `${code}[${JSON.stringify(segment)}]`;
+  }, root);
+}
+
+/**
+ * PHP accessor for a path below a root, e.g. $this->items[0]['name']
+ */
+function phpAccessor(root, segments) {
+  return segments.reduce((code, segment) => `${code}[${/^\d+$/.test(segment) ? segment : phpString(segment)}]`, root);
+}
+
+function phpString(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * PHP constant expression for a JSON-like value (usable as a parameter default)
+ */
+function phpLiteral(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return phpString(value);
+  if (typeof value !== 'object') return String(value);
+  if (Array.isArray(value)) return `[${value.map(phpLiteral).join(', ')}]`;
+  return `[${Object.entries(value).map(([key, item]) => `${phpString(key)} => ${phpLiteral(item)}`).join(', ')}]`;
+}
+
+/**
+ * Declared props with a `default`, as [name, default] pairs
+ */
+function propDefaults(manifest) {
+  return Object.entries(manifest.props || {})
+    .filter(([, prop]) => prop && prop.default !== undefined)
+    .map(([name, prop]) => [name, prop.default]);
+}
+
+/**
+ * Which expressions stay dynamic: `props.*` and bare names of declared props
+ */
+function propsRuntime(manifest) {
+  const declared = new Set(Object.keys(manifest.props || {}));
+  return path => path[0] === 'props' || declared.has(path[0]);
+}
+
+function propPath(path) {
+  return path[0] === 'props' ? path.slice(1) : path;
+}
+
+/**
+ * Parenthesize generated code before concatenating it
+ */
+function group(code) {
+  return /^\(.*\)$/.test(code) ? code : `(${code})`;
+}
+
+/**
+ * Split the `each`/`if` directives off an element's props, null when there are none
+ */
+function directives(props) {
+  if (!props || typeof props !== 'object' || (!props.each && !props.if)) return null;
+
+  const { each, if: condition, ...rest } = props;
+  return {
+    loop: each ? interpolator.parseEach(each) : null,
+    condition: condition ? interpolator.parseCondition(condition) : null,
+    rest
+  };
+}
+
+/**
+ * Fail on an `each` over a static path that resolves to nothing (e.g. `items` for `data.items`),
+ * which would otherwise render no items without a word. Declared props may be left unset, and
+ * keys below a loop variable may be missing on some items (an empty collection, as at runtime).
+ */
+function checkCollection(converter, loop) {
+  const { path, source } = loop.collection;
+  if ((converter.loopVariables || []).includes(path[0])) return;
+  if (converter.isDynamic && converter.isDynamic(path)) return;
+  if (converter.isProp && converter.isProp(path)) return;
+  if (interpolator.lookup(path, converter.scope || {}) === undefined) {
+    throw new InterpolationError(`Unknown path '${path.join('.')}'`, source);
+  }
+}
+
+/**
+ * Conditions on static scopes (metadata, manifest, ...) are decided at build time:
+ * true/false, or null when the condition must stay in the generated code
+ */
+function staticTest(condition, loop, scope, isDynamic) {
+  const { path } = condition.expression;
+  if (isDynamic(path) || path[0] === 'data') return null;
+  if (loop && (path[0] === loop.item || path[0] === loop.index)) return null;
+  return interpolator.test(condition, scope);
+}
+
+/**
+ * Children as a list of nodes; a map with several tags becomes one node per tag
+ */
+function childList(children) {
+  if (Array.isArray(children)) return children;
+  if (children && typeof children === 'object') {
+    return Object.entries(children).map(([tag, props]) => ({ [tag]: props }));
+  }
+  return children === undefined || children === null ? [] : [children];
+}
+
+function hasData(manifest) {
+  return Boolean(manifest.data) && Object.keys(manifest.data).length > 0;
+}
+
+const RAW_TEXT_TAGS = ['script', 'style'];
+// Whitespace inside these is content
+const PREFORMATTED_TAGS = ['pre', 'textarea'];
+
+/**
+ * Children with text between elements (mixed content): ['Hello ', { strong: { text: 'world' } }, '!']
+ */
+function isMixedContent(children) {
+  return Array.isArray(children) && children.some(child => ['string', 'number'].includes(typeof child) ||
+    (child && typeof child === 'object' && Object.keys(child).length === 1 && child.text !== undefined));
+}
+
+/**
+ * Run render() with converter.inline set when `inline`: mixed and preformatted content is
+ * rendered without line breaks and indentation, which the browser would show as spaces.
+ * Everything below an inline element is inline too.
+ */
+function renderInline(converter, inline, render) {
+  const outer = converter.inline;
+  converter.inline = outer || inline;
+  try {
+    return render();
+  } finally {
+    converter.inline = outer;
+  }
+}
+
+/**
+ * StyleScope of the current conversion (unscoped when a converter method is called on its own)
+ */
+function styleScope(converter) {
+  return converter.styleScope || new StyleScope();
+}
+
+/**
+ * Result object of a conversion, with the style key → selector map when styles are scoped
+ */
+function conversionResult(converter, filename, content) {
+  const scope = styleScope(converter);
+  return scope.mode === 'none' ? { filename, content } : { filename, content, styleMap: scope.mapping() };
+}
+
+/**
+ * CSS outside the style classes: token variables, font faces, global rules and keyframes
+ * go before the classes, the stylesheet's raw css after them
+ */
+function globalRules(manifest, { compact = false } = {}) {
+  const stylesheet = Stylesheet.forManifest(manifest);
+  const tokens = DesignTokens.forManifest(manifest).rules().map(rule => compact
+    ? rule.replace(/\s*\n\s*/g, '').replace(/ \{/, '{').replace(/;}$/, '}').replace(/: /g, ':')
+    : rule);
+
+  return { before: [...tokens, ...stylesheet.rules({ compact })], after: stylesheet.rawRules() };
+}
+
+/**
+ * Set up the StyleScope of a conversion. With options.tailwind, styles become utility
+ * classes on the elements, so the returned manifest has no style rules left to print,
+ * unless a dynamic {{ }} style names styles at runtime: those class names keep their rules
+ */
+function prepareStyles(converter, manifest, options) {
+  if (options.tailwind) {
+    converter.styleScope = new TailwindScope(manifest._mergedStyles);
+    if (CssOptimizer.usedStyles(manifest.structure) === null) return manifest;
+    return { ...manifest, _mergedStyles: undefined };
+  }
+  converter.styleScope = StyleScope.forManifest(manifest, options);
+  return manifest;
+}
+
+/**
+ * Set up options.optimize for a conversion; returns the manifest without its unused styles
+ */
+function prepareOptimizer(converter, manifest, options) {
+  converter.cssOptimizer = CssOptimizer.from(options.optimize);
+  return converter.cssOptimizer ? converter.cssOptimizer.prune(manifest) : manifest;
+}
+
+/**
+ * CSS text after the conversion's optimizer (unchanged when optimize is off)
+ */
+function optimizeCSS(converter, css) {
+  return converter.cssOptimizer ? converter.cssOptimizer.process(css) : css;
+}
+
 class ManifestToReactConverter {
   constructor(options = {}) {
     this.options = {
@@ -11,28 +259,37 @@ class ManifestToReactConverter {
       exportDefault: options.exportDefault !== false,
       ...options
     };
+    this.loopVariables = [];
   }
 
   /**
    * Convert manifest to React component
+   * options.styleScope overrides manifest.style_scope, options.optimize enables CssOptimizer,
+   * options.tailwind renders styles as Tailwind utility classes
    */
-  convertToReact(manifest) {
+  convertToReact(manifest, options = {}) {
+    manifest = prepareOptimizer(this, manifest, options);
+    this.scope = createScope(manifest, { props: {} });
+    manifest = prepareStyles(this, manifest, options);
+    this.isRuntime = propsRuntime(manifest);
+    this.loopVariables = [];
     const componentName = this.getComponentName(manifest);
     const imports = this.generateReactImports(manifest);
     const propTypes = this.generatePropTypes(manifest);
+    const data = this.generateReactData(manifest);
     const component = this.generateReactComponent(manifest, componentName);
     const styles = this.generateReactStyles(manifest);
-
-    return {
-      filename: `${componentName}.${this.options.typescript ? 'tsx' : 'jsx'}`,
-      content: [
-        imports,
-        propTypes,
-        component,
-        styles,
-        this.options.exportDefault ? `export default ${componentName};` : ''
-      ].filter(Boolean).join('\n\n')
-    };
+    const tokens = this.generateReactTokens(manifest);
+
+    return conversionResult(this, `${componentName}.${this.options.typescript ? 'tsx' : 'jsx'}`, [
+      imports,
+      propTypes,
+      data,
+      component,
+      styles,
+      tokens,
+      this.options.exportDefault ? `export default ${componentName};` : ''
+    ].filter(Boolean).join('\n\n'));
   }
 
   generateReactImports(manifest) {
@@ -87,21 +344,40 @@ class ManifestToReactConverter {
     }
   }
 
+  generateReactData(manifest) {
+    if (!hasData(manifest)) return '';
+    return `const data = ${JSON.stringify(manifest.data, null, 2)};`;
+  }
+
   generateReactComponent(manifest, componentName) {
-    const propsParam = manifest.props ? 'props' : '';
+    // Slots are read from props.children and named props
+    const propsParam = manifest.props || Slots.names(manifest.structure).length > 0 ? 'props' : '';
+    const defaults = this.generatePropDefaults(manifest);
     const stateHooks = this.generateStateHooks(manifest);
     const effects = this.generateEffects(manifest);
     const handlers = this.generateEventHandlers(manifest);
     const jsx = this.generateJSX(manifest);
 
     return `const ${componentName} = (${propsParam}${this.options.typescript ? `: ${componentName}Props` : ''}) => {
-${stateHooks}${effects}${handlers}
+${defaults}${stateHooks}${effects}${handlers}
   return (
 ${jsx}
   );
 };`;
   }
 
+  /**
+   * Props with a `default` are destructured from props with it; the accessor reads them from there
+   */
+  generatePropDefaults(manifest) {
+    const defaults = propDefaults(manifest).filter(([name]) => /^[A-Za-z_$][\w$]*$/.test(name) && name !== 'props');
+    this.defaultedProps = defaults.map(([name]) => name);
+    if (defaults.length === 0) return '';
+
+    const bindings = defaults.map(([name, value]) => `${name} = ${JSON.stringify(value)}`).join(', ');
+    return `  const { ${bindings} } = props;\n`;
+  }
+
   generateStateHooks(manifest) {
     if (!this.hasInteractions(manifest)) return '';
 
@@ -134,6 +410,12 @@ ${jsx}
   generateJSX(manifest) {
     if (!manifest.structure) return '    <div>No structure defined</div>';
 
+    // A loop, conditional or slot at the root is an expression, so it needs a fragment
+    const entries = Object.entries(manifest.structure);
+    if (entries.length === 1 && (entries[0][0] === 'slot' || directives(entries[0][1]))) {
+      return `    <>\n${this.convertStructureToJSX(manifest.structure, 3)}\n    </>`;
+    }
+
     return this.convertStructureToJSX(manifest.structure, 2);
   }
 
@@ -141,11 +423,11 @@ ${jsx}
     const spaces = '  '.repeat(indent);
     
     if (typeof structure === 'string') {
-      return `${spaces}"${structure}"`;
+      return `${spaces}${this.convertTextToJSX(structure)}`;
     }
 
     if (structure.text) {
-      return `${spaces}"${structure.text}"`;
+      return `${spaces}${this.convertTextToJSX(structure.text)}`;
     }
 
     const entries = Object.entries(structure);
@@ -153,7 +435,7 @@ ${jsx}
       // Multiple elements at same level
       return entries.map(([tag, props]) => 
         this.convertElementToJSX(tag, props, indent)
-      ).join('\n');
+      ).filter(Boolean).join('\n');
     }
 
     const [tag, props] = entries[0];
@@ -161,12 +443,24 @@ ${jsx}
   }
 
   convertElementToJSX(tag, props, indent) {
+    if (tag === 'slot') return this.convertSlotToJSX(props, indent);
+
+    // Handle double-nested module structures (tag: { tag: {...} })
+    if (typeof props === 'object' && props !== null &&
+        props[tag] && typeof props[tag] === 'object') {
+      props = props[tag];
+    }
+
+    const directive = directives(props);
+    if (directive) return this.convertDirectiveToJSX(tag, directive, indent);
+
     const spaces = '  '.repeat(indent);
     const Tag = this.isComponent(tag) ? this.pascalCase(tag) : tag;
     
     const attributes = this.convertPropsToJSX(props);
     const children = props.children;
-    const textContent = props.text;
+    // Same string literals as text nodes, so <pre> text keeps its newlines and indentation
+    const textContent = props.text != null && props.text !== '' ? this.convertTextToJSX(props.text) : '';
 
     if (!children && !textContent && props._selfClosing) {
       return `${spaces}<${Tag}${attributes} />`;
@@ -183,7 +477,7 @@ ${jsx}
     
     if (children) {
       const childrenJSX = Array.isArray(children)
-        ? children.map(child => this.convertStructureToJSX(child, indent + 1)).join('\n')
+        ? children.map(child => this.convertStructureToJSX(child, indent + 1)).filter(Boolean).join('\n')
         : this.convertStructureToJSX(children, indent + 1);
       
       if (textContent && children) {
@@ -196,21 +490,86 @@ ${jsx}
     return `${spaces}<${Tag}${attributes}>${content}</${Tag}>`;
   }
 
+  /**
+   * `each` becomes collection.map(), `if` a conditional expression
+   */
+  convertDirectiveToJSX(tag, { loop, condition, rest }, indent) {
+    const spaces = '  '.repeat(indent);
+
+    const known = condition && staticTest(condition, loop, this.scope || {}, path => this.isDynamic(path));
+    if (known === false) return '';
+    if (known === true) condition = null;
+    if (!loop && !condition) return this.convertElementToJSX(tag, rest, indent);
+
+    if (!loop) {
+      const element = this.convertElementToJSX(tag, rest, indent + 1);
+      return `${spaces}{${this.conditionCode(condition)} ? (\n${element}\n${spaces}) : null}`;
+    }
+
+    checkCollection(this, loop);
+    const collection = interpolator.toJavaScript(loop.collection, this.accessor(loop.collection.path));
+    const head = `${spaces}{(${collection} ?? []).map((${loop.item}, ${loop.index}) => (`;
+
+    this.loopVariables.push(loop.item, loop.index);
+    try {
+      if (!condition) {
+        const element = this.convertElementToJSX(tag, { _key: loop.index, ...rest }, indent + 1);
+        return `${head}\n${element}\n${spaces}))}`;
+      }
+
+      const element = this.convertElementToJSX(tag, { _key: loop.index, ...rest }, indent + 2);
+      return `${head}\n${spaces}  ${this.conditionCode(condition)} ? (\n${element}\n${spaces}  ) : null\n${spaces}))}`;
+    } finally {
+      this.loopVariables.splice(-2);
+    }
+  }
+
+  conditionCode(condition) {
+    return interpolator.conditionToJavaScript(condition, this.accessor(condition.expression.path));
+  }
+
+  /**
+   * The default slot is props.children, a named slot the prop of that name;
+   * fallback content renders when the prop is not passed
+   */
+  convertSlotToJSX(props, indent) {
+    const spaces = '  '.repeat(indent);
+    const { name, children } = Slots.normalize(props);
+    const prop = jsAccessor('props', [name === DEFAULT_SLOT ? 'children' : this.camelCase(name)]);
+    const fallback = childList(children);
+
+    if (fallback.length === 0) return `${spaces}{${prop}}`;
+
+    const content = fallback.length === 1 && typeof fallback[0] === 'object'
+      ? this.convertStructureToJSX(fallback[0], indent + 1)
+      : `${spaces}  <>\n${fallback.map(child => this.convertStructureToJSX(child, indent + 2)).join('\n')}\n${spaces}  </>`;
+    return `${spaces}{${prop} ?? (\n${content}\n${spaces})}`;
+  }
+
   convertPropsToJSX(props) {
     const attributes = [];
     
     Object.entries(props).forEach(([key, value]) => {
       if (key === 'children' || key === '_selfClosing' || key === 'text') return;
 
-      if (key === 'style' && typeof value === 'string') {
-        attributes.push(`className="${value}"`);
-      } else if (key.startsWith('on') && typeof value === 'string') {
+      if (key === '_key') {
+        attributes.push(`key={${value}}`);
+        return;
+      }
+
+      if (key.startsWith('on') && typeof value === 'string') {
         // Event handler
         attributes.push(`${key}={${value}}`);
+      } else if (typeof value === 'string' && interpolator.hasExpressions(value)) {
+        attributes.push(`${key === 'style' ? 'className' : key}={${this.interpolateExpression(value)}}`);
+      } else if (key === 'style' && typeof value === 'string') {
+        const { class: className, ...scoped } = styleScope(this).attributes(value);
+        attributes.push(`className="${className}"`);
+        Object.entries(scoped).forEach(([name, scope]) => attributes.push(`${name}="${scope}"`));
       } else if (typeof value === 'boolean' && value) {
         attributes.push(key);
       } else if (typeof value === 'string') {
-        attributes.push(`${key}="${value}"`);
+        attributes.push(`${key}="${interpolator.unescape(value)}"`);
       } else {
         attributes.push(`${key}={${JSON.stringify(value)}}`);
       }
@@ -219,21 +578,84 @@ ${jsx}
     return attributes.length > 0 ? ' ' + attributes.join(' ') : '';
   }
 
+  /**
+   * A text node as {expressions}: JSX trims whitespace at line edges, so the spaces of
+   * mixed content (['Hello ', { strong: ... }, '!']) only survive inside string literals
+   */
+  convertTextToJSX(text) {
+    if (typeof text !== 'string' || !interpolator.hasExpressions(text)) return `{${JSON.stringify(interpolator.unescape(text))}}`;
+    return this.resolveParts(text).map(part => `{${part.code}}`).join('');
+  }
+
+  /**
+   * Single JavaScript expression for an attribute value
+   */
+  interpolateExpression(text) {
+    const parts = this.resolveParts(text);
+    if (parts.length === 1 && parts[0].type === 'runtime') return parts[0].code;
+
+    return parts
+      .map(part => (part.type === 'runtime' && parts.length > 1 ? group(part.code) : part.code))
+      .join(' + ');
+  }
+
+  resolveParts(text) {
+    return interpolator.resolve(text, this.scope || {}, path => this.isDynamic(path)).map(part => {
+      if (part.type === 'runtime') {
+        return { type: 'runtime', code: interpolator.toJavaScript(part.expression, this.accessor(part.expression.path)) };
+      }
+      return { ...part, code: JSON.stringify(part.value) };
+    });
+  }
+
+  isDynamic(path) {
+    return (this.loopVariables || []).includes(path[0]) || Boolean(this.isRuntime && this.isRuntime(path));
+  }
+
+  /**
+   * JavaScript for a path: loop variables, props and data are referenced, other scopes inlined
+   */
+  accessor(path) {
+    const [root, ...rest] = path;
+    if ((this.loopVariables || []).includes(root)) return jsAccessor(root, rest);
+    if (this.isDynamic(path)) {
+      const [name, ...segments] = propPath(path);
+      return (this.defaultedProps || []).includes(name) ? jsAccessor(name, segments) : jsAccessor('props', propPath(path));
+    }
+    if (root === 'data') return jsAccessor('data', rest);
+    return JSON.stringify(interpolator.lookup(path, this.scope || {}) ?? null);
+  }
+
   generateReactStyles(manifest) {
-    if (!manifest._mergedStyles) return '';
+    const { before, after } = globalRules(manifest);
+    if (!manifest._mergedStyles && before.length === 0 && after.length === 0) return '';
 
-    const cssRules = Object.entries(manifest._mergedStyles)
-      .map(([className, styles]) => {
-        const cssProps = Object.entries(styles)
-          .map(([prop, value]) => `  ${prop}: ${JSON.stringify(value)};`)
-          .join('\n');
-        return `.${className} {\n${cssProps}\n}`;
-      })
-      .join('\n\n');
+    const cssRules = optimizeCSS(this, [...before, ...Object.entries(manifest._mergedStyles || {})
+      .map(([className, styles]) => styleToCSS(styleScope(this).selector(className), styles)), ...after]
+      .join('\n\n'))
+      // Embedded in a template literal
+      .replace(/[\\`]|\$\{/g, match => `\\${match}`);
 
     return `const styles = \`\n${cssRules}\n\`;\n\n// Add styles to document\nif (typeof document !== 'undefined') {\n  const styleSheet = document.createElement('style');\n  styleSheet.textContent = styles;\n  document.head.appendChild(styleSheet);\n}`;
   }
 
+  /**
+   * Design tokens as var(--...) references for inline styles, and a theme switcher
+   */
+  generateReactTokens(manifest) {
+    const tokens = DesignTokens.forManifest(manifest);
+    if (tokens.empty) return '';
+
+    const themes = Object.keys(tokens.themes);
+    const setTheme = themes.length === 0 ? '' : `\n\n// ${themes.map(theme => `'${theme}'`).join(', ')}, or null for the default tokens
+export const setTheme = (name) => {
+  if (name) document.documentElement.setAttribute('${THEME_ATTRIBUTE}', name);
+  else document.documentElement.removeAttribute('${THEME_ATTRIBUTE}');
+};`;
+
+    return `export const tokens = ${JSON.stringify(tokens.object({ references: true }), null, 2)};${setTheme}`;
+  }
+
   // Utility methods
   getComponentName(manifest) {
     return manifest.manifest?.name ? this.pascalCase(manifest.manifest.name) : 'Component';
@@ -307,16 +729,32 @@ ${jsx}
 }
 
 class ManifestToVueConverter {
-  convertToVue(manifest) {
+  /**
+   * options.styleScope overrides manifest.style_scope, options.optimize enables CssOptimizer,
+   * options.tailwind renders styles as Tailwind utility classes
+   */
+  convertToVue(manifest, options = {}) {
+    manifest = prepareOptimizer(this, manifest, options);
+    this.scope = createScope(manifest, { props: {} });
+    manifest = prepareStyles(this, manifest, options);
+    this.isRuntime = propsRuntime(manifest);
+    this.loopVariables = [];
     const componentName = this.getComponentName(manifest);
     const template = this.generateVueTemplate(manifest);
     const script = this.generateVueScript(manifest);
     const style = this.generateVueStyle(manifest);
-
-    return {
-      filename: `${componentName}.vue`,
-      content: `<template>\n${template}\n</template>\n\n<script>\n${script}\n</script>\n\n<style scoped>\n${style}\n</style>`
-    };
+    // Token variables, global rules and keyframes must not be rewritten by the scoped block
+    const { before, after } = globalRules(manifest);
+    const global = [...before, ...after];
+    const tokens = global.length > 0 ? `\n\n<style>\n${optimizeCSS(this, global.join('\n\n'))}\n</style>` : '';
+    // Tailwind output has no rules of its own
+    const scoped = style || !options.tailwind ? `\n\n<style scoped>\n${style}\n</style>` : '';
+
+    return conversionResult(
+      this,
+      `${componentName}.vue`,
+      `<template>\n${template}\n</template>\n\n<script>\n${script}\n</script>${tokens}${scoped}`
+    );
   }
 
   generateVueTemplate(manifest) {
@@ -337,25 +775,20 @@ class ManifestToVueConverter {
   generateVueStyle(manifest) {
     if (!manifest._mergedStyles) return '';
 
-    return Object.entries(manifest._mergedStyles)
-      .map(([className, styles]) => {
-        const cssProps = Object.entries(styles)
-          .map(([prop, value]) => `  ${prop}: ${value};`)
-          .join('\n');
-        return `.${className} {\n${cssProps}\n}`;
-      })
-      .join('\n\n');
+    return optimizeCSS(this, Object.entries(manifest._mergedStyles)
+      .map(([className, styles]) => styleToCSS(styleScope(this).selector(className), styles))
+      .join('\n\n'));
   }
 
   convertStructureToVue(structure, indent = 0) {
-    const spaces = '  '.repeat(indent);
+    const spaces = this.inline ? '' : '  '.repeat(indent);
     
     if (typeof structure === 'string') {
-      return `${spaces}${structure}`;
+      return `${spaces}${this.interpolateText(structure)}`;
     }
 
     if (structure.text) {
-      return `${spaces}${structure.text}`;
+      return `${spaces}${this.interpolateText(structure.text)}`;
     }
 
     const entries = Object.entries(structure);
@@ -368,10 +801,15 @@ class ManifestToVueConverter {
       // Use inner content for double-nested modules
       actualProps = props[tag];
     }
+
+    if (tag === 'slot') return this.convertSlotToVue(actualProps, indent);
+
+    const directive = directives(actualProps);
+    if (directive) return this.convertDirectiveToVue(tag, directive, indent);
     
     const attributes = this.convertPropsToVue(actualProps);
     const children = actualProps.children;
-    const textContent = actualProps.text;
+    const textContent = this.interpolateText(actualProps.text, RAW_TEXT_TAGS.includes(tag));
 
     // Handle self-closing tags
     const selfClosingTags = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
@@ -390,53 +828,119 @@ class ManifestToVueConverter {
     }
     
     if (children) {
-      let childrenVue = '';
+      const inline = this.inline || PREFORMATTED_TAGS.includes(tag) || isMixedContent(children);
+      const childrenVue = renderInline(this, inline, () => this.convertChildrenToVue(children, indent));
+
+      if (inline) {
+        content = `${textContent || ''}${childrenVue}`;
+      } else if (textContent) {
+        content = `${textContent}\n${childrenVue}\n${spaces}`;
+      } else {
+        content = `\n${childrenVue}\n${spaces}`;
+      }
+    }
+
+    return `${spaces}<${tag}${attributes}>${content}</${tag}>`;
+  }
+
+  /**
+   * Template of the children of an element at `indent`: a list, a map of tags or a single node
+   */
+  convertChildrenToVue(children, indent) {
+    let childrenVue = '';
+    
+    if (Array.isArray(children)) {
+      // Handle array of children
+      childrenVue = children.map(child => this.convertStructureToVue(child, indent + 1)).filter(Boolean).join(this.inline ? '' : '\n');
+    } else if (typeof children === 'object' && children !== null) {
+      // Handle object children (named sections like head/body or components)
+      const childEntries = Object.entries(children);
       
-      if (Array.isArray(children)) {
-        // Handle array of children
-        childrenVue = children.map(child => this.convertStructureToVue(child, indent + 1)).join('\n');
-      } else if (typeof children === 'object' && children !== null) {
-        // Handle object children (named sections like head/body or components)
-        const childEntries = Object.entries(children);
+      if (childEntries.length === 1) {
+        // Single child object - process as element
+        const [childTag, childProps] = childEntries[0];
         
-        if (childEntries.length === 1) {
-          // Single child object - process as element
-          const [childTag, childProps] = childEntries[0];
-          
-          // Handle double-nested module structures (header: { header: {...} })
-          if (typeof childProps === 'object' && childProps !== null && 
-              childProps[childTag] && typeof childProps[childTag] === 'object') {
-            // Double-nested structure - use inner content directly as props for outer tag
-            const innerProps = childProps[childTag];
-            const childStructure = { [childTag]: innerProps };
-            childrenVue = this.convertStructureToVue(childStructure, indent + 1);
-          } else {
-            // Normal single child structure
-            const childStructure = { [childTag]: childProps };
-            childrenVue = this.convertStructureToVue(childStructure, indent + 1);
-          }
+        // Handle double-nested module structures (header: { header: {...} })
+        if (typeof childProps === 'object' && childProps !== null && 
+            childProps[childTag] && typeof childProps[childTag] === 'object') {
+          // Double-nested structure - use inner content directly as props for outer tag
+          const innerProps = childProps[childTag];
+          const childStructure = { [childTag]: innerProps };
+          childrenVue = this.convertStructureToVue(childStructure, indent + 1);
         } else {
-          // Multiple children as object - process each as separate element
-          childrenVue = childEntries
-            .map(([childTag, childProps]) => {
-              const childStructure = { [childTag]: childProps };
-              return this.convertStructureToVue(childStructure, indent + 1);
-            })
-            .join('\n');
+          // Normal single child structure
+          const childStructure = { [childTag]: childProps };
+          childrenVue = this.convertStructureToVue(childStructure, indent + 1);
         }
       } else {
-        // Handle primitive children
-        childrenVue = this.convertStructureToVue(children, indent + 1);
+        // Multiple children as object - process each as separate element
+        childrenVue = childEntries
+          .map(([childTag, childProps]) => {
+            const childStructure = { [childTag]: childProps };
+            return this.convertStructureToVue(childStructure, indent + 1);
+          })
+          .filter(Boolean)
+          .join(this.inline ? '' : '\n');
       }
-      
-      if (textContent && children) {
-        content = `${textContent}\n${childrenVue}\n${spaces}`;
-      } else if (children) {
-        content = `\n${childrenVue}\n${spaces}`;
+    } else {
+      // Handle primitive children
+      childrenVue = this.convertStructureToVue(children, indent + 1);
+    }
+
+    return childrenVue;
+  }
+
+  /**
+   * `each` becomes v-for with a :key, `if` becomes v-if; together they need a
+   * <template v-for> wrapper because v-if takes precedence on the same element
+   */
+  convertDirectiveToVue(tag, { loop, condition, rest }, indent) {
+    const spaces = this.inline ? '' : '  '.repeat(indent);
+
+    const known = condition && staticTest(condition, loop, this.scope || {}, path => this.isDynamic(path));
+    if (known === false) return '';
+    if (known === true) condition = null;
+    if (!loop && !condition) return this.convertStructureToVue({ [tag]: rest }, indent);
+
+    const attribute = code => code.replace(/"/g, '&quot;');
+    const vIf = condition
+      ? `v-if="${attribute(interpolator.conditionToJavaScript(condition, this.accessor(condition.expression.path)))}"`
+      : null;
+
+    if (!loop) {
+      return this.convertStructureToVue({ [tag]: { _directives: vIf, ...rest } }, indent);
+    }
+
+    checkCollection(this, loop);
+    const collection = interpolator.toJavaScript(loop.collection, this.accessor(loop.collection.path));
+    const vFor = `v-for="(${loop.item}, ${loop.index}) in ${attribute(collection)}" :key="${loop.index}"`;
+
+    this.loopVariables.push(loop.item, loop.index);
+    try {
+      if (!condition) {
+        return this.convertStructureToVue({ [tag]: { _directives: vFor, ...rest } }, indent);
       }
+
+      // v-if is compiled inside the loop so it can use the loop variables
+      const element = this.convertStructureToVue({ [tag]: { ...rest, if: condition.source } }, indent + 1);
+      const newline = this.inline ? '' : '\n';
+      return `${spaces}<template ${vFor}>${newline}${element}${newline}${spaces}</template>`;
+    } finally {
+      this.loopVariables.splice(-2);
     }
+  }
 
-    return `${spaces}<${tag}${attributes}>${content}</${tag}>`;
+  /**
+   * <slot name="..."> with the fallback content inside; the default slot has no name
+   */
+  convertSlotToVue(props, indent) {
+    const spaces = '  '.repeat(indent);
+    const { name, children } = Slots.normalize(props);
+    const open = name === DEFAULT_SLOT ? '<slot' : `<slot name="${escapeHTML(name)}"`;
+    const fallback = childList(children);
+
+    if (fallback.length === 0) return `${spaces}${open} />`;
+    return `${spaces}${open}>\n${fallback.map(child => this.convertStructureToVue(child, indent + 1)).join('\n')}\n${spaces}</slot>`;
   }
 
   convertPropsToVue(props) {
@@ -445,13 +949,22 @@ class ManifestToVueConverter {
     Object.entries(props).forEach(([key, value]) => {
       if (key === 'children' || key === 'text') return;
 
-      if (key === 'style' && typeof value === 'string') {
-        attributes.push(`:class="'${value}'"`);
-      } else if (key.startsWith('on')) {
+      if (key === '_directives') {
+        if (value) attributes.push(value);
+        return;
+      }
+
+      if (key.startsWith('on')) {
         const eventName = key.slice(2).toLowerCase();
         attributes.push(`@${eventName}="${value}"`);
+      } else if (typeof value === 'string' && interpolator.hasExpressions(value)) {
+        attributes.push(this.interpolateAttribute(key === 'style' ? 'class' : key, value));
+      } else if (key === 'style' && typeof value === 'string') {
+        const { class: className, ...scoped } = styleScope(this).attributes(value);
+        attributes.push(`:class="'${className.replace(/'/g, '\\\'')}'"`);
+        Object.entries(scoped).forEach(([name, scope]) => attributes.push(`${name}="${scope}"`));
       } else if (typeof value === 'string') {
-        attributes.push(`${key}="${value}"`);
+        attributes.push(`${key}="${interpolator.unescape(value)}"`);
       } else {
         attributes.push(`:${key}="${JSON.stringify(value)}"`);
       }
@@ -460,14 +973,85 @@ class ManifestToVueConverter {
     return attributes.length > 0 ? ' ' + attributes.join(' ') : '';
   }
 
+  /**
+   * Template text: static values are inlined (escaped), props become {{ mustache }}
+   */
+  interpolateText(text, rawText = false) {
+    if (typeof text !== 'string') return text;
+
+    // Braces in literal text and static values must not start a mustache
+    const noMustache = value => value.replace(/\{/g, '&#123;');
+    const literal = value => (rawText ? value : noMustache(escapeLiteral(value)));
+
+    if (!interpolator.hasExpressions(text)) return literal(interpolator.unescape(text));
+
+    return this.resolveParts(text)
+      .map(part => {
+        if (part.type === 'text') return literal(part.value);
+        if (part.type === 'runtime') return `{{ ${part.code} }}`;
+        return noMustache(rawText || part.expression.raw ? part.value : escapeHTML(part.value));
+      })
+      .join('');
+  }
+
+  /**
+   * Plain attribute when everything is static, v-bind otherwise
+   */
+  interpolateAttribute(key, text) {
+    const parts = this.resolveParts(text);
+
+    if (!parts.some(part => part.type === 'runtime')) {
+      return `${key}="${escapeHTML(parts.map(part => part.value).join(''))}"`;
+    }
+
+    const code = parts
+      .map(part => (part.type === 'runtime' ? (parts.length > 1 ? group(part.code) : part.code) : this.quote(part.value)))
+      .join(' + ');
+    return `:${key}="${code.replace(/"/g, '&quot;')}"`;
+  }
+
+  resolveParts(text) {
+    return interpolator.resolve(text, this.scope || {}, path => this.isDynamic(path)).map(part => {
+      if (part.type !== 'runtime') return part;
+      return { type: 'runtime', code: interpolator.toJavaScript(part.expression, this.accessor(part.expression.path)) };
+    });
+  }
+
+  isDynamic(path) {
+    return (this.loopVariables || []).includes(path[0]) || Boolean(this.isRuntime && this.isRuntime(path));
+  }
+
+  /**
+   * Template expression for a path: loop variables and props are available by name,
+   * data through the component's `data` field, other scopes are inlined
+   */
+  accessor(path) {
+    const [root, ...rest] = path;
+    if ((this.loopVariables || []).includes(root)) return jsAccessor(root, rest);
+    if (this.isDynamic(path)) {
+      const [name, ...segments] = propPath(path);
+      return jsAccessor(name, segments);
+    }
+    if (root === 'data') return jsAccessor('data', rest);
+    return JSON.stringify(interpolator.lookup(path, this.scope || {}) ?? null);
+  }
+
+  quote(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+  }
+
   generateVueProps(manifest) {
     if (!manifest.props) return '';
 
     const props = Object.entries(manifest.props)
       .map(([name, prop]) => {
+        // Objects and arrays need a factory, so instances don't share one default
+        const value = prop.default !== undefined && prop.type !== 'function' ? JSON.stringify(prop.default) : null;
+        const fallback = value === null ? '' : `,
+      default: ${prop.default !== null && typeof prop.default === 'object' ? `() => (${value})` : value}`;
         return `    ${name}: {
       type: ${this.convertVuePropType(prop.type)},
-      required: ${prop.required || false}
+      required: ${prop.required || false}${fallback}
     }`;
       })
       .join(',\n');
@@ -476,10 +1060,14 @@ class ManifestToVueConverter {
   }
 
   generateVueData(manifest) {
-    // Generate reactive data based on interactive elements
+    // The `data` section is exposed as `data` for v-for/v-if
+    const fields = hasData(manifest)
+      ? `data: ${JSON.stringify(manifest.data, null, 2).replace(/\n/g, '\n      ')}`
+      : '// Component data';
+
     return `\n  data() {
     return {
-      // Component data
+      ${fields}
     };
   },`;
   }
@@ -520,14 +1108,20 @@ class ManifestToVueConverter {
 }
 
 class ManifestToPHPConverter {
-  convertToPHP(manifest) {
+  /**
+   * options.styleScope overrides manifest.style_scope, options.optimize enables CssOptimizer
+   */
+  convertToPHP(manifest, options = {}) {
+    manifest = prepareOptimizer(this, manifest, options);
+    this.scope = createScope(manifest, { props: {} });
+    this.styleScope = StyleScope.forManifest(manifest, options);
+    this.isRuntime = propsRuntime(manifest);
+    this.loopVariables = [];
+    this.slotNames = Slots.names(manifest.structure);
     const className = this.getClassName(manifest);
     const phpClass = this.generatePHPClass(manifest, className);
 
-    return {
-      filename: `${className}.php`,
-      content: `<?php\n\n${phpClass}`
-    };
+    return conversionResult(this, `${className}.php`, `<?php\n\n${phpClass}`);
   }
 
   generatePHPClass(manifest, className) {
@@ -548,25 +1142,28 @@ ${render}
   }
 
   generatePHPProperties(manifest) {
-    if (!manifest.props) return '';
+    const names = Object.keys(manifest.props || {});
+    // Slot content is passed as rendered HTML keyed by slot name
+    if (this.hasSlots()) names.push('slots');
+    if (names.length === 0) return '';
 
-    return Object.keys(manifest.props)
+    return names
       .map(prop => `    private $${prop};`)
       .join('\n') + '\n';
   }
 
   generatePHPConstructor(manifest) {
-    if (!manifest.props) return '';
+    if (!manifest.props && !this.hasSlots()) return '';
 
-    const params = Object.entries(manifest.props)
-      .map(([name, prop]) => `$${name} = null`)
-      .join(', ');
+    const params = Object.entries(manifest.props || {})
+      .map(([name, prop]) => `$${name} = ${phpLiteral(prop && prop.default)}`);
+    if (this.hasSlots()) params.push('array $slots = []');
 
-    const assignments = Object.keys(manifest.props)
+    const assignments = [...Object.keys(manifest.props || {}), ...(this.hasSlots() ? ['slots'] : [])]
       .map(prop => `        $this->${prop} = $${prop};`)
       .join('\n');
 
-    return `    public function __construct(${params})
+    return `    public function __construct(${params.join(', ')})
     {
 ${assignments}
     }\n`;
@@ -590,22 +1187,28 @@ ${assignments}
     const html = this.convertStructureToPHP(manifest.structure);
     const css = this.generatePHPStyles(manifest);
 
+    const data = hasData(manifest)
+      ? `        $data = json_decode(${phpString(JSON.stringify(manifest.data))}, true);\n`
+      : '';
+
+    // Inline HTML with output buffering, so props can be echoed in place
     return `    public function render(): string
     {
-        $styles = '${css}';
-        $html = '${html}';
-        
-        return "<style>$styles</style>$html";
+${data}        ob_start();
+        ?>
+<style>${css}</style>${html}
+<?php
+        return ob_get_clean();
     }`;
   }
 
   convertStructureToPHP(structure) {
     if (typeof structure === 'string') {
-      return structure;
+      return this.interpolateText(structure);
     }
 
     if (structure.text) {
-      return structure.text;
+      return this.interpolateText(structure.text);
     }
 
     const [tag, props] = Object.entries(structure)[0];
@@ -617,10 +1220,15 @@ ${assignments}
       // Use inner content for double-nested modules
       actualProps = props[tag];
     }
+
+    if (tag === 'slot') return this.convertSlotToPHP(actualProps);
+
+    const directive = directives(actualProps);
+    if (directive) return this.convertDirectiveToPHP(tag, directive);
     
     const attributes = this.convertPropsToPHP(actualProps);
     const children = actualProps.children;
-    const textContent = actualProps.text;
+    const textContent = this.interpolateText(actualProps.text, RAW_TEXT_TAGS.includes(tag));
 
     // Handle self-closing tags
     const selfClosingTags = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
@@ -688,16 +1296,60 @@ ${assignments}
     return `<${tag}${attributes}>${content}</${tag}>`;
   }
 
+  /**
+   * Echo the slot's HTML from $this->slots, or the fallback content
+   */
+  convertSlotToPHP(props) {
+    const { name, children } = Slots.normalize(props);
+    const slot = `$this->slots[${phpString(name)}]`;
+    const fallback = childList(children).map(child => this.convertStructureToPHP(child)).join('');
+
+    if (!fallback) return `<?= ${slot} ?? '' ?>`;
+    return `<?php if (isset(${slot})): ?><?= ${slot} ?><?php else: ?>${fallback}<?php endif; ?>`;
+  }
+
+  hasSlots() {
+    return Boolean(this.slotNames && this.slotNames.length > 0);
+  }
+
+  /**
+   * `each` becomes a foreach block, `if` an if block around the element
+   */
+  convertDirectiveToPHP(tag, { loop, condition, rest }) {
+    const known = condition && staticTest(condition, loop, this.scope || {}, path => this.isDynamic(path));
+    if (known === false) return '';
+    if (known === true) condition = null;
+    if (!loop && !condition) return this.convertStructureToPHP({ [tag]: rest });
+
+    if (!loop) {
+      const test = interpolator.conditionToPHP(condition, this.accessor(condition.expression.path));
+      return `<?php if (${test}): ?>${this.convertStructureToPHP({ [tag]: rest })}<?php endif; ?>`;
+    }
+
+    checkCollection(this, loop);
+    const collection = interpolator.toPHP(loop.collection, this.accessor(loop.collection.path));
+
+    this.loopVariables.push(loop.item, loop.index);
+    try {
+      const element = this.convertStructureToPHP({ [tag]: condition ? { ...rest, if: condition.source } : rest });
+      return `<?php foreach (${collection} ?? [] as $${loop.index} => $${loop.item}): ?>${element}<?php endforeach; ?>`;
+    } finally {
+      this.loopVariables.splice(-2);
+    }
+  }
+
   convertPropsToPHP(props) {
     const attributes = [];
     
     Object.entries(props).forEach(([key, value]) => {
       if (key === 'children' || key === 'text') return;
 
-      if (key === 'style') {
-        attributes.push(`class="${value}"`);
+      if (key === 'style' && typeof value === 'string' && !interpolator.hasExpressions(value)) {
+        Object.entries(styleScope(this).attributes(value)).forEach(([name, attribute]) => attributes.push(`${name}="${attribute}"`));
+      } else if (key === 'style') {
+        attributes.push(`class="${this.interpolateText(value, false, { attribute: true })}"`);
       } else if (typeof value === 'string') {
-        attributes.push(`${key}="${value}"`);
+        attributes.push(`${key}="${this.interpolateText(value, false, { attribute: true })}"`);
       } else if (typeof value === 'boolean' && value) {
         attributes.push(key);
       }
@@ -706,19 +1358,55 @@ ${assignments}
     return attributes.length > 0 ? ' ' + attributes.join(' ') : '';
   }
 
-  generatePHPStyles(manifest) {
-    if (!manifest._mergedStyles) return '';
+  /**
+   * Static values are inlined (escaped), props are echoed with htmlspecialchars
+   */
+  interpolateText(text, rawText = false, { attribute = false } = {}) {
+    if (typeof text !== 'string') return text;
+
+    const literal = value => (rawText ? value : escapeLiteral(value, { attribute }));
+    if (!interpolator.hasExpressions(text)) return literal(interpolator.unescape(text));
 
-    return Object.entries(manifest._mergedStyles)
-      .map(([className, styles]) => {
-        const cssProps = Object.entries(styles)
-          .map(([prop, value]) => `${prop}:${value}`)
-          .join(';');
-        return `.${className}{${cssProps}}`;
+    return interpolator.resolve(text, this.scope || {}, path => this.isDynamic(path))
+      .map(part => {
+        if (part.type === 'text') return literal(part.value);
+        if (part.type === 'value') return rawText || part.expression.raw ? part.value : escapeHTML(part.value);
+
+        const code = interpolator.toPHP(part.expression, this.accessor(part.expression.path));
+        return part.expression.raw ? `<?= ${code} ?>` : `<?= htmlspecialchars((string) ${code}, ENT_QUOTES) ?>`;
       })
       .join('');
   }
 
+  isDynamic(path) {
+    return (this.loopVariables || []).includes(path[0]) || Boolean(this.isRuntime && this.isRuntime(path));
+  }
+
+  /**
+   * PHP for a path: loop variables, props and $data are referenced, other scopes inlined
+   */
+  accessor(path) {
+    const [root, ...rest] = path;
+    if ((this.loopVariables || []).includes(root)) return phpAccessor(`$${root}`, rest);
+    if (this.isDynamic(path)) {
+      const [name, ...segments] = propPath(path);
+      return phpAccessor(`$this->${name}`, segments);
+    }
+    if (root === 'data') return phpAccessor('$data', rest);
+    return `json_decode(${phpString(JSON.stringify(interpolator.lookup(path, this.scope || {}) ?? null))}, true)`;
+  }
+
+  generatePHPStyles(manifest) {
+    const { before, after } = globalRules(manifest, { compact: true });
+
+    return optimizeCSS(this, [...before, ...Object.entries(manifest._mergedStyles || {})
+      .map(([className, styles]) => styleToCSS(styleScope(this).selector(className), styles, {
+        declaration: (prop, value) => `${prop}:${value}`,
+        compact: true
+      })), ...after]
+      .join(''));
+  }
+
   getClassName(manifest) {
     return manifest.manifest?.name ? this.pascalCase(manifest.manifest.name) : 'Component';
   }
@@ -730,19 +1418,54 @@ ${assignments}
 }
 
 class ManifestToHTMLConverter {
-  convertToHTML(manifest) {
-    const title = manifest.manifest?.name || 'Generated Page';
-    const html = this.generateHTML(manifest);
+  /**
+   * Options:
+   * - filename: output file name (default index.html)
+   * - title: page title, overrides manifest.name
+   * - stylesheets: extra stylesheet URLs linked before the inline styles
+   * - omitRules: Set of CSS rules (as produced by generateCSSRules) to leave out of the inline styles
+   * - styleScope: overrides manifest.style_scope
+   * - optimize: CssOptimizer options (or true); with `critical` only the rules of the first
+   *   sections stay in the head, the rest load at the end of the body and stylesheets are preloaded
+   * - tailwind: render styles as Tailwind utility classes; true loads Tailwind from its CDN,
+   *   { cdn: false } leaves that to the page's own build
+   * - sanitize: HtmlSanitizer options (or true) for untrusted manifests: elements and attributes
+   *   outside the allowlist, `html` fields and `| raw` values are filtered, and interactions and
+   *   script imports are left out. Text, attributes and URLs are escaped in every mode.
+   * - csp: compute a Content-Security-Policy for the page (true or { nonce, directives, meta }),
+   *   returned as result.csp and, unless meta is false, added as a <meta> tag
+   */
+  convertToHTML(manifest, options = {}) {
+    manifest = prepareOptimizer(this, manifest, options);
+    this.sanitizer = HtmlSanitizer.from(options.sanitize);
+    this.scope = createScope(manifest);
+    this.isProp = propsRuntime(manifest);
+    this.loopVariables = [];
+    manifest = prepareStyles(this, manifest, options);
+    const html = this.generateHTML(manifest, options);
+
+    if (!options.csp) return conversionResult(this, options.filename || 'index.html', html);
+    const { content, policy } = this.applyContentSecurityPolicy(html, options.csp === true ? {} : options.csp);
+    return { ...conversionResult(this, options.filename || 'index.html', content), csp: policy.toString() };
+  }
 
-    return {
-      filename: 'index.html',
-      content: html
-    };
+  /**
+   * Page with nonces and the CSP <meta> tag added, and the policy it was computed for
+   */
+  applyContentSecurityPolicy(html, options = {}) {
+    const policy = ContentSecurityPolicy.forHTML(html, options);
+    let content = options.nonce ? ContentSecurityPolicy.applyNonce(html, options.nonce) : html;
+    if (options.meta !== false) {
+      // Must come before anything it governs
+      content = content.replace(/(<meta charset="UTF-8">\n)/, `$1  ${policy.metaTag()}\n`);
+    }
+    return { content, policy };
   }
 
-  generateHTML(manifest) {
-    const head = this.generateHead(manifest);
+  generateHTML(manifest, options = {}) {
+    const head = this.generateHead(manifest, options);
     const body = this.generateBody(manifest);
+    const deferred = this.generateDeferredStyles(manifest, options);
     const scripts = this.generateScripts(manifest);
 
     return `<!DOCTYPE html>
@@ -752,39 +1475,101 @@ ${head}
 </head>
 <body>
 ${body}
-${scripts}
+${deferred}${scripts}
 </body>
 </html>`;
   }
 
-  generateHead(manifest) {
-    const title = manifest.manifest?.name || 'Generated Page';
-    const styles = this.generateHTMLStyles(manifest);
+  generateHead(manifest, options = {}) {
+    const title = escapeHTML(options.title || manifest.manifest?.name || 'Generated Page');
+    const stylesheets = (options.stylesheets || [])
+      .map(href => escapeHTML(safeURL(href)))
+      .map(href => this.criticalStyles(manifest)
+        // Loads without blocking the first paint, which the critical rules already cover
+        ? `  <link rel="preload" as="style" href="${href}" onload="this.onload=null;this.rel='stylesheet'">\n` +
+          `  <noscript><link rel="stylesheet" href="${href}"></noscript>\n`
+        : `  <link rel="stylesheet" href="${href}">\n`)
+      .join('');
+    const styles = this.generateHTMLStyles(manifest, options);
     const imports = this.generateHTMLImports(manifest);
+    const tailwind = options.tailwind && options.tailwind.cdn !== false ? `  <script src="${TAILWIND_CDN}"></script>\n` : '';
+    // Runs before the body renders, so a saved theme applies without a flash
+    const switcher = DesignTokens.forManifest(manifest).switcherScript();
+    const themeScript = switcher ? `  <script>\n${switcher.replace(/^/gm, '    ')}\n  </script>\n` : '';
 
     return `  <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>${title}</title>
-${styles}${imports}`;
+${stylesheets}${tailwind}${styles}${themeScript}${imports}`;
   }
 
   generateBody(manifest) {
-    return this.convertStructureToHTML(manifest.structure, 1);
+    // Static pages have no caller: slots render their fallback content
+    return this.convertStructureToHTML(new Slots().fill(manifest.structure), 1);
   }
 
-  generateHTMLStyles(manifest) {
-    if (!manifest._mergedStyles) return '';
+  generateHTMLStyles(manifest, options = {}) {
+    const omit = options.omitRules || new Set();
+    const { before, after } = this.generateGlobalRules(manifest);
+    const critical = this.criticalStyles(manifest);
+    if (critical) {
+      // Shared stylesheets are not loaded yet when the page first paints, so nothing is omitted
+      const styles = Object.fromEntries(Object.entries(manifest._mergedStyles || {})
+        .filter(([key]) => critical.has(key)));
+      return this.styleElement([...before, ...this.generateCSSRules(styles)], 1);
+    }
 
-    const css = Object.entries(manifest._mergedStyles)
-      .map(([className, styles]) => {
-        const cssProps = Object.entries(styles)
-          .map(([prop, value]) => `    ${prop}: ${value};`)
-          .join('\n');
-        return `  .${className} {\n${cssProps}\n  }`;
-      })
+    return this.styleElement([...before, ...this.generateCSSRules(manifest._mergedStyles), ...after]
+      .filter(rule => !omit.has(rule)), 1);
+  }
+
+  /**
+   * With critical CSS, the rules left out of the head, placed after the content
+   */
+  generateDeferredStyles(manifest, options = {}) {
+    const critical = this.criticalStyles(manifest);
+    if (!critical) return '';
+
+    const omit = options.omitRules || new Set();
+    const { after } = this.generateGlobalRules(manifest);
+    const styles = Object.fromEntries(Object.entries(manifest._mergedStyles || {})
+      .filter(([key]) => !critical.has(key)));
+    return this.styleElement([...this.generateCSSRules(styles), ...after].filter(rule => !omit.has(rule)), 1);
+  }
+
+  /**
+   * Style keys above the fold, or null when the conversion has no critical CSS
+   */
+  criticalStyles(manifest) {
+    return this.cssOptimizer ? this.cssOptimizer.criticalStyles(manifest) : null;
+  }
+
+  styleElement(rules, indent = 0) {
+    if (rules.length === 0) return '';
+
+    const spaces = '  '.repeat(indent);
+    const css = escapeRawText(optimizeCSS(this, rules.join('\n')))
+      .split('\n')
+      .map(line => `${spaces}${line}`)
       .join('\n');
 
-    return `  <style>\n${css}\n  </style>\n`;
+    return `${spaces}<style>\n${css}\n${spaces}</style>\n`;
+  }
+
+  /**
+   * One CSS rule string per style class, with the rules of its variants
+   * scope: StyleScope naming the selectors (default: this conversion's)
+   */
+  generateCSSRules(styles, scope = styleScope(this)) {
+    return Object.entries(styles || {}).map(([className, declarations]) =>
+      styleToCSS(scope.selector(className), declarations));
+  }
+
+  /**
+   * Token variables and stylesheet rules: { before, after } the style classes
+   */
+  generateGlobalRules(manifest) {
+    return globalRules(manifest);
   }
 
   generateHTMLImports(manifest) {
@@ -792,13 +1577,13 @@ ${styles}${imports}`;
 
     if (manifest.imports?.styles) {
       imports += manifest.imports.styles
-        .map(style => `  <link rel="stylesheet" href="${style}">`)
+        .map(style => `  <link rel="stylesheet" href="${escapeHTML(safeURL(style))}">`)
         .join('\n') + '\n';
     }
 
-    if (manifest.imports?.scripts) {
+    if (manifest.imports?.scripts && !this.sanitizer) {
       imports += manifest.imports.scripts
-        .map(script => `  <script src="${script}"></script>`)
+        .map(script => `  <script src="${escapeHTML(safeURL(script))}"></script>`)
         .join('\n') + '\n';
     }
 
@@ -806,24 +1591,29 @@ ${styles}${imports}`;
   }
 
   generateScripts(manifest) {
-    if (!manifest.interactions) return '';
+    if (!manifest.interactions || this.sanitizer) return '';
 
     const scripts = Object.entries(manifest.interactions)
       .map(([name, handler]) => handler.code)
       .join('\n\n');
 
-    return `  <script>\n${scripts}\n  </script>`;
+    return `  <script>\n${escapeRawText(scripts)}\n  </script>`;
   }
 
   convertStructureToHTML(structure, indent = 0) {
-    const spaces = '  '.repeat(indent);
+    const spaces = this.inline ? '' : '  '.repeat(indent);
     
     if (typeof structure === 'string') {
-      return `${spaces}${structure}`;
+      return `${spaces}${this.interpolate(structure)}`;
     }
 
     if (structure.text) {
-      return `${spaces}${structure.text}`;
+      return `${spaces}${this.interpolate(structure.text)}`;
+    }
+
+    // Markup is only inserted from an explicit `html` field
+    if (typeof structure.html === 'string') {
+      return `${spaces}${this.rawHTML(structure.html)}`;
     }
 
     const [tag, props] = Object.entries(structure)[0];
@@ -835,10 +1625,22 @@ ${styles}${imports}`;
       // Use inner content for double-nested modules
       actualProps = props[tag];
     }
-    
-    const attributes = this.convertPropsToHTML(actualProps);
+
+    const directive = directives(actualProps);
+    if (directive) return this.expandDirective(tag, directive, indent);
+
+    // Outside the allowlist, elements lose their tag (unwrap) or everything (drop)
+    const action = this.sanitizer ? this.sanitizer.element(tag) : 'keep';
+    if (action === 'drop') return '';
+    if (action === 'keep' && !TAG_NAME.test(tag)) {
+      throw new Error(`Invalid element name '${tag}'`);
+    }
+
+    const attributes = this.convertPropsToHTML(actualProps, tag);
     const children = actualProps.children;
-    const textContent = actualProps.text;
+    // Script and style contents are raw text: inserted values must not be entity-encoded
+    const text = this.interpolate(actualProps.text, RAW_TEXT_TAGS.includes(tag) ? 'raw' : 'text');
+    const textContent = typeof actualProps.html === 'string' ? `${text || ''}${this.rawHTML(actualProps.html)}` : text;
 
     // Handle self-closing tags
     const selfClosingTags = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
@@ -857,65 +1659,158 @@ ${styles}${imports}`;
     }
     
     if (children) {
-      let childrenHTML = '';
+      const inline = this.inline || PREFORMATTED_TAGS.includes(tag) || isMixedContent(children);
+      const childrenHTML = renderInline(this, inline, () => this.convertChildrenToHTML(children, indent));
+
+      if (inline) {
+        content = `${textContent || ''}${childrenHTML}`;
+      } else if (textContent) {
+        content = `\n${spaces}  ${textContent}\n${childrenHTML}\n${spaces}`;
+      } else {
+        content = `\n${childrenHTML}\n${spaces}`;
+      }
+    }
+
+    if (action === 'unwrap') {
+      return content.startsWith('\n') ? content.replace(/^\n|\n *$/g, '') : `${spaces}${content}`;
+    }
+    return `${spaces}<${tag}${attributes}>${content}</${tag}>`;
+  }
+
+  /**
+   * HTML of the children of an element at `indent`: a list, a map of tags or a single node
+   */
+  convertChildrenToHTML(children, indent) {
+    let childrenHTML = '';
+    
+    if (Array.isArray(children)) {
+      // Handle array of children
+      // Elements dropped by `if` or empty `each` loops render as ''
+      childrenHTML = children.map(child => this.convertStructureToHTML(child, indent + 1)).filter(Boolean).join(this.inline ? '' : '\n');
+    } else if (typeof children === 'object' && children !== null) {
+      // Handle object children (named sections like head/body or components)
+      const childEntries = Object.entries(children);
       
-      if (Array.isArray(children)) {
-        // Handle array of children
-        childrenHTML = children.map(child => this.convertStructureToHTML(child, indent + 1)).join('\n');
-      } else if (typeof children === 'object' && children !== null) {
-        // Handle object children (named sections like head/body or components)
-        const childEntries = Object.entries(children);
+      if (childEntries.length === 1) {
+        // Single child object - process as element
+        const [childTag, childProps] = childEntries[0];
         
-        if (childEntries.length === 1) {
-          // Single child object - process as element
-          const [childTag, childProps] = childEntries[0];
-          
-          // Handle double-nested module structures (header: { header: {...} })
-          if (typeof childProps === 'object' && childProps !== null && 
-              childProps[childTag] && typeof childProps[childTag] === 'object') {
-            // Double-nested structure - use inner content directly as props for outer tag
-            const innerProps = childProps[childTag];
-            const childStructure = { [childTag]: innerProps };
-            childrenHTML = this.convertStructureToHTML(childStructure, indent + 1);
-          } else {
-            // Normal single child structure
-            const childStructure = { [childTag]: childProps };
-            childrenHTML = this.convertStructureToHTML(childStructure, indent + 1);
-          }
+        // Handle double-nested module structures (header: { header: {...} })
+        if (typeof childProps === 'object' && childProps !== null && 
+            childProps[childTag] && typeof childProps[childTag] === 'object') {
+          // Double-nested structure - use inner content directly as props for outer tag
+          const innerProps = childProps[childTag];
+          const childStructure = { [childTag]: innerProps };
+          childrenHTML = this.convertStructureToHTML(childStructure, indent + 1);
         } else {
-          // Multiple children as object - process each as separate element
-          childrenHTML = childEntries
-            .map(([childTag, childProps]) => {
-              const childStructure = { [childTag]: childProps };
-              return this.convertStructureToHTML(childStructure, indent + 1);
-            })
-            .join('\n');
+          // Normal single child structure
+          const childStructure = { [childTag]: childProps };
+          childrenHTML = this.convertStructureToHTML(childStructure, indent + 1);
         }
       } else {
-        // Handle primitive children
-        childrenHTML = this.convertStructureToHTML(children, indent + 1);
-      }
-      
-      if (textContent && children) {
-        content = `\n${spaces}  ${textContent}\n${childrenHTML}\n${spaces}`;
-      } else if (children) {
-        content = `\n${childrenHTML}\n${spaces}`;
+        // Multiple children as object - process each as separate element
+        childrenHTML = childEntries
+          .map(([childTag, childProps]) => {
+            const childStructure = { [childTag]: childProps };
+            return this.convertStructureToHTML(childStructure, indent + 1);
+          })
+          .filter(Boolean)
+          .join(this.inline ? '' : '\n');
       }
+    } else {
+      // Handle primitive children
+      childrenHTML = this.convertStructureToHTML(children, indent + 1);
     }
 
-    return `${spaces}<${tag}${attributes}>${content}</${tag}>`;
+    return childrenHTML;
+  }
+
+  /**
+   * Directives are resolved at build time: `each` repeats the element for every
+   * item with the loop variables in scope, `if` drops it when false
+   */
+  expandDirective(tag, { loop, condition, rest }, indent) {
+    if (!loop) {
+      return interpolator.test(condition, this.scope || {}) ? this.convertStructureToHTML({ [tag]: rest }, indent) : '';
+    }
+
+    checkCollection(this, loop);
+    const collection = interpolator.evaluate(loop.collection, this.scope || {});
+    const entries = Array.isArray(collection)
+      ? [...collection.entries()]
+      : Object.entries(collection && typeof collection === 'object' ? collection : {});
+
+    const outer = this.scope;
+    this.loopVariables.push(loop.item, loop.index);
+    try {
+      return entries
+        .map(([index, item]) => {
+          this.scope = { ...outer, [loop.item]: item, [loop.index]: index };
+          if (condition && !interpolator.test(condition, this.scope)) return '';
+          return this.convertStructureToHTML({ [tag]: rest }, indent);
+        })
+        .filter(Boolean)
+        .join(this.inline ? '' : '\n');
+    } finally {
+      this.scope = outer;
+      this.loopVariables.splice(-2);
+    }
   }
 
-  convertPropsToHTML(props) {
+  /**
+   * Resolve {{ expressions }} against the manifest (props use their defaults), escaped for a context:
+   *   text       literal text and values are escaped; `| raw` values are inserted as markup
+   *   attribute  everything is escaped, `| raw` values too
+   *   html       literal markup is kept, values are escaped as in text
+   *   raw        script and style contents: nothing is entity-encoded, but </script> cannot end the element
+   * When sanitizing, `| raw` values go through the sanitizer.
+   */
+  interpolate(text, context = 'text') {
+    if (typeof text !== 'string') return text;
+
+    const output = interpolator.resolve(text, this.scope || {}).map(part => {
+      if (context === 'raw') return part.value;
+      if (part.type === 'text') return context === 'html' ? part.value : escapeLiteral(part.value, { attribute: context === 'attribute' });
+      if (part.expression.raw && context !== 'attribute') {
+        return this.sanitizer ? this.sanitizer.clean(part.value) : part.value;
+      }
+      return escapeHTML(part.value);
+    }).join('');
+
+    return context === 'raw' ? escapeRawText(output) : output;
+  }
+
+  /**
+   * Markup of an `html` field, sanitized when the conversion sanitizes
+   */
+  rawHTML(markup) {
+    const html = this.interpolate(markup, 'html');
+    return this.sanitizer ? this.sanitizer.clean(html) : html;
+  }
+
+  convertPropsToHTML(props, tag = '') {
     const attributes = [];
     
     Object.entries(props).forEach(([key, value]) => {
-      if (key === 'children' || key === 'text') return;
+      if (key === 'children' || key === 'text' || key === 'html') return;
+      if (key !== 'style' && this.sanitizer && !this.sanitizer.allows(tag, key)) return;
+      if (!ATTRIBUTE_NAME.test(key)) {
+        throw new Error(`Invalid attribute name '${key}' on <${tag}>`);
+      }
 
-      if (key === 'style' && typeof value === 'string') {
-        attributes.push(`class="${value}"`);
+      if (key === 'style' && typeof value === 'string' && !interpolator.hasExpressions(value)) {
+        Object.entries(styleScope(this).attributes(value)).forEach(([name, attribute]) => attributes.push(`${name}="${escapeHTML(attribute)}"`));
+      } else if (key === 'style' && typeof value === 'string') {
+        attributes.push(`class="${this.interpolate(value, 'attribute')}"`);
+      } else if (typeof value === 'string' && URL_ATTRIBUTES.includes(key.toLowerCase())) {
+        // Checked after interpolation, since a value can supply the whole URL
+        const url = safeURL(interpolator.render(value, this.scope || {}), {
+          image: IMAGE_ATTRIBUTES.includes(key.toLowerCase()),
+          list: key.toLowerCase() === 'srcset'
+        });
+        attributes.push(`${key}="${escapeLiteral(url, { attribute: true })}"`);
       } else if (typeof value === 'string') {
-        attributes.push(`${key}="${value}"`);
+        attributes.push(`${key}="${this.interpolate(value, 'attribute')}"`);
       } else if (typeof value === 'boolean' && value) {
         attributes.push(key);
       }
@@ -0,0 +1,81 @@
+/**
+ * Format converters: the same manifest through the HTML, React, Vue and PHP converters
+ */
+
+const {
+  ManifestToHTMLConverter,
+  ManifestToReactConverter,
+  ManifestToVueConverter,
+  ManifestToPHPConverter
+} = require('./format-converters');
+
+const CONVERTERS = [
+  ['html', manifest => new ManifestToHTMLConverter().convertToHTML(manifest)],
+  ['react', manifest => new ManifestToReactConverter().convertToReact(manifest)],
+  ['vue', manifest => new ManifestToVueConverter().convertToVue(manifest)],
+  ['php', manifest => new ManifestToPHPConverter().convertToPHP(manifest)]
+];
+
+describe('each directives', () => {
+  const posts = each => ({
+    data: { posts: [{ title: 'Tagged', tags: ['a', 'b'] }, { title: 'Untagged' }] },
+    structure: {
+      div: {
+        each: 'data.posts as post',
+        children: [{ h2: { text: '{{ post.title }}' } }, { span: { each, text: '{{ tag }}' } }]
+      }
+    }
+  });
+
+  test.each(CONVERTERS)('%s: a key missing on some items is an empty collection', (format, convert) => {
+    expect(() => convert(posts('post.tags as tag'))).not.toThrow();
+  });
+
+  test('html: renders the items that have the key', () => {
+    const html = new ManifestToHTMLConverter().convertToHTML(posts('post.tags as tag')).content;
+    expect(html.match(/<span>/g)).toHaveLength(2);
+    expect(html).toContain('Untagged');
+  });
+
+  test.each(CONVERTERS)('%s: an unknown path outside loops fails', (format, convert) => {
+    expect(() => convert(posts('tags as tag'))).toThrow("Unknown path 'tags'");
+  });
+});
+
+describe('if directives', () => {
+  const features = {
+    metadata: { theme: 'dark' },
+    data: { features: [{ name: 'Fast', beta: false }, { name: 'Safe', beta: true }] },
+    structure: {
+      ul: {
+        children: [
+          { li: { each: 'data.features as feature, i', if: '!feature.beta', text: '{{ i }}: {{ feature.name }}' } },
+          { p: { if: 'metadata.theme == "dark"', text: 'Dark' } },
+          { p: { if: 'metadata.theme != "dark"', text: 'Light' } }
+        ]
+      }
+    }
+  };
+
+  test.each(CONVERTERS)('%s: conditions on metadata are decided at build time', (format, convert) => {
+    const { content } = convert(features);
+    expect(content).toContain('Dark');
+    expect(content).not.toContain('Light');
+    expect(content).not.toContain('metadata.theme');
+  });
+
+  test('html: filters the loop items', () => {
+    const html = new ManifestToHTMLConverter().convertToHTML(features).content;
+    expect(html).toContain('<li>0: Fast</li>');
+    expect(html).not.toContain('Safe');
+  });
+
+  test('react, vue and php: per-item conditions stay in the generated code', () => {
+    expect(new ManifestToReactConverter().convertToReact(features).content)
+      .toContain('{(data.features ?? []).map((feature, i) => (\n        !feature.beta ? (');
+    expect(new ManifestToVueConverter().convertToVue(features).content)
+      .toContain('<template v-for="(feature, i) in data.features" :key="i">\n      <li v-if="!feature.beta">');
+    expect(new ManifestToPHPConverter().convertToPHP(features).content)
+      .toContain("<?php foreach ($data['features'] ?? [] as $i => $feature): ?><?php if (empty($feature['beta'])): ?>");
+  });
+});
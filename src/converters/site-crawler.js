@@ -0,0 +1,381 @@
+/**
+ * Site Crawler - Scrape a whole site into a linked multi-manifest project
+ * Follows same-origin links breadth-first from a start URL, up to `depth` links away,
+ * and converts every page with WebpageToManifestConverter. Element subtrees that are
+ * identical on several pages (found by hashing their structure: headers, footers,
+ * navigation) are moved into shared module manifests that the pages reference through
+ * `modules`. The project is a site manifest with a `routes` index, pages/*.yaml and
+ * components/*.yaml, ready for `manifest build`.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const jsyaml = require('js-yaml');
+const { BulkWebpageAnalyzer } = require('./url-scraper');
+
+// Links to files rather than pages are not followed
+const NON_PAGE = /\.(pdf|zip|gz|tar|rar|png|jpe?g|gif|svg|webp|avif|ico|mp[34]|webm|ogg|wav|css|js|json|xml|txt|woff2?|ttf|eot)$/i;
+// Elements named after their id or first class when they become a module
+const GENERIC_TAGS = ['div', 'section', 'span', 'aside', 'ul', 'ol'];
+
+class SiteCrawler {
+  constructor(options = {}) {
+    // Links followed from the start page (0: only the start page)
+    this.depth = options.depth ?? 2;
+    this.maxPages = options.maxPages || 50;
+    // A subtree becomes a module when at least minPages pages contain it and it has minElements elements
+    this.minPages = options.minPages || 2;
+    this.minElements = options.minElements || 3;
+    this.pagesDir = options.pagesDir || 'pages';
+    this.modulesDir = options.modulesDir || 'components';
+    // The scraper's own modules (guessed or split off below maxDepth) are replaced by the shared
+    // subtrees, so pages are scraped whole; its fetcher rate-limits requests
+    this.ownsAnalyzer = !options.analyzer;
+    this.analyzer = options.analyzer ||
+      new BulkWebpageAnalyzer({ delay: 0, ...options, generateModules: false, maxDepth: Infinity });
+  }
+
+  /**
+   * Crawl from startUrl and return the project: { site, pages, modules, errors }
+   * Query strings and fragments are ignored, so /list?page=2 is the same page as /list
+   */
+  async crawl(startUrl) {
+    const start = pageUrl(startUrl);
+    const origin = new URL(start).origin;
+    // By route, so /docs/ and /docs/index.html are fetched once
+    const seen = new Set([routeOf(start)]);
+    const pages = [];
+    const errors = [];
+
+    let level = [start];
+    try {
+      for (let depth = 0; level.length > 0; depth++) {
+        const { results, errors: failed } = await this.analyzer.convertMultipleUrls(level);
+        errors.push(...failed);
+
+        const next = [];
+        for (const result of results) {
+          // The scraper records the URL after redirects, which relative links resolve against
+          const url = result.manifest.manifest?.source || result.url;
+          const { manifest } = result;
+          pages.push({ url, manifest });
+          if (depth >= this.depth) continue;
+
+          for (const link of this.links(manifest.structure, url)) {
+            if (seen.has(routeOf(link)) || seen.size >= this.maxPages) continue;
+            seen.add(routeOf(link));
+            next.push(link);
+          }
+        }
+        level = next;
+      }
+    } finally {
+      // A browser started for render mode is closed; a caller's analyzer stays open
+      if (this.ownsAnalyzer) await this.analyzer.close();
+    }
+
+    return { ...this.project(pages, origin), errors };
+  }
+
+  /**
+   * Same-origin page URLs linked from a scraped structure
+   */
+  links(structure, base) {
+    const origin = new URL(base).origin;
+    const links = [];
+
+    walkElements(structure, (tag, props) => {
+      if (tag !== 'a' || typeof props.href !== 'string') return;
+
+      const url = resolve(props.href, base);
+      if (url && url.origin === origin && /^https?:$/.test(url.protocol) && !NON_PAGE.test(url.pathname)) {
+        links.push(pageUrl(url.href));
+      }
+    });
+    return [...new Set(links)];
+  }
+
+  /**
+   * Project from scraped pages [{ url, manifest }]: routes, page manifests and shared modules
+   */
+  project(scraped, origin) {
+    const pages = [];
+    const routes = new Map();
+    const files = new Set();
+
+    for (const { url, manifest } of scraped) {
+      const route = routeOf(url);
+      if (routes.has(route)) continue;
+
+      const file = `${this.pagesDir}/${unique(slug(route === '/' ? 'index' : route.replace(/\.html?$/, '')), files)}.yaml`;
+      const page = { url, route, file, manifest: { ...manifest } };
+      routes.set(route, page);
+      pages.push(page);
+    }
+
+    // Links are rewritten first, so headers with page-relative links hash the same on every page
+    pages.forEach(page => {
+      page.manifest.structure = this._rewriteLinks(page.manifest.structure, page.url, routes);
+    });
+
+    const modules = this.extractModules(pages, origin);
+
+    const site = {
+      manifest: {
+        version: '2.0',
+        name: origin ? new URL(origin).hostname : 'crawled-site',
+        description: `Crawled from ${origin || 'scraped pages'}`,
+        source: origin
+      },
+      routes: Object.fromEntries(pages.map(page => [page.route, {
+        manifest: page.file,
+        title: page.manifest.manifest?.name
+      }]))
+    };
+
+    return { site, pages, modules };
+  }
+
+  /**
+   * Move subtrees shared by minPages pages into module manifests; pages get `modules`
+   * entries and `{ tag: { module: alias } }` references instead. The outermost shared
+   * subtree wins, and a page's root element is never replaced.
+   */
+  extractModules(pages, origin = null) {
+    const hashes = new WeakMap();
+    const fingerprint = node => {
+      if (!hashes.has(node)) hashes.set(node, crypto.createHash('sha1').update(canonical(node)).digest('hex'));
+      return hashes.get(node);
+    };
+
+    // Pages containing each subtree
+    const occurrences = new Map();
+    pages.forEach(page => {
+      walkElements(rootChildren(page.manifest.structure), (tag, props, node) => {
+        const hash = fingerprint(node);
+        if (!occurrences.has(hash)) occurrences.set(hash, new Set());
+        occurrences.get(hash).add(page);
+      });
+    });
+
+    const modules = new Map();
+    const aliases = new Set();
+    const shared = node => (occurrences.get(fingerprint(node))?.size || 0) >= this.minPages &&
+      countElements(node) >= this.minElements;
+
+    const replace = (node, page, used) => {
+      if (Array.isArray(node)) return node.map(child => replace(child, page, used));
+      const [tag, props] = element(node) || [];
+      if (!tag) return node;
+
+      if (shared(node)) {
+        const hash = fingerprint(node);
+        if (!modules.has(hash)) {
+          const alias = unique(moduleName(tag, props), aliases);
+          modules.set(hash, {
+            alias,
+            file: `${this.modulesDir}/${alias}.yaml`,
+            manifest: {
+              manifest: { version: '2.0', name: alias, description: '', source: origin },
+              styles: pick(page.manifest.styles, usedStyles(node)),
+              structure: node
+            },
+            pages: []
+          });
+        }
+        const module = modules.get(hash);
+        if (!module.pages.includes(page.route)) module.pages.push(page.route);
+        used.add(module);
+        return { [tag]: { module: module.alias } };
+      }
+
+      if (props.children === undefined) return node;
+      return { [tag]: { ...props, children: replace(props.children, page, used) } };
+    };
+
+    pages.forEach(page => {
+      const [tag, props] = element(page.manifest.structure) || [];
+      if (!tag || props.children === undefined) return;
+
+      const used = new Set();
+      page.manifest.structure = { [tag]: { ...props, children: replace(props.children, page, used) } };
+      if (used.size === 0) return;
+
+      page.manifest.modules = [...used].map(module => ({
+        url: path.posix.relative(path.posix.dirname(page.file), module.file),
+        alias: module.alias
+      }));
+      // Styles that now only modules use move out of the page
+      const remaining = usedStyles(page.manifest.structure);
+      const moved = new Set([...used].flatMap(module => Object.keys(module.manifest.styles)));
+      page.manifest.styles = Object.fromEntries(Object.entries(page.manifest.styles || {})
+        .filter(([key]) => remaining.has(key) || !moved.has(key)));
+    });
+
+    return [...modules.values()].map(module => {
+      module.manifest.manifest.description = `Shared by ${module.pages.length} page(s): ${module.pages.join(', ')}`;
+      return module;
+    });
+  }
+
+  /**
+   * Write the project as YAML files into outDir; returns the written paths
+   */
+  async write(project, outDir) {
+    const files = [
+      ['site.yaml', project.site],
+      ...project.pages.map(page => [page.file, page.manifest]),
+      ...project.modules.map(module => [module.file, module.manifest])
+    ];
+
+    const written = [];
+    for (const [file, manifest] of files) {
+      const target = path.join(outDir, file);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, jsyaml.dump(manifest, { indent: 2 }), 'utf8');
+      written.push(target);
+    }
+    return written;
+  }
+
+  /**
+   * Links to crawled pages become their routes; other same-origin links become absolute URLs
+   */
+  _rewriteLinks(structure, base, routes) {
+    const origin = new URL(base).origin;
+
+    const walk = node => {
+      if (Array.isArray(node)) return node.map(walk);
+      if (!node || typeof node !== 'object') return node;
+
+      const result = {};
+      for (const [key, value] of Object.entries(node)) {
+        if (key !== 'href' || typeof value !== 'string' || value.startsWith('#')) {
+          result[key] = walk(value);
+          continue;
+        }
+
+        const url = resolve(value, base);
+        if (!url || url.origin !== origin) {
+          result[key] = value;
+        } else if (routes.has(routeOf(url.href))) {
+          result[key] = routeOf(url.href) + url.hash;
+        } else {
+          result[key] = url.href;
+        }
+      }
+      return result;
+    };
+
+    return walk(structure);
+  }
+}
+
+/**
+ * [tag, props] of a scraped element node ({ tag: props }), or null
+ */
+function element(node) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return null;
+  const entries = Object.entries(node);
+  if (entries.length !== 1 || !entries[0][1] || typeof entries[0][1] !== 'object' || Array.isArray(entries[0][1])) return null;
+  return entries[0];
+}
+
+function rootChildren(structure) {
+  const [, props] = element(structure) || [];
+  return props ? props.children : undefined;
+}
+
+/**
+ * Call visit(tag, props, node) for every element in a structure, parents first
+ */
+function walkElements(node, visit) {
+  if (Array.isArray(node)) return node.forEach(child => walkElements(child, visit));
+  const [tag, props] = element(node) || [];
+  if (!tag) return;
+
+  visit(tag, props, node);
+  if (props.children !== undefined) walkElements(props.children, visit);
+}
+
+function countElements(node) {
+  let count = 0;
+  walkElements(node, () => count++);
+  return count;
+}
+
+/**
+ * Style keys referenced by a structure
+ */
+function usedStyles(structure) {
+  const used = new Set();
+  walkElements(structure, (tag, props) => {
+    if (typeof props.style === 'string') props.style.split(/\s+/).filter(Boolean).forEach(key => used.add(key));
+  });
+  return used;
+}
+
+function pick(styles = {}, keys) {
+  return Object.fromEntries(Object.entries(styles || {}).filter(([key]) => keys.has(key)));
+}
+
+/**
+ * JSON with sorted keys, so equal subtrees hash the same whatever their attribute order
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function moduleName(tag, props) {
+  if (props['data-component']) return slug(props['data-component']);
+  if (!GENERIC_TAGS.includes(tag)) return tag;
+  const named = props.id || (typeof props.style === 'string' && props.style.split(/\s+/).filter(Boolean)[0]);
+  return named ? slug(named) : tag;
+}
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'page';
+}
+
+/**
+ * `name`, or name-2, name-3 ... when taken; the result is added to `taken`
+ */
+function unique(name, taken) {
+  let candidate = name;
+  for (let index = 2; taken.has(candidate); index++) candidate = `${name}-${index}`;
+  taken.add(candidate);
+  return candidate;
+}
+
+function resolve(href, base) {
+  try {
+    return new URL(href, base);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * URL identifying a page: without query string and fragment
+ */
+function pageUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.search = '';
+  return parsed.href;
+}
+
+/**
+ * Route of a page URL: /docs/ and /docs/index.html → /docs
+ */
+function routeOf(url) {
+  const route = new URL(url).pathname.replace(/\/index\.html?$/, '/').replace(/\/+$/, '');
+  return route || '/';
+}
+
+module.exports = { SiteCrawler };
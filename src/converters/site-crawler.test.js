@@ -0,0 +1,105 @@
+/**
+ * SiteCrawler: a small site served in-process, crawled into pages and shared modules
+ */
+
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const jsyaml = require('js-yaml');
+const { SiteCrawler } = require('./site-crawler');
+
+const layout = (title, body) => `<html><head><title>${title}</title><style>.nav { color: red } .hero { padding: 4px }</style></head><body>
+<header class="nav"><a href="/">Home</a><a href="/about">About</a><a href="/docs/index.html">Docs</a></header>
+<main class="hero"><h1>${title}</h1>${body}</main>
+<footer><p>© Example</p><a href="https://elsewhere.example/">Elsewhere</a></footer>
+</body></html>`;
+
+const PAGES = {
+  '/': layout('Home', '<a href="/about?ref=home">More</a><a href="/file.pdf">PDF</a>'),
+  '/about': layout('About', '<a href="/deep">Deep</a>'),
+  '/docs/index.html': layout('Docs', ''),
+  '/deep': layout('Deep', '')
+};
+
+describe('SiteCrawler', () => {
+  let server;
+  let origin;
+  const requested = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requested.push(req.url);
+      const page = PAGES[req.url.split('?')[0]];
+      res.writeHead(page ? 200 : 404, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(page || 'Not found');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  const crawl = (options = {}) => new SiteCrawler({ depth: 1, fetch: { interval: 0 }, ...options }).crawl(`${origin}/`);
+  const pageAt = (project, route) => project.pages.find(page => page.route === route);
+
+  test('follows same-origin page links up to the depth limit', async () => {
+    const project = await crawl();
+    expect(Object.keys(project.site.routes)).toEqual(['/', '/about', '/docs']);
+    expect(project.site.routes['/about']).toEqual({ manifest: 'pages/about.yaml', title: 'About' });
+    expect(requested).not.toContain('/deep');
+    expect(requested).not.toContain('/file.pdf');
+    expect(project.errors).toEqual([]);
+  });
+
+  test('moves subtrees shared by every page into modules', async () => {
+    const project = await crawl();
+    expect(project.modules.map(module => [module.alias, module.file])).toEqual([
+      ['header', 'components/header.yaml'],
+      ['footer', 'components/footer.yaml']
+    ]);
+
+    const header = project.modules[0].manifest;
+    expect(header.manifest.description).toBe('Shared by 3 page(s): /, /about, /docs');
+    expect(header.styles).toEqual({ nav: { color: 'red' } });
+    expect(header.structure.header.children[1]).toEqual({ a: { href: '/about', text: 'About' } });
+
+    const home = pageAt(project, '/').manifest;
+    expect(home.structure.body.children[0]).toEqual({ header: { module: 'header' } });
+    expect(home.structure.body.children[2]).toEqual({ footer: { module: 'footer' } });
+    expect(home.modules).toEqual([
+      { url: '../components/header.yaml', alias: 'header' },
+      { url: '../components/footer.yaml', alias: 'footer' }
+    ]);
+    expect(home.styles).toEqual({ hero: { padding: '4px' } });
+  });
+
+  test('rewrites links to crawled pages as routes and others as absolute URLs', async () => {
+    const main = pageAt(await crawl(), '/about').manifest.structure.body.children[1].main.children;
+    expect(main[1]).toEqual({ a: { href: `${origin}/deep`, text: 'Deep' } });
+  });
+
+  test('keeps subtrees below minPages or minElements in the pages', async () => {
+    const project = await crawl({ minPages: 4 });
+    expect(project.modules).toEqual([]);
+    expect(pageAt(project, '/').manifest.modules).toBeUndefined();
+
+    const small = await crawl({ minElements: 4 });
+    expect(small.modules.map(module => module.alias)).toEqual(['header']);
+  });
+
+  test('writes the project as YAML files', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'site-crawler-'));
+    try {
+      const crawler = new SiteCrawler();
+      const written = await crawler.write(await crawl({ depth: 0 }), dir);
+      expect(written.map(file => path.relative(dir, file))).toEqual(['site.yaml', 'pages/index.yaml']);
+      expect(jsyaml.load(await fs.readFile(written[0], 'utf8')).routes).toEqual({ '/': { manifest: 'pages/index.yaml', title: 'Home' } });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -3,6 +3,23 @@
  * Analyzes HTML structure, styles, and scripts to generate YAML manifests
  */
 
+// Whitespace between two of these is visible, so it is kept as a text node
+const INLINE_TAGS = [
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'button', 'cite', 'code', 'data', 'dfn', 'em', 'i', 'img', 'input',
+  'kbd', 'label', 'mark', 'q', 's', 'samp', 'select', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var'
+];
+// Elements whose whitespace is content
+const PREFORMATTED = 'pre, textarea';
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+/**
+ * Page text as literal manifest text: {{ on the page must not become an expression
+ */
+function escapeExpressions(text) {
+  return text.replace(/\{\{/g, '\\{{');
+}
+
 class WebpageToManifestConverter {
   constructor(options = {}) {
     this.options = {
@@ -10,8 +27,13 @@ class WebpageToManifestConverter {
       extractScripts: true,
       preserveClasses: true,
       generateModules: true,
+      // Deeper subtrees continue in modules of their own (manifest.modules with _content)
       maxDepth: 10,
       ignoreElements: ['script', 'style', 'meta', 'link'],
+      // HttpFetcher options in Node.js (timeout, robots, interval, cacheDir, ...)
+      fetch: {},
+      // Render pages in headless Chromium first: true or BrowserRenderer options (waitFor, waitUntil, ...)
+      render: false,
       ...options
     };
   }
@@ -20,17 +42,46 @@ class WebpageToManifestConverter {
    * Convert webpage from URL to manifest
    */
   async convertFromUrl(url) {
-    const html = await this.fetchwebpage(url);
-    return this.convertFromHTML(html, url);
+    const page = await this.fetchPage(url);
+    const doc = this.createDOMParser().parseFromString(page.body, 'text/html');
+    const renderer = this.getRenderer();
+
+    // Linked stylesheets and @imports are downloaded in Node.js
+    let stylesheets = null;
+    if (this.options.extractStyles && typeof window === 'undefined') {
+      const { CssCapture } = require('./css-capture');
+      stylesheets = await new CssCapture({ fetcher: this.getFetcher() }).load(doc, page.url);
+    }
+
+    // Relative links resolve against the URL after redirects
+    return this.convertDocument(doc, page.url, {
+      stylesheets,
+      computedStyleAttribute: renderer ? renderer.styleAttribute : null
+    });
   }
 
   /**
    * Convert HTML string to manifest
+   * options.stylesheets: CssCapture.load() result; without it only <style> blocks are captured
+   * options.computedStyleAttribute: attribute holding each element's computed style (render mode)
    */
-  convertFromHTML(html, baseUrl = '') {
+  convertFromHTML(html, baseUrl = '', options = {}) {
     const parser = this.createDOMParser();
     const doc = parser.parseFromString(html, 'text/html');
-    
+    return this.convertDocument(doc, baseUrl, options);
+  }
+
+  /**
+   * Convert a parsed document to manifest
+   */
+  convertDocument(doc, baseUrl = '', { stylesheets = null, computedStyleAttribute = null } = {}) {
+    // Inline style attributes (or computed styles) become styles while the structure is extracted
+    this.inlineStyles = new Map();
+    this.computedStyleAttribute = computedStyleAttribute;
+    this.splitModules = [];
+    const structure = this.extractStructure(doc);
+    const { styles, stylesheet } = this.extractStyles(doc, stylesheets, baseUrl);
+
     const manifest = {
       manifest: {
         version: "2.0",
@@ -40,16 +91,37 @@ class WebpageToManifestConverter {
         generatedAt: new Date().toISOString()
       },
       
-      imports: this.extractImports(doc, baseUrl),
-      styles: this.extractStyles(doc),
-      structure: this.extractStructure(doc),
+      imports: this.extractImports(doc, baseUrl, stylesheets),
+      styles,
+      structure,
       meta: this.extractMeta(doc)
     };
 
+    if (Object.keys(stylesheet).length > 0) {
+      manifest.stylesheet = stylesheet;
+    }
+
     // Generate sub-modules if enabled
     if (this.options.generateModules) {
       manifest.modules = this.generateModules(doc, baseUrl);
     }
+    if (this.splitModules.length > 0) {
+      manifest.modules = [...(manifest.modules || []), ...this.splitModules];
+    }
+    // Each module manifest carries the styles it uses and the modules split off inside it
+    (manifest.modules || []).forEach(module => {
+      const { manifest: header, structure } = module._content;
+      const used = structureReferences(structure);
+      const nested = this.splitModules
+        .filter(split => used.modules.has(split.alias))
+        .map(({ url, alias, type }) => ({ url, alias, type }));
+      module._content = {
+        manifest: header,
+        styles: Object.fromEntries(Object.entries(styles).filter(([key]) => used.styles.has(key))),
+        ...(nested.length > 0 && { modules: nested }),
+        structure
+      };
+    });
 
     return manifest;
   }
@@ -57,31 +129,61 @@ class WebpageToManifestConverter {
   /**
    * Fetch webpage content
    */
-  async fetchwebpage(url) {
-    if (typeof fetch !== 'undefined') {
+  async fetchWebpage(url) {
+    return (await this.fetchPage(url)).body;
+  }
+
+  /**
+   * Fetch a webpage: { url (after redirects), body }
+   */
+  async fetchPage(url) {
+    if (this.options.render && typeof window === 'undefined') {
+      // JavaScript-rendered page from headless Chromium, still subject to robots.txt and rate limits
+      await this.getFetcher().admit(url);
+      return this.getRenderer().render(url);
+    } else if (typeof window !== 'undefined') {
       // Browser environment
       const response = await fetch(url);
       if (!response.ok) {
         throw new Error(`Failed to fetch ${url}: ${response.statusText}`);
       }
-      return await response.text();
+      return { url: response.url || url, body: await response.text() };
     } else {
-      // Node.js environment
-      const https = require('https');
-      const http = require('http');
-      
-      return new Promise((resolve, reject) => {
-        const client = url.startsWith('https://') ? https : http;
-        
-        client.get(url, (response) => {
-          let data = '';
-          response.on('data', chunk => data += chunk);
-          response.on('end', () => resolve(data));
-        }).on('error', reject);
-      });
+      // Node.js environment: redirects, encodings, limits, robots.txt, rate limiting and caching
+      return this.getFetcher().fetch(url);
     }
   }
 
+  /**
+   * HttpFetcher shared by every request of this converter, so robots.txt rules and rate limits carry over
+   */
+  getFetcher() {
+    if (!this.fetcher) {
+      const { HttpFetcher } = require('../http-fetcher');
+      this.fetcher = this.options.fetcher || new HttpFetcher(this.options.fetch);
+    }
+    return this.fetcher;
+  }
+
+  /**
+   * BrowserRenderer for render mode, or null
+   */
+  getRenderer() {
+    if (!this.options.render || typeof window !== 'undefined') return null;
+    if (!this.renderer) {
+      const { BrowserRenderer } = require('./browser-renderer');
+      this.renderer = BrowserRenderer.from(this.options.render);
+    }
+    return this.renderer;
+  }
+
+  /**
+   * Release the headless browser of render mode
+   */
+  async close() {
+    if (this.renderer) await this.renderer.close();
+  }
+
   /**
    * Create DOM parser for different environments
    */
@@ -129,21 +231,25 @@ class WebpageToManifestConverter {
   /**
    * Extract external imports (CSS, JS, fonts)
    */
-  extractImports(doc, baseUrl) {
+  extractImports(doc, baseUrl, stylesheets = null) {
     const imports = {
       styles: [],
       scripts: [],
       fonts: []
     };
 
-    // Extract CSS files
-    const cssLinks = doc.querySelectorAll('link[rel="stylesheet"]');
-    cssLinks.forEach(link => {
-      const href = link.getAttribute('href');
-      if (href) {
-        imports.styles.push(this.resolveUrl(href, baseUrl));
-      }
-    });
+    // Extract CSS files; captured ones are in styles already, only those that failed to download stay linked
+    if (stylesheets) {
+      imports.styles.push(...stylesheets.failed);
+    } else {
+      const cssLinks = doc.querySelectorAll('link[rel="stylesheet"]');
+      cssLinks.forEach(link => {
+        const href = link.getAttribute('href');
+        if (href) {
+          imports.styles.push(this.resolveUrl(href, baseUrl));
+        }
+      });
+    }
 
     // Extract external scripts
     const scripts = doc.querySelectorAll('script[src]');
@@ -167,9 +273,30 @@ class WebpageToManifestConverter {
   }
 
   /**
-   * Extract and convert CSS styles to manifest format
+   * Extract and convert CSS styles to manifest format: { styles, stylesheet }
+   * In Node.js the rules are matched against the document (see CssCapture): simple class
+   * rules become styles, others that apply become the stylesheet section. Rendered pages
+   * with computed styles only take font faces and keyframes from their stylesheets
    */
-  extractStyles(doc) {
+  extractStyles(doc, stylesheets = null, baseUrl = '') {
+    const inline = Object.fromEntries([...(this.inlineStyles || new Map()).values()].map(({ key, declarations }) => [key, declarations]));
+    if (!this.options.extractStyles) {
+      return { styles: inline, stylesheet: {} };
+    }
+
+    if (typeof window === 'undefined') {
+      const { CssCapture } = require('./css-capture');
+      const sheets = stylesheets ? stylesheets.sheets : CssCapture.inlineSheets(doc, baseUrl);
+      const captured = new CssCapture().capture(doc, sheets);
+      if (this.computedStyleAttribute) {
+        // Computed values already include every rule; fonts and animations are only referenced by name
+        const stylesheet = Object.fromEntries(Object.entries(captured.stylesheet)
+          .filter(([section]) => ['font_faces', 'keyframes'].includes(section)));
+        return { styles: inline, stylesheet };
+      }
+      return { styles: { ...captured.styles, ...inline }, stylesheet: captured.stylesheet };
+    }
+
     const styles = {};
     
     // Extract inline styles
@@ -184,18 +311,7 @@ class WebpageToManifestConverter {
       });
     });
 
-    // Extract computed styles from elements with classes
-    const elementsWithClasses = doc.querySelectorAll('[class]');
-    elementsWithClasses.forEach(el => {
-      const classes = el.className.split(' ').filter(Boolean);
-      classes.forEach(className => {
-        if (!styles[className]) {
-          styles[className] = this.extractElementStyles(el);
-        }
-      });
-    });
-
-    return styles;
+    return { styles: { ...styles, ...inline }, stylesheet: {} };
   }
 
   /**
@@ -212,10 +328,6 @@ class WebpageToManifestConverter {
    * Convert DOM element to manifest structure
    */
   convertElementToManifest(element, depth) {
-    if (depth > this.options.maxDepth) {
-      return { text: '[Max depth reached]' };
-    }
-
     const tagName = element.tagName.toLowerCase();
     
     // Skip ignored elements
@@ -223,6 +335,10 @@ class WebpageToManifestConverter {
       return null;
     }
 
+    if (depth > this.options.maxDepth) {
+      return this.splitModule(element);
+    }
+
     const manifestNode = {
       [tagName]: {}
     };
@@ -233,34 +349,98 @@ class WebpageToManifestConverter {
     if (element.attributes) {
       Array.from(element.attributes).forEach(attr => {
         if (attr.name === 'class' && this.options.preserveClasses) {
-          props.style = attr.value.split(' ').filter(Boolean).join(' ');
-        } else if (attr.name !== 'style') {
-          props[attr.name] = attr.value;
+          // Computed styles replace the class rules of rendered pages
+          if (!this.computedStyleAttribute) props.style = escapeExpressions(attr.value.split(' ').filter(Boolean).join(' '));
+        } else if (attr.name !== 'style' && attr.name !== this.computedStyleAttribute) {
+          props[attr.name] = escapeExpressions(attr.value);
         }
       });
     }
 
-    // Extract text content (for leaf nodes)
-    if (element.children.length === 0 && element.textContent.trim()) {
-      props.text = element.textContent.trim();
+    // An inline style attribute becomes a generated style (inline-1, or computed-1 for rendered pages) after the element's classes
+    const inlineStyle = this.inlineStyleKey(element);
+    if (inlineStyle) {
+      props.style = props.style ? `${props.style} ${inlineStyle}` : inlineStyle;
+    }
+
+    // Text alone becomes `text`; text between elements stays in the children as strings
+    const children = this.extractContent(element, depth);
+    if (children.length === 1 && typeof children[0] === 'string') {
+      props.text = children[0];
+    } else if (children.length > 0) {
+      props.children = children.length === 1 ? children[0] : children;
     }
 
-    // Extract children
-    if (element.children.length > 0) {
-      const children = [];
-      Array.from(element.children).forEach(child => {
+    return manifestNode;
+  }
+
+  /**
+   * Child nodes of an element in document order: elements as manifest nodes, text as strings.
+   * Whitespace is collapsed (except in <pre> and <textarea>) and trimmed at the element's
+   * edges; between elements it is kept only where it shows, next to text or between inline elements.
+   */
+  extractContent(element, depth) {
+    const preformatted = Boolean(element.closest(PREFORMATTED));
+    const nodes = [];
+    Array.from(element.childNodes).forEach(child => {
+      if (child.nodeType === TEXT_NODE) {
+        const text = preformatted ? child.textContent : child.textContent.replace(/\s+/g, ' ');
+        // Adjacent text (around comments or ignored elements) is merged
+        if (typeof nodes[nodes.length - 1] === 'string') nodes[nodes.length - 1] += text;
+        else nodes.push(text);
+      } else if (child.nodeType === ELEMENT_NODE) {
         const childManifest = this.convertElementToManifest(child, depth + 1);
-        if (childManifest) {
-          children.push(childManifest);
-        }
-      });
-      
-      if (children.length > 0) {
-        props.children = children.length === 1 ? children[0] : children;
+        if (childManifest) nodes.push({ node: childManifest, inline: INLINE_TAGS.includes(child.tagName.toLowerCase()) });
       }
+    });
+    if (preformatted) return nodes.filter(Boolean).map(node => (typeof node === 'string' ? escapeExpressions(node) : node.node));
+
+    const last = nodes.length - 1;
+    const content = nodes
+      .map((node, index) => {
+        if (typeof node !== 'string') return node;
+        let text = node;
+        if (index === 0) text = text.trimStart();
+        if (index === last) text = text.trimEnd();
+        if (text.trim()) return text;
+        // Whitespace only: a space between inline elements, nothing between blocks
+        const between = index > 0 && index < last && nodes[index - 1].inline && nodes[index + 1].inline;
+        return between ? ' ' : null;
+      })
+      .filter(Boolean);
+    return content.map(node => (typeof node === 'string' ? escapeExpressions(node) : node.node));
+  }
+
+  /**
+   * An element below maxDepth continues in a module of its own: its subtree (from depth 0
+   * again) becomes the structure of a module in manifest.modules, referenced in its place
+   */
+  splitModule(element) {
+    const tagName = element.tagName.toLowerCase();
+    const className = (element.getAttribute('class') || '').split(/\s+/).filter(Boolean)[0];
+    const base = (element.id || className || tagName).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || tagName;
+
+    let alias;
+    for (let index = 1; !alias || this.splitModules.some(module => module.alias === alias); index++) {
+      alias = `${/^[a-z_]/.test(base) ? base : `${tagName}-${base}`}-${index}`;
     }
+    // Reserved before converting, so modules split inside this one get other names
+    const module = { url: `./${alias}.yaml`, alias, type: 'component' };
+    this.splitModules.push(module);
+    module._content = this.moduleManifest(alias, this.convertElementToManifest(element, 0),
+      `Continues the page below depth ${this.options.maxDepth}`);
 
-    return manifestNode;
+    return { [tagName]: { module: alias } };
+  }
+
+  /**
+   * Manifest of a generated module (manifest.modules[]._content); convertDocument adds its styles
+   */
+  moduleManifest(alias, structure, description) {
+    return {
+      manifest: { version: '2.0', name: alias, description },
+      structure
+    };
   }
 
   /**
@@ -318,14 +498,14 @@ class WebpageToManifestConverter {
       const elements = doc.querySelectorAll(selector);
       elements.forEach((el, index) => {
         const moduleName = this.generateModuleName(selector, index);
-        const moduleManifest = this.convertElementToManifest(el, 0);
+        const structure = this.convertElementToManifest(el, 0);
         
-        if (moduleManifest) {
+        if (structure) {
           modules.push({
             url: `./${moduleName}.yaml`,
             alias: moduleName,
             type: 'component',
-            _content: moduleManifest
+            _content: this.moduleManifest(moduleName, structure, `Matches ${selector} on the page`)
           });
         }
       });
@@ -385,7 +565,8 @@ class WebpageToManifestConverter {
   cssRulesToObject(rulesString) {
     const rules = {};
     
-    const declarations = rulesString.split(';').filter(decl => decl.trim());
+    // Semicolons inside url(...) and other parentheses do not end a declaration
+    const declarations = rulesString.split(/;(?![^(]*\))/).filter(decl => decl.trim());
     declarations.forEach(decl => {
       const colonIndex = decl.indexOf(':');
       if (colonIndex === -1) return;
@@ -402,20 +583,30 @@ class WebpageToManifestConverter {
   }
 
   /**
-   * Extract styles from element (simplified)
+   * Extract the declarations of an element's style attribute
    */
   extractElementStyles(element) {
-    const styles = {};
-    
-    // This would ideally use getComputedStyle in browser
-    // For now, just return basic structure
-    if (element.tagName === 'DIV') {
-      styles.display = 'block';
-    } else if (element.tagName === 'SPAN') {
-      styles.display = 'inline';
+    const styleText = element.getAttribute && element.getAttribute('style');
+    return styleText ? this.cssRulesToObject(styleText) : {};
+  }
+
+  /**
+   * Style key for an element's inline style; elements with the same declarations share one
+   */
+  inlineStyleKey(element) {
+    // A computed style already includes the style attribute
+    const computed = this.computedStyleAttribute;
+    const declarations = computed
+      ? this.cssRulesToObject(element.getAttribute(computed) || '')
+      : this.extractElementStyles(element);
+    if (Object.keys(declarations).length === 0) return null;
+
+    if (!this.inlineStyles) this.inlineStyles = new Map();
+    const signature = JSON.stringify(declarations);
+    if (!this.inlineStyles.has(signature)) {
+      this.inlineStyles.set(signature, { key: `${computed ? 'computed' : 'inline'}-${this.inlineStyles.size + 1}`, declarations });
     }
-    
-    return styles;
+    return this.inlineStyles.get(signature).key;
   }
 
   /**
@@ -534,6 +725,13 @@ class BulkWebpageAnalyzer {
     return urls;
   }
 
+  /**
+   * Release the converter's headless browser (render mode)
+   */
+  close() {
+    return this.converter.close();
+  }
+
   /**
    * Utility delay function
    */
@@ -542,6 +740,23 @@ class BulkWebpageAnalyzer {
   }
 }
 
+/**
+ * Style keys and module aliases a manifest structure references: { styles, modules }
+ */
+function structureReferences(node, references = { styles: new Set(), modules: new Set() }) {
+  if (Array.isArray(node)) {
+    node.forEach(child => structureReferences(child, references));
+  } else if (node && typeof node === 'object') {
+    Object.values(node).forEach(props => {
+      if (!props || typeof props !== 'object') return;
+      if (typeof props.style === 'string') props.style.split(/\s+/).filter(Boolean).forEach(key => references.styles.add(key));
+      if (typeof props.module === 'string') references.modules.add(props.module);
+      structureReferences(props.children, references);
+    });
+  }
+  return references;
+}
+
 // Export for both environments
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = { WebpageToManifestConverter, BulkWebpageAnalyzer };
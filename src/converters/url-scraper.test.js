@@ -0,0 +1,62 @@
+/**
+ * WebpageToManifestConverter: page content into manifest structure
+ */
+
+const { WebpageToManifestConverter } = require('./url-scraper');
+const { ManifestToHTMLConverter, ManifestToReactConverter } = require('./format-converters');
+
+const scrape = (body, options = {}) =>
+  new WebpageToManifestConverter(options).convertFromHTML(`<html><head><title>Page</title></head><body>${body}</body></html>`);
+
+const bodyOf = manifest => manifest.structure.body.children;
+
+describe('WebpageToManifestConverter', () => {
+  describe('mixed content', () => {
+    test('keeps text around inline elements in document order', () => {
+      expect(bodyOf(scrape('<p>Hello <strong>world</strong>!</p>')))
+        .toEqual({ p: { children: ['Hello ', { strong: { text: 'world' } }, '!'] } });
+    });
+
+    test('keeps a space between inline elements but not between blocks', () => {
+      expect(bodyOf(scrape('<p><em>a</em> <strong>b</strong></p>')))
+        .toEqual({ p: { children: [{ em: { text: 'a' } }, ' ', { strong: { text: 'b' } }] } });
+      expect(bodyOf(scrape('<div>\n  <p>a</p>\n  <p>b</p>\n</div>')))
+        .toEqual({ div: { children: [{ p: { text: 'a' } }, { p: { text: 'b' } }] } });
+    });
+
+    test('collapses whitespace except in pre', () => {
+      expect(bodyOf(scrape('<p>\n  one\n  two  </p>'))).toEqual({ p: { text: 'one two' } });
+      expect(bodyOf(scrape('<pre>  line 1\n  <b>x</b>  y</pre>')))
+        .toEqual({ pre: { children: ['  line 1\n  ', { b: { text: 'x' } }, '  y'] } });
+    });
+
+    test('converts back to the same markup', () => {
+      const html = new ManifestToHTMLConverter().convertToHTML(scrape('<p>Hello <strong>world</strong>!</p>')).content;
+      expect(html).toContain('<p>Hello <strong>world</strong>!</p>');
+    });
+
+    test('continues subtrees below maxDepth in modules', () => {
+      const manifest = scrape('<div><section><article><p>Deep <b>text</b></p></article></section></div>', { maxDepth: 2 });
+      expect(bodyOf(manifest)).toEqual({ div: { children: { section: { children: { article: { module: 'article-1' } } } } } });
+      expect(manifest.modules).toEqual([expect.objectContaining({ url: './article-1.yaml', alias: 'article-1' })]);
+      expect(manifest.modules[0]._content.structure)
+        .toEqual({ article: { children: { p: { children: ['Deep ', { b: { text: 'text' } }] } } } });
+    });
+  });
+
+  describe('braces on the page', () => {
+    const manifest = () => scrape('<p title="{{ t }}">Use {{ x }} or {{ a | unknownfilter }}</p>');
+
+    test('are escaped in text and attributes', () => {
+      expect(bodyOf(manifest())).toEqual({ p: { title: '\\{{ t }}', text: 'Use \\{{ x }} or \\{{ a | unknownfilter }}' } });
+    });
+
+    test('convert back to the literal page text', () => {
+      const html = new ManifestToHTMLConverter().convertToHTML(manifest()).content;
+      expect(html).toContain('<p title="{{ t }}">Use {{ x }} or {{ a | unknownfilter }}</p>');
+
+      const jsx = new ManifestToReactConverter().convertToReact(manifest()).content;
+      expect(jsx).toContain('<p title="{{ t }}">{"Use {{ x }} or {{ a | unknownfilter }}"}</p>');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * CSS Optimizer - Smaller stylesheets for generated output
+ * Two independent steps, used by every converter when `optimize` is set:
+ *   prune(manifest)   drops styles no element uses (walks `structure`; styles named in
+ *                     interaction code or `keep` survive, and a dynamic {{ }} style keeps all)
+ *   process(css)      adds vendor prefixes for the target browsers (autoprefixer), merges
+ *                     duplicate rules and declarations and minifies (clean-css)
+ * The HTML converter can also split out the critical CSS of the first sections of a page.
+ * Browsers come from `browsers`, else the project's browserslist config, else "defaults".
+ */
+
+const postcss = require('postcss');
+const autoprefixer = require('autoprefixer');
+const browserslist = require('browserslist');
+const CleanCSS = require('clean-css');
+const { StyleScope } = require('./style-scope');
+
+const CLASS_ATTRIBUTES = ['style', 'class', 'className'];
+
+class CssOptimizer {
+  constructor(options = {}) {
+    this.removeUnused = options.removeUnused !== false;
+    this.prefix = options.prefix !== false;
+    this.minify = options.minify !== false;
+    // Style keys that are always kept, e.g. classes only added from scripts
+    this.keep = new Set(options.keep || []);
+    // Number of top-level sections treated as above the fold (0: no critical CSS)
+    this.critical = Number(options.critical) || 0;
+    this.browsers = options.browsers || browserslist.loadConfig({ path: process.cwd() }) || 'defaults';
+
+    this.prefixer = postcss([autoprefixer({ overrideBrowserslist: this.browsers })]);
+    this.cleaner = new CleanCSS({ level: 2, format: this.minify ? false : 'beautify' });
+  }
+
+  /**
+   * Options for the converters' `optimize` option: true or an options object
+   */
+  static from(optimize) {
+    if (!optimize) return null;
+    return optimize instanceof CssOptimizer ? optimize : new CssOptimizer(optimize === true ? {} : optimize);
+  }
+
+  /**
+   * Manifest whose _mergedStyles only holds the styles its structure uses
+   */
+  prune(manifest) {
+    if (!this.removeUnused || !manifest._mergedStyles) return manifest;
+
+    const used = CssOptimizer.usedStyles(manifest.structure);
+    if (used === null) return manifest;
+
+    const code = Object.values(manifest.interactions || {}).map(handler => handler?.code || '').join('\n');
+    const styles = {};
+    for (const [key, declarations] of Object.entries(manifest._mergedStyles)) {
+      if (used.has(key) || this.keep.has(key) || this._mentioned(code, StyleScope.split(key).name)) {
+        styles[key] = declarations;
+      }
+    }
+    return { ...manifest, _mergedStyles: styles };
+  }
+
+  /**
+   * Style keys and class names referenced in a structure, or null when a dynamic
+   * style makes that impossible to know
+   */
+  static usedStyles(structure) {
+    const used = new Set();
+    let dynamic = false;
+
+    const walk = node => {
+      if (Array.isArray(node)) return node.forEach(walk);
+      if (!node || typeof node !== 'object') return;
+
+      for (const [key, value] of Object.entries(node)) {
+        if (CLASS_ATTRIBUTES.includes(key) && typeof value === 'string') {
+          if (value.includes('{{')) dynamic = true;
+          value.split(/\s+/).filter(Boolean).forEach(token => used.add(token));
+        } else {
+          walk(value);
+        }
+      }
+    };
+    walk(structure);
+
+    return dynamic ? null : used;
+  }
+
+  /**
+   * Top-level sections of a page: below html/body (head is skipped) and single wrapper elements
+   */
+  sections(structure) {
+    let nodes = [].concat(structure || []);
+    for (;;) {
+      if (nodes.length !== 1 || !nodes[0] || typeof nodes[0] !== 'object') return nodes;
+
+      const [tag, props] = Object.entries(nodes[0])[0] || [];
+      // Double-nested module nodes (tag: { tag: {...} })
+      const element = props && props[tag] && typeof props[tag] === 'object' ? props[tag] : props;
+      const children = element && element.children;
+      if (!children || typeof children !== 'object') return nodes;
+      nodes = (Array.isArray(children) ? children : Object.entries(children).map(([child, value]) => ({ [child]: value })))
+        .filter(node => !(node && typeof node === 'object' && 'head' in node));
+    }
+  }
+
+  /**
+   * Style keys used by the first `critical` sections, or null when critical CSS is off
+   */
+  criticalStyles(manifest) {
+    if (this.critical <= 0) return null;
+
+    const all = Object.keys(manifest._mergedStyles || {});
+    const below = CssOptimizer.usedStyles(this.sections(manifest.structure).slice(this.critical));
+    const above = CssOptimizer.usedStyles(this.sections(manifest.structure).slice(0, this.critical));
+    if (!below || !above) return new Set(all);
+    // Styles of the wrappers around the sections are needed too, so only what is used below the fold alone is deferred
+    return new Set(all.filter(key => above.has(key) || !below.has(key)));
+  }
+
+  /**
+   * Prefixed, deduplicated and (unless minify is off) minified CSS
+   */
+  process(css) {
+    if (!css.trim()) return css;
+
+    let output = css;
+    if (this.prefix) {
+      output = this.prefixer.process(output, { from: undefined }).css;
+    }
+
+    const result = this.cleaner.minify(output);
+    if (result.errors.length > 0) {
+      throw new Error(`CSS optimization failed: ${result.errors.join('; ')}`);
+    }
+    return result.styles;
+  }
+
+  _mentioned(code, className) {
+    if (!code) return false;
+    return new RegExp(`(^|[^\\w-])${className.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\w-])`).test(code);
+  }
+}
+
+module.exports = { CssOptimizer };
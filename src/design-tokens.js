@@ -0,0 +1,209 @@
+/**
+ * Design Tokens - Named design values compiled to CSS custom properties
+ *   tokens:
+ *     colors: { primary: "#007acc", gray: { 100: "#f8f9fa" } }
+ *     spacing: { md: 16px }
+ *     typography: { family: { body: "Inter, sans-serif" }, size: { base: 16px } }
+ *     radii: { md: 6px }
+ *   themes:
+ *     dark: { colors: { primary: "#4db2ff" } }
+ * Tokens become variables on :root (colors.gray.100 → --color-gray-100) and each
+ * theme overrides them under :root[data-theme="<name>"], so setting the attribute
+ * on <html> switches themes at runtime. Styles use `token(colors.primary)`, which
+ * compiles to var(--color-primary). The same tokens export to SCSS variables,
+ * a JS object and a Tailwind config.
+ */
+
+const GROUP_PREFIXES = { colors: 'color', spacing: 'spacing', typography: 'font', radii: 'radius' };
+const TAILWIND_KEYS = {
+  colors: 'colors',
+  spacing: 'spacing',
+  radii: 'borderRadius',
+  'typography.family': 'fontFamily',
+  'typography.size': 'fontSize',
+  'typography.weight': 'fontWeight',
+  'typography.leading': 'lineHeight'
+};
+const TOKEN_REFERENCE = /token\(\s*([\w.-]+)\s*\)/g;
+const THEME_ATTRIBUTE = 'data-theme';
+const TOKEN_FORMATS = ['css', 'scss', 'js', 'tailwind', 'json'];
+
+class DesignTokens {
+  constructor(tokens = {}, themes = {}) {
+    this.tokens = tokens || {};
+    this.themes = themes || {};
+    // token path (colors.gray.100) → value
+    this.values = this._flatten(this.tokens);
+
+    for (const [theme, overrides] of Object.entries(this.themes)) {
+      const unknown = [...this._flatten(overrides || {}).keys()].filter(name => !this.values.has(name));
+      if (unknown.length > 0) {
+        throw new Error(`Theme '${theme}' sets unknown token(s): ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Tokens of a loaded manifest, including those merged from its template and modules
+   */
+  static forManifest(manifest) {
+    const merged = manifest._mergedTokens || { tokens: manifest.tokens, themes: manifest.themes };
+    return new DesignTokens(merged.tokens, merged.themes);
+  }
+
+  /**
+   * Deep merge of token sections; later sections win
+   */
+  static merge(...sections) {
+    const merge = (target, source) => {
+      for (const [key, value] of Object.entries(source || {})) {
+        target[key] = isGroup(value) && isGroup(target[key]) ? merge({ ...target[key] }, value) : value;
+      }
+      return target;
+    };
+    return sections.reduce((result, section) => merge(result, section), {});
+  }
+
+  get empty() {
+    return this.values.size === 0;
+  }
+
+  /**
+   * CSS custom property for a token path: typography.size.base → --font-size-base
+   */
+  variable(name) {
+    const [group, ...rest] = name.split('.');
+    return `--${[GROUP_PREFIXES[group] || group, ...rest].join('-').replace(/_/g, '-')}`;
+  }
+
+  /**
+   * Replace token(...) references in a style value with var(--...)
+   */
+  resolve(value, context = 'style') {
+    if (typeof value !== 'string' || !value.includes('token(')) return value;
+
+    return value.replace(TOKEN_REFERENCE, (match, name) => {
+      if (!this.values.has(name)) {
+        throw new Error(`Unknown design token '${name}' in ${context}`);
+      }
+      return `var(${this.variable(name)})`;
+    });
+  }
+
+  /**
+   * CSS rules: the default values on :root, then one rule per theme
+   * (more specific than :root, so the order of the rules in the page does not matter)
+   */
+  rules() {
+    if (this.empty) return [];
+
+    const rule = (selector, values) => {
+      const declarations = [...values].map(([name, value]) => `  ${this.variable(name)}: ${value};`).join('\n');
+      return `${selector} {\n${declarations}\n}`;
+    };
+
+    return [
+      rule(':root', this.values),
+      ...Object.entries(this.themes).map(([theme, overrides]) =>
+        rule(`:root[${THEME_ATTRIBUTE}="${theme}"]`, this._flatten(overrides || {})))
+    ];
+  }
+
+  /**
+   * Inline script that restores the last theme picked with window.setTheme(name)
+   */
+  switcherScript() {
+    if (Object.keys(this.themes).length === 0) return '';
+
+    return `(function () {
+  var root = document.documentElement;
+  window.setTheme = function (name) {
+    if (name) root.setAttribute('${THEME_ATTRIBUTE}', name); else root.removeAttribute('${THEME_ATTRIBUTE}');
+    try { localStorage.setItem('theme', name || ''); } catch (e) {}
+  };
+  try { var saved = localStorage.getItem('theme'); if (saved) root.setAttribute('${THEME_ATTRIBUTE}', saved); } catch (e) {}
+})();`;
+  }
+
+  /**
+   * Token tree with var(--...) leaves (references: true) or the default values
+   */
+  object({ references = false } = {}) {
+    const build = (group, prefix) => Object.fromEntries(Object.entries(group).map(([key, value]) => {
+      const name = `${prefix}${key}`;
+      if (isGroup(value)) return [key, build(value, `${name}.`)];
+      return [key, references ? `var(${this.variable(name)})` : value];
+    }));
+    return build(this.tokens, '');
+  }
+
+  /**
+   * Exported file contents for a TOKEN_FORMATS format
+   */
+  format(format) {
+    switch (format) {
+      case 'css':
+        return `${this.rules().join('\n\n')}\n`;
+      case 'scss':
+        return this.scss();
+      case 'js':
+        return `export const tokens = ${JSON.stringify(this.object(), null, 2)};\n\n` +
+          `export const themes = ${JSON.stringify(this.themes, null, 2)};\n\n` +
+          `// Theme-aware values: var(--...) references\nexport const vars = ${JSON.stringify(this.object({ references: true }), null, 2)};\n\n` +
+          'export default tokens;\n';
+      case 'tailwind':
+        return `module.exports = ${JSON.stringify({ theme: { extend: this.tailwind() } }, null, 2)};\n`;
+      case 'json':
+        return `${JSON.stringify({ tokens: this.tokens, themes: this.themes }, null, 2)}\n`;
+      default:
+        throw new Error(`Unknown token format '${format}' (expected one of: ${TOKEN_FORMATS.join(', ')})`);
+    }
+  }
+
+  /**
+   * SCSS variables for the defaults and a map of overrides per theme
+   */
+  scss() {
+    const name = token => this.variable(token).slice(2);
+    const lines = [...this.values].map(([token, value]) => `$${name(token)}: ${value};`);
+
+    for (const [theme, overrides] of Object.entries(this.themes)) {
+      const entries = [...this._flatten(overrides || {})].map(([token, value]) => `  ${name(token)}: ${value}`);
+      lines.push('', `$theme-${theme}: (\n${entries.join(',\n')}\n);`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * theme.extend section of a Tailwind config; values are CSS variables so themes still switch
+   * Token groups without a Tailwind counterpart are left out
+   */
+  tailwind() {
+    const tree = this.object({ references: true });
+    const extend = {};
+
+    for (const [path, key] of Object.entries(TAILWIND_KEYS)) {
+      const group = path.split('.').reduce((node, segment) => (isGroup(node) ? node[segment] : undefined), tree);
+      if (isGroup(group)) extend[key] = group;
+    }
+    return extend;
+  }
+
+  _flatten(group, prefix = '', values = new Map()) {
+    for (const [key, value] of Object.entries(group)) {
+      const name = `${prefix}${key}`;
+      if (isGroup(value)) {
+        this._flatten(value, `${name}.`, values);
+      } else {
+        values.set(name, value);
+      }
+    }
+    return values;
+  }
+}
+
+function isGroup(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { DesignTokens, THEME_ATTRIBUTE, TOKEN_FORMATS };
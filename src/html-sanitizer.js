@@ -0,0 +1,187 @@
+/**
+ * HTML Sanitizer - Allowlist filtering for untrusted manifests and markup
+ * Used by ManifestToHTMLConverter when `sanitize` is set (manifests posted to the API or
+ * scraped from a URL): elements outside the allowlist are unwrapped (their content stays),
+ * dangerous ones (script, style, iframe, form, ...) are dropped with their content, and only
+ * allowlisted attributes survive - never event handlers or inline CSS.
+ * safeURL() is applied to URL attributes in every mode, not only when sanitizing.
+ */
+
+const { Parser } = require('htmlparser2');
+
+// Replacement for URLs with a scheme that could run script
+const UNSAFE_URL = 'about:invalid#unsafe-url';
+const SAFE_SCHEMES = ['http', 'https', 'mailto', 'tel', 'ftp', 'sms'];
+const SAFE_IMAGE_DATA = /^data:image\/(png|gif|jpe?g|webp|avif|bmp);base64,[a-z0-9+/=\s]*$/i;
+const URL_ATTRIBUTES = ['href', 'src', 'srcset', 'action', 'formaction', 'poster', 'cite', 'background', 'longdesc', 'xlink:href', 'data'];
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+const ALLOWED_TAGS = [
+  'html', 'head', 'body', 'title', 'meta',
+  'main', 'header', 'footer', 'nav', 'section', 'article', 'aside', 'div', 'span', 'p', 'br', 'hr',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'a', 'img', 'picture', 'source', 'figure', 'figcaption', 'video', 'audio', 'track',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption', 'colgroup', 'col',
+  'blockquote', 'q', 'cite', 'pre', 'code', 'kbd', 'samp', 'var', 'em', 'strong', 'b', 'i', 'u', 's', 'small', 'sub', 'sup',
+  'mark', 'abbr', 'dfn', 'time', 'data', 'address', 'details', 'summary', 'label', 'button', 'wbr', 'del', 'ins',
+  'ruby', 'rt', 'rp', 'bdi', 'bdo'
+];
+// Removed with everything inside them
+const DROPPED_TAGS = [
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'link', 'noscript',
+  'template', 'form', 'input', 'select', 'textarea', 'option', 'xmp', 'plaintext', 'noembed', 'noframes'
+];
+const ALLOWED_ATTRIBUTES = {
+  '*': ['id', 'class', 'title', 'lang', 'dir', 'role', 'hidden', 'tabindex', 'translate'],
+  a: ['href', 'target', 'rel', 'download', 'hreflang', 'type', 'name'],
+  img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading', 'decoding'],
+  source: ['src', 'srcset', 'sizes', 'type', 'media'],
+  video: ['src', 'poster', 'controls', 'autoplay', 'loop', 'muted', 'playsinline', 'preload', 'width', 'height'],
+  audio: ['src', 'controls', 'autoplay', 'loop', 'muted', 'preload'],
+  track: ['src', 'kind', 'srclang', 'label', 'default'],
+  meta: ['charset', 'name', 'content'],
+  th: ['colspan', 'rowspan', 'headers', 'scope'],
+  td: ['colspan', 'rowspan', 'headers'],
+  col: ['span'],
+  colgroup: ['span'],
+  ol: ['start', 'reversed', 'type'],
+  li: ['value'],
+  time: ['datetime'],
+  data: ['value'],
+  del: ['cite', 'datetime'],
+  ins: ['cite', 'datetime'],
+  blockquote: ['cite'],
+  q: ['cite'],
+  details: ['open'],
+  button: ['type', 'disabled'],
+  label: ['for']
+};
+// Attributes that may hold data: image URLs
+const IMAGE_ATTRIBUTES = ['src', 'srcset', 'poster'];
+
+class HtmlSanitizer {
+  /**
+   * options.tags: allowed elements, options.attributes: { tag or '*': [names] } (replace the defaults)
+   */
+  constructor(options = {}) {
+    this.tags = new Set(options.tags || ALLOWED_TAGS);
+    this.allowedAttributes = options.attributes || ALLOWED_ATTRIBUTES;
+  }
+
+  /**
+   * Sanitizer for the converters' `sanitize` option: true or an options object
+   */
+  static from(sanitize) {
+    if (!sanitize) return null;
+    return sanitize instanceof HtmlSanitizer ? sanitize : new HtmlSanitizer(sanitize === true ? {} : sanitize);
+  }
+
+  /**
+   * What happens to an element: 'keep', 'unwrap' (only its content is kept) or 'drop'
+   */
+  element(tag) {
+    const name = String(tag).toLowerCase();
+    if (DROPPED_TAGS.includes(name)) return 'drop';
+    return this.tags.has(name) ? 'keep' : 'unwrap';
+  }
+
+  /**
+   * May `name` stay on a `tag` element? aria-* and data-* always may, event handlers never
+   */
+  allows(tag, name) {
+    const attribute = String(name).toLowerCase();
+    if (/^on/.test(attribute) || attribute === 'style') return false;
+    if (/^(aria|data)-[\w-]+$/.test(attribute)) return true;
+
+    return (this.allowedAttributes['*'] || []).includes(attribute) ||
+      (this.allowedAttributes[String(tag).toLowerCase()] || []).includes(attribute);
+  }
+
+  /**
+   * Markup with every element and attribute outside the allowlist removed
+   */
+  clean(markup) {
+    let output = '';
+    // Depth inside a dropped element; nothing is written while it is above 0
+    let dropping = 0;
+    const open = [];
+
+    const parser = new Parser({
+      onopentag: (tag, attributes) => {
+        const action = dropping > 0 ? 'drop' : this.element(tag);
+        open.push(action);
+        if (action === 'drop') {
+          if (!VOID_TAGS.includes(tag)) dropping++;
+          return;
+        }
+        if (action === 'unwrap') return;
+
+        const kept = Object.entries(attributes)
+          .filter(([name]) => this.allows(tag, name))
+          .map(([name, value]) => ` ${name}="${escapeMarkup(URL_ATTRIBUTES.includes(name) ? safeURL(value, { image: IMAGE_ATTRIBUTES.includes(name), list: name === 'srcset' }) : value)}"`);
+        output += `<${tag}${kept.join('')}>`;
+      },
+      ontext: text => {
+        if (dropping === 0) output += escapeMarkup(text);
+      },
+      onclosetag: tag => {
+        const action = open.pop();
+        if (action === 'drop') {
+          if (!VOID_TAGS.includes(tag)) dropping--;
+          return;
+        }
+        if (action === 'keep' && !VOID_TAGS.includes(tag)) output += `</${tag}>`;
+      }
+    }, { decodeEntities: true, lowerCaseTags: true, lowerCaseAttributeNames: true });
+
+    parser.write(String(markup));
+    parser.end();
+    return output;
+  }
+}
+
+/**
+ * The URL, or UNSAFE_URL when its scheme could run script (javascript:, vbscript:, data: ...)
+ * options.image allows base64 data: images, options.list checks every URL of a srcset
+ */
+function safeURL(value, { image = false, list = false } = {}) {
+  const url = String(value);
+  if (list) {
+    return url.split(',').every(candidate => safeURL(candidate.trim().split(/\s+/)[0], { image }) !== UNSAFE_URL) ? url : UNSAFE_URL;
+  }
+
+  // Browsers ignore control characters and whitespace in a scheme, and decode entities in attributes
+  const normalized = [...decodeReferences(url)]
+    .filter(char => char.charCodeAt(0) > 0x20 && char.charCodeAt(0) !== 0x7f)
+    .join('')
+    .toLowerCase();
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+  if (!scheme) return url;
+  if (SAFE_SCHEMES.includes(scheme[1])) return url;
+  return image && SAFE_IMAGE_DATA.test(decodeReferences(url).trim()) ? url : UNSAFE_URL;
+}
+
+function decodeReferences(value) {
+  return value
+    .replace(/&#x([\da-f]+);?/gi, (match, hex) => codePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (match, decimal) => codePoint(Number(decimal)))
+    .replace(/&colon;/gi, ':')
+    .replace(/&tab;/gi, '\t')
+    .replace(/&newline;/gi, '\n');
+}
+
+function codePoint(number) {
+  return number <= 0x10ffff ? String.fromCodePoint(number) : '';
+}
+
+/**
+ * Escape text and double-quoted attribute values
+ */
+function escapeMarkup(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = { HtmlSanitizer, safeURL, UNSAFE_URL, URL_ATTRIBUTES, IMAGE_ATTRIBUTES };
@@ -0,0 +1,93 @@
+/**
+ * HtmlSanitizer and XSS-safe output of ManifestToHTMLConverter
+ */
+
+const { HtmlSanitizer, safeURL, UNSAFE_URL } = require('./html-sanitizer');
+const { ManifestToHTMLConverter } = require('./converters/format-converters');
+
+describe('HtmlSanitizer', () => {
+  const sanitizer = new HtmlSanitizer();
+
+  test('keeps allowlisted markup', () => {
+    const markup = '<p class="lead" data-id="1" aria-label="Intro">Hi <a href="https://example.com/" target="_blank">there</a></p>';
+    expect(sanitizer.clean(markup)).toBe(markup);
+  });
+
+  test('drops dangerous elements with their content and unwraps unknown ones', () => {
+    expect(sanitizer.clean('<div>a<script>alert(1)</script><iframe src="x"><p>b</p></iframe><custom>c</custom></div>'))
+      .toBe('<div>ac</div>');
+  });
+
+  test('drops event handlers and inline styles', () => {
+    expect(sanitizer.clean('<img src="a.png" onerror="alert(1)" style="x" alt="A">')).toBe('<img src="a.png" alt="A">');
+  });
+
+  test('escapes decoded text and attributes', () => {
+    expect(sanitizer.clean('<p title="&quot;&gt;">&lt;script&gt;</p>')).toBe('<p title="&quot;&gt;">&lt;script&gt;</p>');
+  });
+
+  test('takes its own allowlist', () => {
+    const strict = new HtmlSanitizer({ tags: ['p'], attributes: { '*': [] } });
+    expect(strict.clean('<p class="a"><em>x</em></p>')).toBe('<p>x</p>');
+  });
+});
+
+describe('safeURL', () => {
+  test.each([
+    ['https://example.com/', 'https://example.com/'],
+    ['/relative?x=1', '/relative?x=1'],
+    ['mailto:a@example.com', 'mailto:a@example.com'],
+    ['javascript:alert(1)', UNSAFE_URL],
+    [' JaVaScRiPt:alert(1)', UNSAFE_URL],
+    ['java\tscript:alert(1)', UNSAFE_URL],
+    ['java&#x09;script:alert(1)', UNSAFE_URL],
+    ['javascript&colon;alert(1)', UNSAFE_URL],
+    ['vbscript:msgbox', UNSAFE_URL],
+    ['data:text/html,<script>alert(1)</script>', UNSAFE_URL]
+  ])('%s', (url, expected) => {
+    expect(safeURL(url)).toBe(expected);
+  });
+
+  test('data: images only where images are expected', () => {
+    expect(safeURL('data:image/png;base64,AAAA', { image: true })).toBe('data:image/png;base64,AAAA');
+    expect(safeURL('data:image/png;base64,AAAA')).toBe(UNSAFE_URL);
+    expect(safeURL('data:image/svg+xml,<svg onload="alert(1)">', { image: true })).toBe(UNSAFE_URL);
+  });
+
+  test('checks every candidate of a srcset', () => {
+    expect(safeURL('a.png 1x, b.png 2x', { list: true })).toBe('a.png 1x, b.png 2x');
+    expect(safeURL('a.png 1x, javascript:alert(1) 2x', { list: true })).toBe(UNSAFE_URL);
+  });
+});
+
+describe('ManifestToHTMLConverter output', () => {
+  const manifest = {
+    data: { snippet: '<img src=x onerror=alert(1)>' },
+    structure: {
+      div: {
+        title: '" onmouseover="alert(1)',
+        text: '<script>alert(1)</script>',
+        children: [
+          { a: { href: 'javascript:alert(1)', text: 'link' } },
+          { p: { onclick: 'alert(1)', html: '<b onclick="alert(1)">bold</b><iframe src="x"></iframe>' } },
+          { span: { text: '{{ data.snippet | raw }}' } }
+        ]
+      }
+    }
+  };
+  const body = options => new ManifestToHTMLConverter().convertToHTML(manifest, options).content.split('<body>')[1];
+
+  test('escapes text and attributes and neutralizes URLs in every mode', () => {
+    const html = body();
+    expect(html).toContain('<div title="&quot; onmouseover=&quot;alert(1)">');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).toContain(`<a href="${UNSAFE_URL}">link</a>`);
+  });
+
+  test('filters html fields, raw values and attributes when sanitizing', () => {
+    const html = body({ sanitize: true });
+    expect(html).toContain('<p><b>bold</b></p>');
+    expect(html).toContain('<span><img src="x"></span>');
+    expect(html).not.toMatch(/onclick|onerror|<iframe/);
+  });
+});
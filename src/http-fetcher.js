@@ -0,0 +1,386 @@
+/**
+ * HTTP Fetcher - Polite, bounded page downloads for the URL scraper and crawler
+ *   redirects       301/302/303/307/308 are followed (maxRedirects), relative Locations included
+ *   encodings       gzip, deflate and br bodies are decoded
+ *   charsets        Content-Type charset, then a byte order mark, then <meta charset> or the
+ *                   XML declaration, else UTF-8
+ *   limits          a timeout for the whole request and a maximum body size (before and after decoding)
+ *   robots.txt      checked per origin for our User-Agent token (longest match wins, Crawl-delay honoured);
+ *                   a missing robots.txt allows everything, an unreachable one (5xx) nothing
+ *   rate limiting   requests to one host are at least `interval` ms apart
+ *   cache           with cacheDir, 200 responses are stored as JSON and reused for cacheTtl ms,
+ *                   then revalidated with If-None-Match / If-Modified-Since
+ * Plain http:// is supported, so any local HTTP server can stand in for a real site.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const zlib = require('zlib');
+const { version } = require('../package.json');
+
+const USER_AGENT = `ManifestScraper/${version}`;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const DECODERS = {
+  gzip: () => zlib.createGunzip(),
+  'x-gzip': () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate(),
+  br: () => zlib.createBrotliDecompress()
+};
+// Response headers kept in the cache
+const CACHED_HEADERS = ['content-type', 'etag', 'last-modified', 'cache-control'];
+
+/**
+ * Error thrown when a page cannot be fetched
+ * code: EHTTP (non-2xx status), EROBOTS (disallowed by robots.txt), EREDIRECT, ETIMEDOUT, ETOOLARGE or EINVALID
+ */
+class FetchError extends Error {
+  constructor(message, url, code, status = null) {
+    super(message);
+    this.name = 'FetchError';
+    this.url = url;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class HttpFetcher {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || USER_AGENT;
+    this.timeout = options.timeout || 15000;
+    this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+    this.maxRedirects = options.maxRedirects ?? 5;
+    this.robots = options.robots !== false;
+    // Minimum ms between two requests to the same host (robots.txt Crawl-delay may raise it)
+    this.interval = options.interval ?? 500;
+    this.cacheDir = options.cacheDir || null;
+    this.cacheTtl = options.cacheTtl ?? 60 * 60 * 1000;
+
+    this.robotsRules = new Map();
+    this.nextRequest = new Map();
+  }
+
+  /**
+   * Fetch a page: { url (after redirects), status, headers, charset, body, fromCache }
+   * options.robots: false skips the robots.txt check for this request
+   */
+  async fetch(url, options = {}) {
+    const target = this._parse(url);
+    const robots = options.robots ?? this.robots;
+
+    const cached = this.cacheDir ? await this._readCache(target.href) : null;
+    if (cached && Date.now() - cached.storedAt < this.cacheTtl) {
+      return { ...cached.response, fromCache: true };
+    }
+
+    let current = target;
+    for (let redirects = 0; ; redirects++) {
+      await this._admit(current, robots);
+
+      const headers = current === target && cached ? validators(cached.response.headers) : {};
+      const response = await this._request(current, headers);
+
+      if (REDIRECT_STATUSES.includes(response.status)) {
+        if (redirects >= this.maxRedirects) {
+          throw new FetchError(`Too many redirects fetching ${target.href}`, target.href, 'EREDIRECT');
+        }
+        if (!response.headers.location) {
+          throw new FetchError(`Redirect without a Location from ${current.href}`, current.href, 'EREDIRECT', response.status);
+        }
+        current = this._parse(new URL(response.headers.location, current).href, 'EREDIRECT');
+        continue;
+      }
+
+      if (response.status === 304 && cached) {
+        await this._writeCache(target.href, cached.response);
+        return { ...cached.response, fromCache: true };
+      }
+      if (response.status < 200 || response.status >= 300) {
+        throw new FetchError(`Failed to fetch ${current.href}: HTTP ${response.status} ${response.statusText}`.trim(),
+          current.href, 'EHTTP', response.status);
+      }
+
+      const charset = detectCharset(response.body, response.headers['content-type']);
+      const result = {
+        url: current.href,
+        status: response.status,
+        headers: response.headers,
+        charset,
+        body: decode(response.body, charset),
+        fromCache: false
+      };
+
+      if (this.cacheDir && response.status === 200 && !/no-store/i.test(response.headers['cache-control'] || '')) {
+        await this._writeCache(target.href, result);
+      }
+      return result;
+    }
+  }
+
+  /**
+   * Body of a page as text
+   */
+  async text(url) {
+    return (await this.fetch(url)).body;
+  }
+
+  /**
+   * Apply robots.txt and the rate limit to a request made by another client (render mode's browser)
+   */
+  async admit(url, options = {}) {
+    await this._admit(this._parse(url), options.robots ?? this.robots);
+  }
+
+  /**
+   * May the User-Agent fetch `url` according to its origin's robots.txt?
+   */
+  async allowed(url) {
+    const target = new URL(url);
+    if (target.pathname === '/robots.txt') return true;
+
+    const rules = await this._robotsFor(target.origin);
+    return isAllowed(rules, target.pathname + target.search);
+  }
+
+  /**
+   * robots.txt rules of an origin, fetched once per fetcher
+   */
+  _robotsFor(origin) {
+    if (!this.robotsRules.has(origin)) {
+      const token = this.userAgent.split('/')[0].toLowerCase();
+      const load = async () => {
+        try {
+          const response = await this.fetch(`${origin}/robots.txt`, { robots: false });
+          return parseRobots(response.body, token);
+        } catch (error) {
+          // RFC 9309: a robots.txt that does not exist allows everything, an unreachable one nothing
+          if (error.code === 'EHTTP' && error.status >= 400 && error.status < 500) return { rules: [], delay: null };
+          return { rules: [{ allow: false, path: '/' }], delay: null };
+        }
+      };
+      this.robotsRules.set(origin, load());
+    }
+    return this.robotsRules.get(origin);
+  }
+
+  async _admit(url, robots) {
+    if (robots && !(await this.allowed(url.href))) {
+      throw new FetchError(`Disallowed by robots.txt: ${url.href}`, url.href, 'EROBOTS');
+    }
+    await this._throttle(url, robots);
+  }
+
+  /**
+   * Wait until the host may be requested again and reserve the next slot
+   */
+  async _throttle(url, robots) {
+    let interval = this.interval;
+    if (robots) {
+      const { delay } = await this._robotsFor(url.origin);
+      if (delay) interval = Math.max(interval, delay * 1000);
+    }
+
+    const now = Date.now();
+    const slot = Math.max(now, this.nextRequest.get(url.host) || 0);
+    this.nextRequest.set(url.host, slot + interval);
+    if (slot > now) await new Promise(resolve => setTimeout(resolve, slot - now));
+  }
+
+  /**
+   * One GET request: { status, statusText, headers, body (Buffer, decoded) }
+   * Redirect and 304 bodies are skipped
+   */
+  _request(url, extraHeaders = {}) {
+    const client = url.protocol === 'https:' ? https : http;
+    const headers = {
+      'User-Agent': this.userAgent,
+      Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Encoding': Object.keys(DECODERS).filter(name => name !== 'x-gzip').join(', '),
+      ...extraHeaders
+    };
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const finish = (error, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (error) {
+          request.destroy();
+          reject(error);
+        } else {
+          resolve(value);
+        }
+      };
+      const timer = setTimeout(() => {
+        finish(new FetchError(`Timed out after ${this.timeout} ms fetching ${url.href}`, url.href, 'ETIMEDOUT'));
+      }, this.timeout);
+      const tooLarge = () => new FetchError(`Response from ${url.href} exceeds ${this.maxBytes} bytes`, url.href, 'ETOOLARGE');
+
+      const request = client.get(url, { headers }, response => {
+        const result = { status: response.statusCode, statusText: response.statusMessage || '', headers: response.headers };
+        if (REDIRECT_STATUSES.includes(response.statusCode) || response.statusCode === 304) {
+          response.resume();
+          return finish(null, { ...result, body: Buffer.alloc(0) });
+        }
+        if (Number(response.headers['content-length']) > this.maxBytes) return finish(tooLarge());
+
+        const encoding = String(response.headers['content-encoding'] || '').trim().toLowerCase();
+        const decoder = DECODERS[encoding] ? DECODERS[encoding]() : null;
+        const chunks = [];
+        let received = 0;
+        let size = 0;
+
+        response.on('data', chunk => {
+          received += chunk.length;
+          if (received > this.maxBytes) finish(tooLarge());
+        });
+        response.on('error', error => finish(error));
+
+        const body = decoder ? response.pipe(decoder) : response;
+        body.on('data', chunk => {
+          size += chunk.length;
+          if (size > this.maxBytes) return finish(tooLarge());
+          chunks.push(chunk);
+        });
+        body.on('error', error => finish(new FetchError(`Could not decode ${encoding} response from ${url.href}: ${error.message}`, url.href, 'EINVALID')));
+        body.on('end', () => finish(null, { ...result, body: Buffer.concat(chunks) }));
+      });
+      request.on('error', error => finish(error));
+    });
+  }
+
+  _parse(url, code = 'EINVALID') {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new FetchError(`Invalid URL: ${url}`, url, code);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new FetchError(`Only http(s) URLs can be fetched: ${url}`, url, code);
+    }
+    return parsed;
+  }
+
+  _cacheFile(url) {
+    return path.join(this.cacheDir, `${crypto.createHash('sha256').update(url).digest('hex')}.json`);
+  }
+
+  async _readCache(url) {
+    try {
+      return JSON.parse(await fs.readFile(this._cacheFile(url), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async _writeCache(url, response) {
+    const headers = Object.fromEntries(CACHED_HEADERS.filter(name => response.headers[name]).map(name => [name, response.headers[name]]));
+    const entry = { storedAt: Date.now(), response: { ...response, headers, fromCache: false } };
+
+    await fs.mkdir(this.cacheDir, { recursive: true });
+    await fs.writeFile(this._cacheFile(url), JSON.stringify(entry), 'utf8');
+  }
+}
+
+/**
+ * Conditional request headers for a cached response
+ */
+function validators(headers = {}) {
+  const result = {};
+  if (headers.etag) result['If-None-Match'] = headers.etag;
+  if (headers['last-modified']) result['If-Modified-Since'] = headers['last-modified'];
+  return result;
+}
+
+function detectCharset(body, contentType = '') {
+  const declared = /charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType || '');
+  if (declared) return declared[1].toLowerCase();
+
+  if (body[0] === 0xef && body[1] === 0xbb && body[2] === 0xbf) return 'utf-8';
+  if (body[0] === 0xff && body[1] === 0xfe) return 'utf-16le';
+  if (body[0] === 0xfe && body[1] === 0xff) return 'utf-16be';
+
+  // Covers <meta charset="..."> and <meta http-equiv="Content-Type" content="text/html; charset=...">
+  const head = body.subarray(0, 1024).toString('latin1');
+  const meta = /<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i.exec(head) || /^<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)/i.exec(head);
+  return meta ? meta[1].toLowerCase() : 'utf-8';
+}
+
+function decode(body, charset) {
+  try {
+    return new TextDecoder(charset).decode(body);
+  } catch (error) {
+    // Unknown charset label
+    return new TextDecoder('utf-8').decode(body);
+  }
+}
+
+/**
+ * Rules of the groups for `token` in a robots.txt, else of the `*` groups
+ */
+function parseRobots(text, token) {
+  const groups = [];
+  let group = null;
+  let agentLine = false;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const match = raw.replace(/#.*$/, '').trim().match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!agentLine) groups.push(group = { agents: [], rules: [], delay: null });
+      group.agents.push(value.toLowerCase());
+      agentLine = true;
+      continue;
+    }
+    agentLine = false;
+    if (!group) continue;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      group.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay' && !Number.isNaN(Number(value))) {
+      group.delay = Number(value);
+    }
+  }
+
+  const own = groups.filter(candidate => candidate.agents.includes(token));
+  const chosen = own.length > 0 ? own : groups.filter(candidate => candidate.agents.includes('*'));
+  const delays = chosen.map(candidate => candidate.delay).filter(delay => delay !== null);
+  return {
+    rules: chosen.flatMap(candidate => candidate.rules),
+    delay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * The longest matching rule decides; Allow wins a tie, and no match allows
+ */
+function isAllowed({ rules }, target) {
+  let best = null;
+  for (const rule of rules) {
+    if (!robotsPattern(rule.path).test(target)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) best = rule;
+  }
+  return !best || best.allow;
+}
+
+/**
+ * robots.txt path pattern: `*` matches anything, a trailing `$` anchors the end
+ */
+function robotsPattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+module.exports = { HttpFetcher, FetchError, USER_AGENT };
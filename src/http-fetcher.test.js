@@ -0,0 +1,242 @@
+/**
+ * HttpFetcher against an in-process HTTP server standing in for a real site
+ */
+
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { HttpFetcher, FetchError } = require('./http-fetcher');
+
+const PAGE = '<!DOCTYPE html><html><head><title>Stand-in</title></head><body><p>Hello</p></body></html>';
+
+/**
+ * HTTP server on a free port answering from `routes` (path → handler(req, res)); 404 otherwise
+ */
+async function standIn(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers, at: Date.now() });
+    const handler = routes[req.url.split('?')[0]];
+    if (handler) return handler(req, res);
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: pathname => `http://127.0.0.1:${server.address().port}${pathname}`,
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+function html(body, headers = {}) {
+  return (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+    res.end(body);
+  };
+}
+
+function redirect(location, status = 302) {
+  return (req, res) => {
+    res.writeHead(status, { Location: location });
+    res.end();
+  };
+}
+
+describe('HttpFetcher', () => {
+  let site;
+
+  beforeAll(async () => {
+    site = await standIn({
+      '/robots.txt': html('User-agent: *\nDisallow: /private\nAllow: /private/open\n', { 'Content-Type': 'text/plain' }),
+      '/page': html(PAGE),
+      '/start': redirect('/hop', 302),
+      '/hop': redirect('page', 301),
+      '/loop': redirect('/loop'),
+      '/gzip': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': 'gzip' });
+        res.end(zlib.gzipSync(PAGE));
+      },
+      '/br': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': 'br' });
+        res.end(zlib.brotliCompressSync(PAGE));
+      },
+      '/windows-1252': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=windows-1252' });
+        res.end(Buffer.from([0x43, 0x61, 0x66, 0xe9]));
+      },
+      '/meta-charset': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(Buffer.concat([Buffer.from('<meta charset="iso-8859-1"><p>'), Buffer.from([0xfc]), Buffer.from('</p>')]));
+      },
+      '/bom': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('Zürich')]));
+      },
+      '/slow': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.write('<p>');
+        // Never finishes; the stand-in closes the connection at the end
+      },
+      '/large': html('x'.repeat(5000)),
+      '/bomb': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': 'gzip' });
+        res.end(zlib.gzipSync(Buffer.alloc(1024 * 1024)));
+      },
+      '/private/secret': html(PAGE),
+      '/private/open/page': html(PAGE),
+      '/etag': (req, res) => {
+        if (req.headers['if-none-match'] === '"v1"') {
+          res.writeHead(304, { ETag: '"v1"' });
+          return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html', ETag: '"v1"' });
+        res.end(PAGE);
+      }
+    });
+  });
+
+  afterAll(() => site.close());
+
+  const fetcher = (options = {}) => new HttpFetcher({ interval: 0, robots: false, ...options });
+
+  describe('redirects', () => {
+    test('follows absolute and relative Locations and reports the final URL', async () => {
+      const response = await fetcher().fetch(site.url('/start'));
+      expect(response.url).toBe(site.url('/page'));
+      expect(response.body).toBe(PAGE);
+    });
+
+    test('gives up after maxRedirects', async () => {
+      await expect(fetcher({ maxRedirects: 3 }).fetch(site.url('/loop'))).rejects.toMatchObject({ code: 'EREDIRECT' });
+    });
+  });
+
+  describe('content encodings', () => {
+    test.each(['/gzip', '/br'])('decodes %s bodies', async pathname => {
+      expect((await fetcher().fetch(site.url(pathname))).body).toBe(PAGE);
+    });
+  });
+
+  describe('charsets', () => {
+    test('uses the Content-Type charset', async () => {
+      const response = await fetcher().fetch(site.url('/windows-1252'));
+      expect(response.charset).toBe('windows-1252');
+      expect(response.body).toBe('Café');
+    });
+
+    test('falls back to <meta charset>', async () => {
+      expect((await fetcher().fetch(site.url('/meta-charset'))).body).toContain('<p>ü</p>');
+    });
+
+    test('recognizes a UTF-8 byte order mark', async () => {
+      const response = await fetcher().fetch(site.url('/bom'));
+      expect(response.charset).toBe('utf-8');
+      expect(response.body).toBe('Zürich');
+    });
+  });
+
+  describe('limits', () => {
+    test('times out', async () => {
+      const error = await fetcher({ timeout: 200 }).fetch(site.url('/slow')).catch(caught => caught);
+      expect(error).toBeInstanceOf(FetchError);
+      expect(error.code).toBe('ETIMEDOUT');
+    });
+
+    test('rejects bodies over maxBytes', async () => {
+      await expect(fetcher({ maxBytes: 1000 }).fetch(site.url('/large'))).rejects.toMatchObject({ code: 'ETOOLARGE' });
+    });
+
+    test('applies maxBytes to the decoded body', async () => {
+      await expect(fetcher({ maxBytes: 10000 }).fetch(site.url('/bomb'))).rejects.toMatchObject({ code: 'ETOOLARGE' });
+    });
+
+    test('reports HTTP errors with their status', async () => {
+      await expect(fetcher().fetch(site.url('/missing'))).rejects.toMatchObject({ code: 'EHTTP', status: 404 });
+    });
+
+    test('only fetches http(s) URLs', async () => {
+      await expect(fetcher().fetch('ftp://127.0.0.1/file')).rejects.toMatchObject({ code: 'EINVALID' });
+    });
+  });
+
+  describe('robots.txt', () => {
+    test('refuses disallowed paths', async () => {
+      await expect(fetcher({ robots: true }).fetch(site.url('/private/secret'))).rejects.toMatchObject({ code: 'EROBOTS' });
+    });
+
+    test('lets the longest matching rule win', async () => {
+      expect((await fetcher({ robots: true }).fetch(site.url('/private/open/page'))).body).toBe(PAGE);
+    });
+
+    test('is ignored with robots: false', async () => {
+      expect((await fetcher().fetch(site.url('/private/secret'))).body).toBe(PAGE);
+    });
+
+    test('allows everything when robots.txt is missing and nothing when it fails', async () => {
+      const missing = await standIn({ '/page': html(PAGE) });
+      const failing = await standIn({
+        '/robots.txt': (req, res) => {
+          res.writeHead(503);
+          res.end();
+        },
+        '/page': html(PAGE)
+      });
+      try {
+        expect((await fetcher({ robots: true }).fetch(missing.url('/page'))).body).toBe(PAGE);
+        await expect(fetcher({ robots: true }).fetch(failing.url('/page'))).rejects.toMatchObject({ code: 'EROBOTS' });
+      } finally {
+        await missing.close();
+        await failing.close();
+      }
+    });
+  });
+
+  test('spaces requests to one host by interval', async () => {
+    const client = fetcher({ interval: 150 });
+    const before = site.requests.length;
+    await client.fetch(site.url('/page'));
+    await client.fetch(site.url('/page'));
+
+    const [first, second] = site.requests.slice(before);
+    expect(second.at - first.at).toBeGreaterThanOrEqual(140);
+  });
+
+  describe('cache', () => {
+    let cacheDir;
+
+    beforeEach(async () => {
+      cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'http-fetcher-'));
+    });
+
+    afterEach(() => fs.rm(cacheDir, { recursive: true, force: true }));
+
+    test('reuses fresh responses without a request', async () => {
+      const client = fetcher({ cacheDir });
+      await client.fetch(site.url('/page'));
+      const before = site.requests.length;
+
+      const response = await client.fetch(site.url('/page'));
+      expect(response.fromCache).toBe(true);
+      expect(response.body).toBe(PAGE);
+      expect(site.requests.length).toBe(before);
+    });
+
+    test('revalidates stale responses with If-None-Match and keeps them on 304', async () => {
+      const client = fetcher({ cacheDir, cacheTtl: 0 });
+      expect((await client.fetch(site.url('/etag'))).fromCache).toBe(false);
+
+      const response = await client.fetch(site.url('/etag'));
+      const revalidation = site.requests[site.requests.length - 1];
+      expect(revalidation.headers['if-none-match']).toBe('"v1"');
+      expect(response.fromCache).toBe(true);
+      expect(response.body).toBe(PAGE);
+    });
+  });
+});
@@ -0,0 +1,407 @@
+/**
+ * Interpolation - `{{ expression }}` placeholders in manifest text and attributes
+ * Expressions are dotted paths with optional filters:
+ *   {{ metadata.title }}
+ *   {{ props.name | default: "Guest" | upper }}
+ *   {{ metadata.published | date: "DD.MM.YYYY" }}
+ *   \{{ not interpolated }}
+ * Static scopes (metadata, manifest, styles, data, ...) are resolved at build time;
+ * runtime scopes (props, loop variables) are translated to target-language expressions
+ *
+ * Structure directives use the same paths:
+ *   each: data.features as feature[, index]
+ *   if: props.visible | !data.hidden | metadata.theme == "dark"
+ */
+
+const EXPRESSION_PATTERN = /(\\)?\{\{\s*([\s\S]*?)\s*\}\}/g;
+const DATE_TOKENS = /YYYY|MM|DD|HH|mm|ss/g;
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Error raised for malformed expressions or unknown filters
+ */
+class InterpolationError extends Error {
+  constructor(message, source) {
+    super(`${message} in {{ ${source} }}`);
+    this.name = 'InterpolationError';
+    this.source = source;
+  }
+}
+
+const pad = value => String(value).padStart(2, '0');
+
+const STATIC_FILTERS = {
+  default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+  upper: value => (value === undefined || value === null ? value : String(value).toUpperCase()),
+  lower: value => (value === undefined || value === null ? value : String(value).toLowerCase()),
+  json: value => JSON.stringify(value === undefined ? null : value),
+  raw: value => value,
+  date: (value, format = DEFAULT_DATE_FORMAT) => {
+    if (value === undefined || value === null || value === '') return value;
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return value;
+
+    // In UTC, like YAML dates, so the day does not depend on the build machine's time zone
+    const parts = {
+      YYYY: date.getUTCFullYear(),
+      MM: pad(date.getUTCMonth() + 1),
+      DD: pad(date.getUTCDate()),
+      HH: pad(date.getUTCHours()),
+      mm: pad(date.getUTCMinutes()),
+      ss: pad(date.getUTCSeconds())
+    };
+    return format.replace(DATE_TOKENS, token => parts[token]);
+  }
+};
+
+class Interpolator {
+  /**
+   * Does the text contain at least one (unescaped) expression?
+   */
+  hasExpressions(text) {
+    if (typeof text !== 'string') return false;
+    return [...text.matchAll(EXPRESSION_PATTERN)].some(match => !match[1]);
+  }
+
+  /**
+   * Text with \{{ escapes turned back into literal braces, for text without expressions
+   */
+  unescape(text) {
+    if (typeof text !== 'string') return text;
+    return text.replace(EXPRESSION_PATTERN, (match, escaped) => (escaped ? match.slice(1) : match));
+  }
+
+  /**
+   * Split text into literal and expression parts
+   */
+  parse(text) {
+    const parts = [];
+    let lastIndex = 0;
+    let literal = '';
+
+    for (const match of text.matchAll(EXPRESSION_PATTERN)) {
+      literal += text.slice(lastIndex, match.index);
+      lastIndex = match.index + match[0].length;
+
+      if (match[1]) {
+        // Escaped: keep the braces, drop the backslash
+        literal += match[0].slice(1);
+        continue;
+      }
+
+      if (literal) parts.push({ type: 'text', value: literal });
+      literal = '';
+      parts.push({ type: 'expression', expression: this.parseExpression(match[2]) });
+    }
+
+    literal += text.slice(lastIndex);
+    if (literal) parts.push({ type: 'text', value: literal });
+    return parts;
+  }
+
+  /**
+   * Parse "path.to.value | filter: arg, arg | filter"
+   */
+  parseExpression(source) {
+    const [pathSource, ...filterSources] = this._splitOutsideQuotes(source, '|');
+    const path = pathSource.trim();
+
+    if (!/^[A-Za-z_$][\w$-]*(\.[\w$-]+|\[\d+\])*$/.test(path)) {
+      throw new InterpolationError(`Invalid path '${path}'`, source);
+    }
+
+    const filters = filterSources.map(filterSource => {
+      const [name, ...rest] = this._splitOutsideQuotes(filterSource, ':');
+      const filterName = name.trim();
+      if (!STATIC_FILTERS[filterName]) {
+        throw new InterpolationError(`Unknown filter '${filterName}'`, source);
+      }
+
+      const argSource = rest.join(':').trim();
+      const args = argSource ? this._splitOutsideQuotes(argSource, ',').map(arg => this._parseLiteral(arg.trim(), source)) : [];
+      return { name: filterName, args };
+    });
+
+    return {
+      source,
+      path: path.replace(/\[(\d+)\]/g, '.$1').split('.'),
+      filters,
+      raw: filters.some(filter => filter.name === 'raw')
+    };
+  }
+
+  /**
+   * Resolve text into parts: literal text, static values, and runtime expressions
+   * `isRuntime(path)` decides which expressions stay dynamic in the target language
+   */
+  resolve(text, scope = {}, isRuntime = () => false) {
+    return this.parse(text).map(part => {
+      if (part.type === 'text') return part;
+
+      const { expression } = part;
+      if (isRuntime(expression.path)) {
+        return { type: 'runtime', expression };
+      }
+      return { type: 'value', value: this.stringify(this.evaluate(expression, scope)), expression };
+    });
+  }
+
+  /**
+   * Render text with every expression resolved statically
+   * `escape` is applied to inserted values unless the `raw` filter is used
+   */
+  render(text, scope = {}, escape = value => value) {
+    if (!this.hasExpressions(text) && !text.includes('\\{{')) return text;
+
+    return this.resolve(text, scope)
+      .map(part => (part.type === 'text' ? part.value : part.expression.raw ? part.value : escape(part.value)))
+      .join('');
+  }
+
+  /**
+   * Resolve only the expressions selected by `isBound(path)`, keeping the others for a later pass
+   * Inserted values have their braces escaped so they are not parsed again
+   */
+  substitute(text, scope, isBound) {
+    if (typeof text !== 'string') return text;
+
+    return text.replace(EXPRESSION_PATTERN, (match, escaped, source) => {
+      if (escaped) return match;
+
+      const expression = this.parseExpression(source);
+      if (!isBound(expression.path)) return match;
+      return this.stringify(this.evaluate(expression, scope)).replace(/\{\{/g, '\\{{');
+    });
+  }
+
+  evaluate(expression, scope) {
+    let value = this.lookup(expression.path, scope);
+    for (const filter of expression.filters) {
+      value = STATIC_FILTERS[filter.name](value, ...filter.args);
+    }
+    return value;
+  }
+
+  lookup(path, scope) {
+    return path.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), scope);
+  }
+
+  stringify(value) {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * Parse an `each` directive: "collection.path as item[, index]"
+   */
+  parseEach(source) {
+    const match = String(source).trim().match(/^(.+?)\s+as\s+([A-Za-z_$][\w$]*)(?:\s*,\s*([A-Za-z_$][\w$]*))?$/);
+    if (!match) {
+      throw new InterpolationError("Expected 'collection as item'", source);
+    }
+
+    const collection = this.parseExpression(match[1]);
+    return { collection, item: match[2], index: match[3] || `${match[2]}Index` };
+  }
+
+  /**
+   * Parse an `if` directive: "path", "!path", "not path", "path == literal", "path != literal"
+   */
+  parseCondition(source) {
+    const text = String(source).trim();
+    const comparison = text.match(/^(.+?)\s*(==|!=)\s*(.+)$/);
+
+    if (comparison) {
+      return {
+        source: text,
+        negate: comparison[2] === '!=',
+        expression: this.parseExpression(comparison[1]),
+        compare: true,
+        value: this._parseLiteral(comparison[3].trim(), text)
+      };
+    }
+
+    const negation = text.match(/^(?:!|not\s+)\s*(.+)$/);
+    return {
+      source: text,
+      negate: Boolean(negation),
+      expression: this.parseExpression(negation ? negation[1] : text),
+      compare: false
+    };
+  }
+
+  /**
+   * Evaluate a condition statically; empty arrays and objects are falsy
+   */
+  test(condition, scope) {
+    const value = this.evaluate(condition.expression, scope);
+    const result = condition.compare ? value === condition.value : this._truthy(value);
+    return condition.negate ? !result : result;
+  }
+
+  conditionToJavaScript(condition, base) {
+    const code = this.toJavaScript(condition.expression, base);
+    if (condition.compare) {
+      return `${code} ${condition.negate ? '!==' : '==='} ${JSON.stringify(condition.value)}`;
+    }
+    return condition.negate ? `!${code}` : code;
+  }
+
+  conditionToPHP(condition, base) {
+    const code = this.toPHP(condition.expression, base);
+    if (condition.compare) {
+      return `(${code} ?? null) ${condition.negate ? '!==' : '==='} ${this._phpLiteral(condition.value)}`;
+    }
+    return condition.negate ? `empty(${code})` : `!empty(${code})`;
+  }
+
+  /**
+   * Translate a runtime expression to JavaScript (JSX and Vue templates)
+   * `base` is the target expression for the path, e.g. "props.title"
+   */
+  toJavaScript(expression, base) {
+    return expression.filters.reduce((code, filter) => {
+      switch (filter.name) {
+        case 'default':
+          return `(${code} ?? ${JSON.stringify(filter.args[0] ?? '')})`;
+        case 'upper':
+          return `String(${code}).toUpperCase()`;
+        case 'lower':
+          return `String(${code}).toLowerCase()`;
+        case 'json':
+          return `JSON.stringify(${code})`;
+        case 'date':
+          return this._javaScriptDate(code, filter.args[0] || DEFAULT_DATE_FORMAT);
+        default:
+          return code;
+      }
+    }, base);
+  }
+
+  /**
+   * Translate a runtime expression to PHP
+   */
+  toPHP(expression, base) {
+    return expression.filters.reduce((code, filter) => {
+      switch (filter.name) {
+        case 'default':
+          return `(${code} ?? ${this._phpString(String(filter.args[0] ?? ''))})`;
+        case 'upper':
+          return `strtoupper((string) ${code})`;
+        case 'lower':
+          return `strtolower((string) ${code})`;
+        case 'json':
+          return `json_encode(${code})`;
+        case 'date': {
+          const format = (filter.args[0] || DEFAULT_DATE_FORMAT)
+            .replace(DATE_TOKENS, token => ({ YYYY: 'Y', MM: 'm', DD: 'd', HH: 'H', mm: 'i', ss: 's' })[token]);
+          const utc = "new \\DateTimeZone('UTC')";
+          return `(new \\DateTime((string) ${code}, ${utc}))->setTimezone(${utc})->format(${this._phpString(format)})`;
+        }
+        default:
+          return code;
+      }
+    }, base);
+  }
+
+  _javaScriptDate(code, format) {
+    const date = `new Date(${code})`;
+    const getters = {
+      YYYY: `String(${date}.getUTCFullYear())`,
+      MM: `String(${date}.getUTCMonth() + 1).padStart(2, '0')`,
+      DD: `String(${date}.getUTCDate()).padStart(2, '0')`,
+      HH: `String(${date}.getUTCHours()).padStart(2, '0')`,
+      mm: `String(${date}.getUTCMinutes()).padStart(2, '0')`,
+      ss: `String(${date}.getUTCSeconds()).padStart(2, '0')`
+    };
+
+    const pieces = [];
+    let lastIndex = 0;
+    for (const match of format.matchAll(DATE_TOKENS)) {
+      if (match.index > lastIndex) pieces.push(JSON.stringify(format.slice(lastIndex, match.index)));
+      pieces.push(getters[match[0]]);
+      lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < format.length) pieces.push(JSON.stringify(format.slice(lastIndex)));
+
+    return `(${pieces.join(' + ')})`;
+  }
+
+  _truthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === 'object') return Object.keys(value).length > 0;
+    return Boolean(value);
+  }
+
+  _phpLiteral(value) {
+    if (value === null) return 'null';
+    if (typeof value === 'string') return this._phpString(value);
+    return String(value);
+  }
+
+  _phpString(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+
+  _parseLiteral(value, source) {
+    if (/^"(?:[^"\\]|\\.)*"$/.test(value)) return JSON.parse(value);
+    if (/^'(?:[^'\\]|\\.)*'$/.test(value)) return value.slice(1, -1).replace(/\\'/g, "'");
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (value === 'null') return null;
+    throw new InterpolationError(`Invalid literal '${value}'`, source);
+  }
+
+  _splitOutsideQuotes(text, separator) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === '\\') {
+          current += char + (text[++i] || '');
+          continue;
+        }
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === separator) {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+
+    parts.push(current);
+    return parts;
+  }
+}
+
+/**
+ * Static scope of a manifest: metadata, manifest info, raw styles, prop defaults
+ */
+function createScope(manifest, extra = {}) {
+  const props = {};
+  Object.entries(manifest.props || {}).forEach(([name, declaration]) => {
+    if (declaration && declaration.default !== undefined) props[name] = declaration.default;
+  });
+
+  // Declared props are also reachable by bare name ({{ title }} as well as {{ props.title }})
+  return {
+    ...props,
+    manifest: manifest.manifest || {},
+    metadata: manifest.metadata || {},
+    styles: manifest.styles || {},
+    data: manifest.data || {},
+    props,
+    timestamp: new Date().toISOString(),
+    ...extra
+  };
+}
+
+module.exports = { Interpolator, InterpolationError, createScope };
@@ -0,0 +1,81 @@
+/**
+ * Interpolator: filters, escapes and UTC dates, statically and in the HTML converter
+ */
+
+const { Interpolator, InterpolationError, createScope } = require('./interpolation');
+const { ManifestToHTMLConverter } = require('./converters/format-converters');
+
+describe('Interpolator', () => {
+  const interpolator = new Interpolator();
+  const scope = createScope({
+    metadata: { title: 'Home', published: new Date('2024-03-01T00:00:00Z') },
+    props: { name: { type: 'string' }, tagline: { type: 'string', default: 'Hello' } },
+    data: { items: ['a', 'b'] }
+  });
+
+  test.each([
+    ['{{ metadata.title | upper }}', 'HOME'],
+    ['{{ metadata.title | lower }}', 'home'],
+    ['{{ props.name | default: "Guest" }}', 'Guest'],
+    ['{{ tagline }}, {{ props.tagline | upper }}', 'Hello, HELLO'],
+    ['{{ data.items | json }}', '["a","b"]'],
+    ['{{ data.items[1] }}', 'b'],
+    ['{{ metadata.missing }}', ''],
+    ['{{ metadata.published | date: "DD.MM.YYYY HH:mm" }}', '01.03.2024 00:00']
+  ])('%s → %s', (text, expected) => {
+    expect(interpolator.render(text, scope)).toBe(expected);
+  });
+
+  test('dates are formatted in UTC whatever the local time zone', () => {
+    const zone = process.env.TZ;
+    process.env.TZ = 'America/Los_Angeles';
+    try {
+      expect(interpolator.render('{{ metadata.published | date }}', scope)).toBe('2024-03-01');
+      expect(interpolator.render('{{ day | date: "YYYY-MM-DD HH:mm:ss" }}', { day: '2024-12-31T23:30:15Z' }))
+        .toBe('2024-12-31 23:30:15');
+    } finally {
+      if (zone === undefined) delete process.env.TZ;
+      else process.env.TZ = zone;
+    }
+  });
+
+  test('escaped braces stay literal', () => {
+    expect(interpolator.hasExpressions('\\{{ metadata.title }}')).toBe(false);
+    expect(interpolator.render('\\{{ metadata.title }} is {{ metadata.title }}', scope)).toBe('{{ metadata.title }} is Home');
+    expect(interpolator.unescape('a \\{{ b }} c')).toBe('a {{ b }} c');
+  });
+
+  test('substitute resolves only bound paths and escapes inserted braces', () => {
+    const text = interpolator.substitute('{{ props.title }} {{ other }}', { props: { title: '{{ x }}' } }, path => path[0] === 'props');
+    expect(text).toBe('\\{{ x }} {{ other }}');
+  });
+
+  test.each([
+    ['{{ metadata.title | shout }}', "Unknown filter 'shout' in {{ metadata.title | shout }}"],
+    ['{{ 1title }}', "Invalid path '1title'"]
+  ])('%s is rejected', (text, message) => {
+    expect(() => interpolator.render(text, scope)).toThrow(InterpolationError);
+    expect(() => interpolator.render(text, scope)).toThrow(message);
+  });
+
+  test('runtime expressions translate their filters', () => {
+    const [expression] = interpolator.resolve('{{ props.name | default: "Guest" | upper }}', {}, () => true)
+      .map(part => part.expression);
+    expect(interpolator.toJavaScript(expression, 'props.name')).toBe('String((props.name ?? "Guest")).toUpperCase()');
+    expect(interpolator.toPHP(expression, '$name')).toBe("strtoupper((string) ($name ?? 'Guest'))");
+  });
+});
+
+describe('interpolation in HTML output', () => {
+  const convert = manifest => new ManifestToHTMLConverter().convertToHTML({ manifest: { version: '2.0' }, ...manifest }).content;
+
+  test('inserted values are escaped unless raw', () => {
+    const html = convert({
+      data: { snippet: '<b>"bold"</b>' },
+      structure: { div: { title: '{{ data.snippet }}', children: [{ p: { text: '{{ data.snippet }}' } }, { p: { text: '{{ data.snippet | raw }}' } }] } }
+    });
+    expect(html).toContain('title="&lt;b&gt;&quot;bold&quot;&lt;/b&gt;"');
+    expect(html).toContain('<p>&lt;b&gt;&quot;bold&quot;&lt;/b&gt;</p>');
+    expect(html).toContain('<p><b>"bold"</b></p>');
+  });
+});
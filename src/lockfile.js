@@ -0,0 +1,116 @@
+/**
+ * Manifest Lock - Pin remote manifests by content hash
+ * manifest.lock records every remote manifest a build fetches (modules and
+ * extended templates) and every remote data file with its resolved version
+ * and SHA-256 integrity.
+ * Loaders with a lock verify each download against it and fail on any
+ * difference; `manifest lock` is the only way to update it. The file is
+ * written with sorted keys so the same inputs always produce the same bytes.
+ * `registry:` ranges are recorded too, with the manifest they resolved to, so they
+ * keep resolving to the same published version until the lock is updated.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const LOCKFILE_VERSION = 1;
+
+/**
+ * Error thrown when a download does not match manifest.lock
+ */
+class LockfileError extends Error {
+  constructor(message, url, details = {}) {
+    super(message);
+    this.name = 'LockfileError';
+    this.url = url;
+    Object.assign(this, details);
+  }
+}
+
+class ManifestLock {
+  constructor(data = {}) {
+    this.entries = new Map(Object.entries(data.modules || {}));
+  }
+
+  /**
+   * Read a lockfile; resolves to null when it does not exist
+   */
+  static async load(file) {
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid lockfile ${file}: ${error.message}`);
+    }
+    if (data.lockfileVersion !== LOCKFILE_VERSION) {
+      throw new Error(`Unsupported lockfile version ${data.lockfileVersion} in ${file}`);
+    }
+    return new ManifestLock(data);
+  }
+
+  /**
+   * Subresource Integrity string for downloaded content
+   */
+  static integrity(content) {
+    return `sha256-${crypto.createHash('sha256').update(content, 'utf8').digest('base64')}`;
+  }
+
+  get(url) {
+    return this.entries.get(url) || null;
+  }
+
+  set(url, { version = null, integrity }) {
+    this.entries.set(url, integrity ? { version, integrity } : { version });
+  }
+
+  /**
+   * Throw unless `content` is exactly what was locked for `url`
+   */
+  verify(url, content) {
+    const entry = this.get(url);
+    if (!entry) {
+      throw new LockfileError(`${url} is not in manifest.lock; run \`manifest lock\` to add it`, url);
+    }
+
+    if (!entry.integrity) {
+      throw new LockfileError(`${url} has no integrity in manifest.lock; run \`manifest lock\` to add it`, url);
+    }
+
+    const actual = ManifestLock.integrity(content);
+    if (actual !== entry.integrity) {
+      throw new LockfileError(
+        `Integrity mismatch for ${url}: manifest.lock has ${entry.integrity}, downloaded ${actual}. ` +
+        'Run `manifest lock` if the change is expected.',
+        url,
+        { expected: entry.integrity, actual }
+      );
+    }
+  }
+
+  toJSON() {
+    const modules = {};
+    [...this.entries.keys()].sort().forEach(url => {
+      const { version, integrity } = this.entries.get(url);
+      modules[url] = { version, integrity };
+    });
+    return { lockfileVersion: LOCKFILE_VERSION, modules };
+  }
+
+  serialize() {
+    return `${JSON.stringify(this.toJSON(), null, 2)}\n`;
+  }
+
+  async save(file) {
+    await fs.writeFile(file, this.serialize(), 'utf8');
+  }
+}
+
+module.exports = { ManifestLock, LockfileError, LOCKFILE_VERSION };
@@ -0,0 +1,94 @@
+/**
+ * ManifestLock: SHA-256 pins for remote manifests, on their own and through ManifestLoader
+ */
+
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { ManifestLock, LockfileError, LOCKFILE_VERSION } = require('./lockfile');
+const { ManifestLoader } = require('./manifest-loader');
+
+const MODULE = 'manifest:\n  version: "2.0"\n  package_version: "1.2.0"\nstructure:\n  footer:\n    text: Footer\n';
+
+describe('ManifestLock', () => {
+  const url = 'https://example.com/footer.yaml';
+
+  test('integrity is the base64 SHA-256 of the content', () => {
+    expect(ManifestLock.integrity('abc')).toBe('sha256-ungWv48Bz+pBQUDeXa4iI7ADYaOWF3qctBD/YfIAFa0=');
+  });
+
+  test('verifies identical content and rejects anything else', () => {
+    const lock = new ManifestLock();
+    lock.set(url, { version: '1.2.0', integrity: ManifestLock.integrity(MODULE) });
+    expect(() => lock.verify(url, MODULE)).not.toThrow();
+
+    let error;
+    try {
+      lock.verify(url, MODULE.replace('Footer', 'Changed'));
+    } catch (thrown) {
+      error = thrown;
+    }
+    expect(error).toBeInstanceOf(LockfileError);
+    expect(error.message).toMatch(/^Integrity mismatch for https:\/\/example\.com\/footer\.yaml/);
+    expect(error.expected).toBe(ManifestLock.integrity(MODULE));
+    expect(error.actual).toBe(ManifestLock.integrity(MODULE.replace('Footer', 'Changed')));
+  });
+
+  test('rejects urls that are missing or have no integrity', () => {
+    const lock = new ManifestLock({ modules: { [url]: { version: '1.2.0' } } });
+    expect(() => lock.verify('https://example.com/other.yaml', MODULE)).toThrow('is not in manifest.lock');
+    expect(() => lock.verify(url, MODULE)).toThrow('has no integrity in manifest.lock');
+  });
+
+  test('serializes with sorted keys and loads back', async () => {
+    const lock = new ManifestLock();
+    lock.set('https://b.example/x.yaml', { version: null, integrity: 'sha256-b' });
+    lock.set('https://a.example/x.yaml', { version: '1.0.0', integrity: 'sha256-a' });
+    expect(Object.keys(lock.toJSON().modules)).toEqual(['https://a.example/x.yaml', 'https://b.example/x.yaml']);
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lockfile-'));
+    try {
+      const file = path.join(dir, 'manifest.lock');
+      await lock.save(file);
+      expect((await ManifestLock.load(file)).serialize()).toBe(lock.serialize());
+      expect(await ManifestLock.load(path.join(dir, 'missing.lock'))).toBeNull();
+
+      await fs.writeFile(file, JSON.stringify({ lockfileVersion: LOCKFILE_VERSION + 1 }));
+      await expect(ManifestLock.load(file)).rejects.toThrow('Unsupported lockfile version');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('ManifestLoader with a lock', () => {
+  let server;
+  let body = MODULE;
+  let url;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/yaml' });
+      res.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/footer.yaml`;
+  });
+
+  afterAll(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  test('records downloads in update mode and fails when they change', async () => {
+    const lock = new ManifestLock();
+    await new ManifestLoader({ lock, lockMode: 'update' }).loadManifest(url);
+    expect(lock.get(url)).toEqual({ version: '1.2.0', integrity: ManifestLock.integrity(MODULE) });
+
+    await expect(new ManifestLoader({ lock }).loadManifest(url)).resolves.toMatchObject({ structure: { footer: { text: 'Footer' } } });
+
+    body = MODULE.replace('Footer', 'Tampered');
+    await expect(new ManifestLoader({ lock }).loadManifest(url)).rejects.toThrow(LockfileError);
+  });
+});
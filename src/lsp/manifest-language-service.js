@@ -0,0 +1,616 @@
+/**
+ * Manifest Language Service - editor intelligence for manifest YAML files
+ * Completion, hover, go-to-definition and diagnostics built on the schema
+ * validator and the ManifestLoader module resolution. Transport-independent:
+ * ./server.js wires it to the Language Server Protocol.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { fileURLToPath, pathToFileURL } = require('url');
+const { parseDocument, isMap, isSeq, isScalar } = require('yaml');
+const { DiagnosticSeverity, CompletionItemKind, MarkupKind } = require('vscode-languageserver/node');
+const { ManifestLoader } = require('../manifest-loader');
+const { ManifestValidator } = require('../manifest-validator');
+const { ModuleProps } = require('../module-props');
+const { Slots } = require('../slots');
+
+const DIAGNOSTIC_SOURCE = 'manifest';
+
+class ManifestLanguageService {
+  constructor(options = {}) {
+    // Absolute paths everywhere, so the loader base is the filesystem root
+    this.loader = options.loader || new ManifestLoader({ baseDir: path.parse(process.cwd()).root, validate: false });
+    this.validator = options.validator || new ManifestValidator();
+  }
+
+  /**
+   * Drop cached modules/templates after files change on disk
+   */
+  clearCache() {
+    this.loader.clearCache();
+  }
+
+  /**
+   * Compute all diagnostics for a document
+   */
+  async getDiagnostics(textDocument) {
+    const text = textDocument.getText();
+    const diagnostics = this.validator.validateSource(text).errors.map(error => ({
+      severity: DiagnosticSeverity.Error,
+      // Errors about the whole document (e.g. an empty one) have no position: report them at its start
+      range: error.line ? {
+        start: { line: error.line - 1, character: (error.column || 1) - 1 },
+        end: { line: (error.endLine || error.line) - 1, character: (error.endColumn || error.column || 1) - 1 }
+      } : { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } },
+      message: error.path ? `${error.path}: ${error.message}` : error.message,
+      source: DIAGNOSTIC_SOURCE
+    }));
+
+    const context = await this.analyze(textDocument);
+    if (!context.doc.contents) return diagnostics;
+
+    const rangeOf = (start, end) => ({
+      start: textDocument.positionAt(start),
+      end: textDocument.positionAt(end)
+    });
+
+    // Modules that cannot be loaded
+    for (const module of context.modules.values()) {
+      if (module.error) {
+        diagnostics.push({
+          severity: DiagnosticSeverity.Error,
+          range: rangeOf(...module.urlRange),
+          message: `Cannot resolve module '${module.alias}': ${module.error}`,
+          source: DIAGNOSTIC_SOURCE
+        });
+      }
+    }
+
+    // Template inheritance problems (missing file, circular extends)
+    if (context.templateError) {
+      diagnostics.push({
+        severity: DiagnosticSeverity.Error,
+        range: rangeOf(...context.templateError.range),
+        message: context.templateError.message,
+        source: DIAGNOSTIC_SOURCE
+      });
+    }
+
+    // module: references to aliases that are not declared
+    for (const ref of this._collectValues(context.doc, 'module')) {
+      if (typeof ref.value === 'string' && !context.modules.has(ref.value)) {
+        diagnostics.push({
+          severity: DiagnosticSeverity.Error,
+          range: rangeOf(ref.range[0], ref.range[1]),
+          message: `Unknown module alias '${ref.value}'`,
+          source: DIAGNOSTIC_SOURCE
+        });
+      } else if (typeof ref.value === 'string') {
+        diagnostics.push(...this._moduleUsageDiagnostics(context, ref, rangeOf));
+      }
+    }
+
+    // style: references to undefined styles
+    for (const ref of this._collectValues(context.doc, 'style')) {
+      if (ref.segments[0] === 'styles') continue;
+
+      for (const token of this._styleTokens(text, ref)) {
+        if (!context.styles.has(token.name)) {
+          diagnostics.push({
+            severity: DiagnosticSeverity.Warning,
+            range: rangeOf(token.start, token.end),
+            message: `Unknown style '${token.name}'`,
+            source: DIAGNOSTIC_SOURCE
+          });
+        }
+      }
+    }
+
+    diagnostics.push(...this._styleInheritanceDiagnostics(context, rangeOf));
+
+    return diagnostics;
+  }
+
+  /**
+   * Completion for style names, module aliases and slot element ids
+   */
+  async getCompletions(textDocument, position) {
+    const context = await this.analyze(textDocument);
+    const offset = textDocument.offsetAt(position);
+    const target = this._keyAt(context, offset);
+    if (!target) return [];
+
+    switch (target.key) {
+      case 'style':
+        if (target.segments[0] === 'styles') return [];
+        return this._styleCompletions(context);
+      case 'extends':
+        return target.segments[0] === 'styles' ? this._styleCompletions(context) : [];
+      case 'module':
+        return [...context.modules.values()].map(module => ({
+          label: module.alias,
+          kind: CompletionItemKind.Module,
+          detail: module.config.url,
+          documentation: module.manifest?.manifest?.description
+        }));
+      case 'element_id':
+        return this._collectValues(context.doc, 'id')
+          .filter(ref => ref.segments[0] === 'structure' && typeof ref.value === 'string')
+          .map(ref => ({ label: ref.value, kind: CompletionItemKind.Reference }));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Hover with the declarations of a style or the source of a module
+   */
+  async getHover(textDocument, position) {
+    const context = await this.analyze(textDocument);
+    const offset = textDocument.offsetAt(position);
+    const target = this._keyAt(context, offset);
+    if (!target || !target.token) return null;
+
+    if (target.key === 'style' || (target.key === 'extends' && target.segments[0] === 'styles')) {
+      const style = context.styles.get(target.token);
+      if (!style) return null;
+
+      return {
+        contents: {
+          kind: MarkupKind.Markdown,
+          value: [`**${target.token}**${style.origin ? ` _(${style.origin})_` : ''}`, '```css', this._formatStyle(style.value), '```'].join('\n')
+        }
+      };
+    }
+
+    if (target.key === 'module' && context.modules.has(target.token)) {
+      const module = context.modules.get(target.token);
+      const description = module.manifest?.manifest?.description || module.manifest?.metadata?.description;
+      return {
+        contents: {
+          kind: MarkupKind.Markdown,
+          value: [`**module ${module.alias}** → \`${module.config.url}\``, description].filter(Boolean).join('\n\n')
+        }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Go to definition for extends, modules[].url, module aliases, styles and slot ids
+   */
+  async getDefinition(textDocument, position) {
+    const context = await this.analyze(textDocument);
+    const offset = textDocument.offsetAt(position);
+    const target = this._keyAt(context, offset);
+    if (!target || !target.token) return null;
+
+    const { key, segments, token } = target;
+
+    if (key === 'extends' && segments[0] === 'metadata' && context.templatePath) {
+      return this._fileLocation(context.templatePath);
+    }
+
+    if (key === 'url' && segments[0] === 'modules') {
+      const module = [...context.modules.values()].find(m => m.config.url === token);
+      return module && !module.remote && module.filePath ? this._fileLocation(module.filePath) : null;
+    }
+
+    if (key === 'module' && context.modules.has(token)) {
+      const module = context.modules.get(token);
+      return module.remote || !module.filePath ? null : this._fileLocation(module.filePath);
+    }
+
+    if (key === 'style' || (key === 'extends' && segments[0] === 'styles')) {
+      const style = context.styles.get(token);
+      return style ? await this._locate(context, style.filePath, style.segments) : null;
+    }
+
+    if (key === 'element_id' || key === 'slot') {
+      const elementId = key === 'slot' ? context.manifest?.template_slots?.[token]?.element_id : token;
+      if (key === 'slot' && !elementId) {
+        return await this._locate(context, context.filePath, ['template_slots', token]);
+      }
+
+      const ref = this._collectValues(context.doc, 'id').find(r => r.value === elementId && r.segments[0] === 'structure');
+      return ref ? { uri: textDocument.uri, range: this._range(textDocument, ref.range) } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse the document and resolve everything it references
+   */
+  async analyze(textDocument) {
+    const filePath = fileURLToPath(textDocument.uri);
+    const doc = parseDocument(textDocument.getText());
+    const manifest = doc.toJS() || {};
+
+    const context = {
+      textDocument,
+      filePath,
+      doc,
+      manifest: typeof manifest === 'object' ? manifest : {},
+      styles: new Map(),
+      modules: new Map(),
+      templatePath: null,
+      templateError: null
+    };
+
+    this._addStyles(context, context.manifest.styles, { filePath, origin: null });
+    await this._resolveTemplateChain(context);
+    await this._resolveModules(context);
+
+    return context;
+  }
+
+  /**
+   * Follow metadata.extends, inheriting styles and detecting cycles
+   */
+  async _resolveTemplateChain(context) {
+    const extendsNode = this._findNode(context.doc, ['metadata', 'extends']);
+    let templateRef = context.manifest.metadata?.extends;
+    if (typeof templateRef !== 'string' || !extendsNode) return;
+
+    const range = [extendsNode.range[0], extendsNode.range[1]];
+    const visited = new Set([context.filePath]);
+    let fromPath = context.filePath;
+
+    while (typeof templateRef === 'string') {
+      const templatePath = path.resolve(path.dirname(fromPath), templateRef);
+
+      if (visited.has(templatePath)) {
+        const chain = [...visited, templatePath].map(file => path.basename(file)).join(' → ');
+        context.templateError = { range, message: `Circular template inheritance: ${chain}` };
+        return;
+      }
+      visited.add(templatePath);
+
+      let template;
+      try {
+        template = await this.loader.loadManifest(templatePath);
+      } catch (error) {
+        context.templateError = { range, message: `Cannot load template '${templateRef}': ${error.message}` };
+        return;
+      }
+
+      if (!context.templatePath) context.templatePath = templatePath;
+      this._addStyles(context, template.styles, { filePath: templatePath, origin: path.basename(templatePath) });
+
+      fromPath = templatePath;
+      templateRef = template.metadata?.extends;
+    }
+  }
+
+  /**
+   * Load every declared module and register its styles under `alias.name`
+   */
+  async _resolveModules(context) {
+    const modulesNode = this._findNode(context.doc, ['modules']);
+    if (!isSeq(modulesNode)) return;
+
+    await Promise.all(modulesNode.items.map(async (item, index) => {
+      const config = context.manifest.modules[index];
+      if (!config || typeof config.alias !== 'string' || typeof config.url !== 'string') return;
+
+      const urlNode = this._findNode(context.doc, ['modules', index, 'url']);
+      const module = {
+        alias: config.alias,
+        config,
+        remote: /^https?:\/\//.test(config.url),
+        filePath: null,
+        urlRange: urlNode ? [urlNode.range[0], urlNode.range[1]] : [item.range[0], item.range[1]],
+        manifest: null,
+        error: null
+      };
+      context.modules.set(config.alias, module);
+
+      try {
+        // registry: URLs resolve to a local path or a remote URL
+        const resolvedUrl = await this.loader.resolveModuleLocation(config.url, config.version, context.filePath);
+        module.remote = /^https?:\/\//.test(resolvedUrl);
+        module.filePath = module.remote ? resolvedUrl : path.resolve(this.loader.baseDir, resolvedUrl);
+        module.manifest = await this.loader.loadManifest(module.filePath);
+      } catch (error) {
+        module.error = error.message;
+        return;
+      }
+
+      for (const name of Object.keys(module.manifest.styles || {})) {
+        context.styles.set(`${config.alias}.${name}`, {
+          value: module.manifest.styles[name],
+          filePath: module.remote ? null : module.filePath,
+          segments: ['styles', name],
+          origin: `module ${config.alias}`
+        });
+      }
+    }));
+  }
+
+  /**
+   * Check the props and slots passed to a module against what it declares
+   */
+  _moduleUsageDiagnostics(context, ref, rangeOf) {
+    const module = context.modules.get(ref.value);
+    if (!module || !module.manifest) return [];
+
+    const element = ref.segments.slice(0, -1);
+    const valueAt = segments => {
+      const node = this._findNode(context.doc, segments);
+      return node && typeof node.toJSON === 'function' ? node.toJSON() : undefined;
+    };
+    const diagnostic = (segments, message) => {
+      const node = this._findNode(context.doc, segments);
+      const range = node && node.range ? node.range : ref.range;
+      return {
+        severity: DiagnosticSeverity.Error,
+        range: rangeOf(range[0], range[1]),
+        message: `Module '${ref.value}': ${message}`,
+        source: DIAGNOSTIC_SOURCE
+      };
+    };
+
+    const diagnostics = new ModuleProps(module.manifest.props).validate(valueAt([...element, 'props']) || {})
+      .map(error => {
+        const name = error.path.slice(1);
+        const segments = [...element, 'props'];
+        return diagnostic(name && this._findNode(context.doc, [...segments, name]) ? [...segments, name] : segments, error.message);
+      });
+
+    const slots = valueAt([...element, 'slots']);
+    const declared = Slots.names(module.manifest.structure);
+    if (slots && typeof slots === 'object') {
+      new Slots(slots).unknown(module.manifest.structure).forEach(name => {
+        diagnostics.push(diagnostic([...element, 'slots', name], `unknown slot '${name}'${declared.length > 0 ? ` (declared: ${declared.join(', ')})` : ''}`));
+      });
+    }
+
+    return diagnostics;
+  }
+
+  _addStyles(context, styles, { filePath, origin }) {
+    if (!styles || typeof styles !== 'object') return;
+
+    for (const [name, value] of Object.entries(styles)) {
+      // Styles defined closer to the document win over inherited ones
+      if (!context.styles.has(name)) {
+        context.styles.set(name, { value, filePath, segments: ['styles', name], origin });
+      }
+    }
+  }
+
+  /**
+   * Report styles whose `extends` chain is circular or points nowhere
+   */
+  _styleInheritanceDiagnostics(context, rangeOf) {
+    const diagnostics = [];
+    const localStyles = context.manifest.styles;
+    if (!localStyles || typeof localStyles !== 'object') return diagnostics;
+
+    const parentOf = name => {
+      const style = context.styles.get(name);
+      return style && style.value && typeof style.value === 'object' ? style.value.extends : undefined;
+    };
+
+    for (const name of Object.keys(localStyles)) {
+      const parent = parentOf(name);
+      if (typeof parent !== 'string') continue;
+
+      const node = this._findNode(context.doc, ['styles', name, 'extends']);
+      if (!node) continue;
+
+      if (!context.styles.has(parent)) {
+        diagnostics.push({
+          severity: DiagnosticSeverity.Error,
+          range: rangeOf(node.range[0], node.range[1]),
+          message: `Style '${name}' extends unknown style '${parent}'`,
+          source: DIAGNOSTIC_SOURCE
+        });
+        continue;
+      }
+
+      // Walk the chain; a cycle exists if it comes back to this style
+      const chain = [name];
+      let current = parent;
+      while (typeof current === 'string' && !chain.includes(current)) {
+        chain.push(current);
+        current = parentOf(current);
+      }
+
+      if (current === name) {
+        diagnostics.push({
+          severity: DiagnosticSeverity.Error,
+          range: rangeOf(node.range[0], node.range[1]),
+          message: `Circular style inheritance: ${[...chain, name].join(' → ')}`,
+          source: DIAGNOSTIC_SOURCE
+        });
+      }
+    }
+
+    return diagnostics;
+  }
+
+  _styleCompletions(context) {
+    return [...context.styles.entries()].map(([name, style]) => ({
+      label: name,
+      kind: CompletionItemKind.Color,
+      detail: style.origin || undefined,
+      documentation: this._formatStyle(style.value)
+    }));
+  }
+
+  _formatStyle(value) {
+    if (typeof value === 'string') {
+      return value.split(';').map(rule => rule.trim()).filter(Boolean).join(';\n') + ';';
+    }
+    if (value && typeof value === 'object') {
+      // Variants (hover, @media, ...) are shown as nested blocks
+      return Object.entries(value).map(([prop, val]) => val && typeof val === 'object'
+        ? `${prop} {\n${this._formatStyle(val).replace(/^/gm, '  ')}\n}`
+        : `${prop}: ${val};`).join('\n');
+    }
+    return String(value);
+  }
+
+  /**
+   * Find the key/value pair under the cursor and the token inside its value
+   */
+  _keyAt(context, offset) {
+    const hit = this._pairAt(context.doc.contents, offset, []);
+    if (!hit) return null;
+
+    const text = context.textDocument.getText();
+    const valueRange = hit.valueRange || [offset, offset];
+    let token = null;
+
+    if (hit.key === 'style') {
+      const found = this._styleTokens(text, { range: valueRange }).find(t => t.start <= offset && offset <= t.end);
+      token = found ? found.name : null;
+    } else if (hit.valueRange) {
+      token = this._unquote(text.slice(valueRange[0], valueRange[1]));
+    }
+
+    return { key: hit.key, segments: hit.segments, token };
+  }
+
+  _pairAt(node, offset, segments) {
+    const within = range => range && range[0] <= offset && offset <= range[1];
+
+    if (isMap(node)) {
+      for (const pair of node.items) {
+        const key = isScalar(pair.key) ? String(pair.key.value) : null;
+        if (key === null) continue;
+
+        if (isScalar(pair.value) || pair.value === null) {
+          const valueRange = pair.value && pair.value.range ? pair.value.range : null;
+          const lineEnd = pair.key.range ? pair.key.range[1] : null;
+          if (within(valueRange) || (!valueRange && offset >= lineEnd && offset <= lineEnd + 1)) {
+            return { key, segments: [...segments, key], valueRange };
+          }
+        } else if (within(pair.value.range)) {
+          return this._pairAt(pair.value, offset, [...segments, key]);
+        }
+      }
+    } else if (isSeq(node)) {
+      for (let index = 0; index < node.items.length; index++) {
+        const item = node.items[index];
+        if (item && !isScalar(item) && within(item.range)) {
+          return this._pairAt(item, offset, [...segments, index]);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Collect every scalar value stored under the given key anywhere in the document
+   */
+  _collectValues(doc, keyName) {
+    const results = [];
+
+    const walk = (node, segments) => {
+      if (isMap(node)) {
+        for (const pair of node.items) {
+          const key = isScalar(pair.key) ? String(pair.key.value) : null;
+          if (key === keyName && isScalar(pair.value) && pair.value.range) {
+            results.push({ value: pair.value.value, range: pair.value.range, segments: [...segments, key] });
+          } else if (pair.value) {
+            walk(pair.value, [...segments, key]);
+          }
+        }
+      } else if (isSeq(node)) {
+        node.items.forEach((item, index) => walk(item, [...segments, index]));
+      }
+    };
+
+    walk(doc.contents, []);
+    return results;
+  }
+
+  /**
+   * Split a style attribute into class names with their source offsets
+   * Inline CSS values (containing ':') are not style references
+   */
+  _styleTokens(text, ref) {
+    const [start, end] = ref.range;
+    const raw = text.slice(start, end);
+    if (raw.includes(':') || raw.includes(';')) return [];
+
+    const tokens = [];
+    const pattern = /[^\s"']+/g;
+    let match;
+    while ((match = pattern.exec(raw)) !== null) {
+      tokens.push({ name: match[0], start: start + match.index, end: start + match.index + match[0].length });
+    }
+    return tokens;
+  }
+
+  _findNode(doc, segments) {
+    let node = doc.contents;
+    for (const segment of segments) {
+      if (isMap(node)) {
+        const pair = node.items.find(item => isScalar(item.key) && String(item.key.value) === String(segment));
+        node = pair ? pair.value : null;
+      } else if (isSeq(node)) {
+        node = node.items[segment];
+      } else {
+        return null;
+      }
+      if (!node) return null;
+    }
+    return node;
+  }
+
+  /**
+   * Location of the key at `segments` in a file (the open document or another manifest)
+   */
+  async _locate(context, filePath, segments) {
+    if (!filePath) return null;
+
+    let doc = context.doc;
+    let text = context.textDocument.getText();
+    if (filePath !== context.filePath) {
+      try {
+        text = await fs.readFile(filePath, 'utf8');
+        doc = parseDocument(text);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    const parent = this._findNode(doc, segments.slice(0, -1));
+    const pair = isMap(parent)
+      ? parent.items.find(item => isScalar(item.key) && String(item.key.value) === String(segments[segments.length - 1]))
+      : null;
+    if (!pair) return this._fileLocation(filePath);
+
+    const toPosition = offset => {
+      const lines = text.slice(0, offset).split('\n');
+      return { line: lines.length - 1, character: lines[lines.length - 1].length };
+    };
+
+    return {
+      uri: pathToFileURL(filePath).href,
+      range: { start: toPosition(pair.key.range[0]), end: toPosition(pair.key.range[1]) }
+    };
+  }
+
+  _fileLocation(filePath) {
+    const start = { line: 0, character: 0 };
+    return { uri: pathToFileURL(filePath).href, range: { start, end: start } };
+  }
+
+  _range(textDocument, range) {
+    return { start: textDocument.positionAt(range[0]), end: textDocument.positionAt(range[1]) };
+  }
+
+  _unquote(value) {
+    return value.trim().replace(/^["']|["']$/g, '');
+  }
+}
+
+module.exports = { ManifestLanguageService };
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Manifest Language Server
+ * Speaks the Language Server Protocol over stdio so any LSP-capable editor
+ * gets completion, hover, go-to-definition and diagnostics for manifests
+ */
+
+const {
+  createConnection,
+  ProposedFeatures,
+  TextDocuments,
+  TextDocumentSyncKind
+} = require('vscode-languageserver/node');
+const { TextDocument } = require('vscode-languageserver-textdocument');
+const { ManifestLanguageService } = require('./manifest-language-service');
+
+function startLanguageServer(options = {}) {
+  const connection = options.connection || createConnection(ProposedFeatures.all);
+  const documents = new TextDocuments(TextDocument);
+  const service = options.service || new ManifestLanguageService();
+
+  connection.onInitialize(() => ({
+    capabilities: {
+      textDocumentSync: TextDocumentSyncKind.Incremental,
+      completionProvider: { triggerCharacters: [' ', '.', '"', "'"] },
+      hoverProvider: true,
+      definitionProvider: true
+    }
+  }));
+
+  async function validate(document) {
+    try {
+      const diagnostics = await service.getDiagnostics(document);
+
+      // Skip results for versions that were superseded while we were resolving modules
+      const current = documents.get(document.uri);
+      if (!current || current.version !== document.version) return;
+
+      connection.sendDiagnostics({ uri: document.uri, diagnostics });
+    } catch (error) {
+      connection.console.error(`Failed to validate ${document.uri}: ${error.message}`);
+    }
+  }
+
+  // Modules and templates may be edited in other files, so recheck everything
+  function revalidateAll() {
+    service.clearCache();
+    documents.all().forEach(validate);
+  }
+
+  documents.onDidChangeContent(change => validate(change.document));
+  documents.onDidSave(revalidateAll);
+  documents.onDidClose(event => connection.sendDiagnostics({ uri: event.document.uri, diagnostics: [] }));
+  connection.onDidChangeWatchedFiles(revalidateAll);
+
+  const withDocument = handler => async (params) => {
+    const document = documents.get(params.textDocument.uri);
+    if (!document) return null;
+
+    try {
+      return await handler(document, params.position);
+    } catch (error) {
+      connection.console.error(error.message);
+      return null;
+    }
+  };
+
+  connection.onCompletion(withDocument((document, position) => service.getCompletions(document, position)));
+  connection.onHover(withDocument((document, position) => service.getHover(document, position)));
+  connection.onDefinition(withDocument((document, position) => service.getDefinition(document, position)));
+
+  documents.listen(connection);
+  connection.listen();
+
+  return connection;
+}
+
+if (require.main === module) {
+  startLanguageServer();
+}
+
+module.exports = { startLanguageServer };
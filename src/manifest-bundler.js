@@ -0,0 +1,112 @@
+/**
+ * Manifest Bundler - Combine several resolved manifests into a single manifest
+ * Shared by the HTTP server and the command-line tool
+ */
+
+const path = require('path');
+const { ManifestLoader } = require('./manifest-loader');
+const { StyleScope } = require('./style-scope');
+const { DesignTokens } = require('./design-tokens');
+const { Stylesheet } = require('./stylesheet');
+
+class ManifestBundler {
+  constructor(options = {}) {
+    this.manifestDir = options.manifestDir || './manifests';
+    this.loader = options.loader || new ManifestLoader({ baseDir: this.manifestDir });
+  }
+
+  /**
+   * Bundle manifests given by name (relative to manifestDir) or by file path
+   */
+  async bundle(entries, options = {}) {
+    const bundled = {
+      manifest: {
+        version: "2.0",
+        name: options.name || "bundled-manifest",
+        description: "Bundled from multiple manifests",
+        bundledFrom: entries
+      },
+      styles: {},
+      structure: { div: { children: [] } },
+      interactions: {},
+      imports: { scripts: [], styles: [], fonts: [] }
+    };
+
+    // Token variables and global CSS are page-wide, so they are merged rather than prefixed
+    const tokens = [];
+    const stylesheets = [];
+
+    for (const entry of entries) {
+      const manifest = await this.loadEntry(entry);
+      tokens.push(manifest._mergedTokens || {});
+      stylesheets.push(manifest._mergedStylesheet);
+      const name = this.entryName(entry);
+
+      // Styles are owned by the bundled manifest, the same way a page owns its modules' styles
+      const styleNames = Object.keys(manifest._mergedStyles || {});
+      styleNames.forEach(key => {
+        bundled.styles[`${name}.${key}`] = manifest._mergedStyles[key];
+      });
+
+      // Merge structures
+      if (manifest.structure) {
+        bundled.structure.div.children.push(StyleScope.qualify(manifest.structure, name, styleNames));
+      }
+
+      // Merge interactions
+      if (manifest.interactions) {
+        Object.entries(manifest.interactions).forEach(([key, value]) => {
+          bundled.interactions[`${name}-${key}`] = value;
+        });
+      }
+
+      // Merge imports
+      if (manifest.imports) {
+        ['scripts', 'styles', 'fonts'].forEach(type => {
+          if (manifest.imports[type]) {
+            bundled.imports[type].push(...manifest.imports[type]);
+          }
+        });
+      }
+    }
+
+    const merged = {
+      tokens: DesignTokens.merge(...tokens.map(section => section.tokens)),
+      themes: DesignTokens.merge(...tokens.map(section => section.themes))
+    };
+    if (!new DesignTokens(merged.tokens, merged.themes).empty) Object.assign(bundled, merged);
+    const stylesheet = Stylesheet.merge(...stylesheets);
+    if (!new Stylesheet(stylesheet).empty) bundled.stylesheet = stylesheet;
+
+    // Remove duplicates from imports
+    ['scripts', 'styles', 'fonts'].forEach(type => {
+      bundled.imports[type] = [...new Set(bundled.imports[type])];
+    });
+
+    return bundled;
+  }
+
+  /**
+   * Load a bundle entry with full module resolution
+   */
+  async loadEntry(entry) {
+    const manifestPath = this.isFilePath(entry)
+      ? path.resolve(entry)
+      : path.join(this.manifestDir, `${entry}.yaml`);
+
+    return await this.loader.loadManifest(manifestPath);
+  }
+
+  /**
+   * Name used to prefix styles and interactions of an entry
+   */
+  entryName(entry) {
+    return this.isFilePath(entry) ? path.basename(entry).replace(/\.ya?ml$/, '') : entry;
+  }
+
+  isFilePath(entry) {
+    return /\.ya?ml$/.test(entry);
+  }
+}
+
+module.exports = { ManifestBundler };
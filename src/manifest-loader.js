@@ -5,6 +5,21 @@
 
 const jsyaml = require('js-yaml');
 const path = require('path');
+const { ManifestValidator, ManifestValidationError } = require('./manifest-validator');
+const { ModuleProps } = require('./module-props');
+const { Slots, DEFAULT_SLOT } = require('./slots');
+const { ManifestLock } = require('./lockfile');
+const { ModuleRegistry, REGISTRY_PROTOCOL, isRegistryUrl, parseRegistrySpec } = require('./registry');
+const { normalizeRange, packageVersion, satisfies } = require('./versions');
+const { StyleScope } = require('./style-scope');
+const { DesignTokens } = require('./design-tokens');
+const { STATE_VARIANTS, isVariant, mapDeclarations, mergeStyles } = require('./style-variants');
+const { Stylesheet } = require('./stylesheet');
+
+const DATA_FILE = /\.(json|ya?ml)$/i;
+
+// Manifest format versions this loader understands (options.supportedVersions overrides)
+const SUPPORTED_VERSIONS = '1.x || 2.x';
 
 class ManifestLoader {
   constructor(options = {}) {
@@ -14,6 +29,17 @@ class ManifestLoader {
     this.baseDir = options.baseDir || options; // Support both options object and string
     this.maxCacheAge = options.maxCacheAge || 300000; // 5 minutes
     this.resolver = new DependencyResolver();
+    this.validateSchema = options.validate !== false;
+    this.validator = options.validator || new ManifestValidator();
+    // Remote manifests and data files are checked against (or, in 'update' mode, recorded in) a ManifestLock
+    this.lock = options.lock || null;
+    this.lockMode = options.lockMode || 'verify';
+    // Manifest location of each resolved `registry:` module → { key, version } it is locked under
+    this.registryLocks = new Map();
+    this.registry = options.registry instanceof ModuleRegistry
+      ? options.registry
+      : new ModuleRegistry({ root: options.registry || process.env.MANIFEST_REGISTRY });
+    this.supportedVersions = options.supportedVersions || SUPPORTED_VERSIONS;
   }
 
   /**
@@ -45,6 +71,7 @@ class ManifestLoader {
       // Cache the result
       this.cache.set(cacheKey, {
         manifest,
+        source: this._sourceKey(resolvedUrl),
         timestamp: Date.now()
       });
 
@@ -59,8 +86,9 @@ class ManifestLoader {
    */
   async _loadManifestInternal(url, options) {
     let yamlContent;
+    const remote = url.startsWith('http://') || url.startsWith('https://');
 
-    if (url.startsWith('http://') || url.startsWith('https://')) {
+    if (remote) {
       // Load from remote URL
       const response = await fetch(url);
       if (!response.ok) {
@@ -75,9 +103,26 @@ class ManifestLoader {
 
     // Parse YAML
     const manifest = jsyaml.load(yamlContent);
+
+    if (remote || this.registryLocks.has(url)) {
+      this._checkLock(url, yamlContent, manifest);
+    }
     
     // Validate manifest structure
-    this._validateManifest(manifest);
+    this._validateManifest(manifest, { source: yamlContent, file: url });
+    this._checkStylesheet(manifest, { source: yamlContent, file: url });
+
+    // Rebuild this manifest's edges in the dependency graph
+    const sourceKey = this._sourceKey(url);
+    this.resolver.removeDependencies(sourceKey);
+    if (manifest.metadata && typeof manifest.metadata.extends === 'string') {
+      this.resolver.addDependency(sourceKey, this._sourceKey(this.resolveModuleUrl(manifest.metadata.extends, url)));
+    }
+
+    // Load external data files
+    if (manifest.data) {
+      manifest.data = await this._loadData(manifest.data, url);
+    }
 
     // Resolve and load modules
     if (manifest.modules && manifest.modules.length > 0) {
@@ -89,17 +134,37 @@ class ManifestLoader {
       manifest._processedImports = await this._processImports(manifest.imports, url);
     }
 
-    // Merge styles from modules
+    // Merge design tokens and styles from modules
+    manifest._mergedTokens = this._mergeModuleTokens(manifest);
     manifest._mergedStyles = this._mergeModuleStyles(manifest);
+    manifest._mergedStylesheet = this._mergeModuleStylesheets(manifest);
 
     // Expand module references in structure
     if (manifest.structure) {
-      manifest.structure = this._expandModuleReferences(manifest.structure, manifest.modules);
+      manifest.structure = this._expandModuleReferences(manifest.structure, manifest.modules, { source: yamlContent, file: url });
     }
 
     return manifest;
   }
 
+  /**
+   * Verify downloaded content against the lock, or record it in 'update' mode
+   * Registry modules are locked under their `registry:` spec with the version it resolved to
+   */
+  _checkLock(url, content, manifest = null) {
+    if (!this.lock) return;
+    const registry = this.registryLocks.get(url);
+    const key = registry ? registry.key : url;
+
+    if (this.lockMode === 'update') {
+      const version = registry ? registry.version : packageVersion(manifest) || manifest?.metadata?.version || null;
+      this.lock.set(key, { version: version === null ? null : String(version), integrity: ManifestLock.integrity(content) });
+      return;
+    }
+
+    this.lock.verify(key, content);
+  }
+
   /**
    * Expand modules in a manifest object (without loading from file/URL)
    * Used when manifest is passed directly to API endpoints
@@ -129,12 +194,22 @@ class ManifestLoader {
 
       // Validate manifest structure
       this._validateManifest(manifest);
+      this._checkStylesheet(manifest);
+
+      // Load external data files relative to baseDir
+      if (manifest.data) {
+        manifest.data = await this._loadData(manifest.data, null);
+      }
 
       // Resolve and load modules if they exist
       if (manifest.modules && manifest.modules.length > 0) {
         // Resolve modules using local file system with proper path resolution
         manifest.modules = await this._resolveModulesLocal(manifest.modules);
       }
+      if (manifest._inheritedModules) {
+        manifest.modules = { ...manifest._inheritedModules, ...manifest.modules };
+        delete manifest._inheritedModules;
+      }
 
       // Process template slots
       if (manifest.template_slots) {
@@ -146,8 +221,10 @@ class ManifestLoader {
         manifest._processedImports = await this._processImportsAdvanced(manifest.imports, '.');
       }
 
-      // Merge styles from modules
+      // Merge design tokens and styles from modules
+      manifest._mergedTokens = this._mergeModuleTokens(manifest);
       manifest._mergedStyles = this._mergeModuleStyles(manifest);
+      manifest._mergedStylesheet = this._mergeModuleStylesheets(manifest);
 
       // Expand module references in structure
       if (manifest.structure) {
@@ -162,6 +239,51 @@ class ManifestLoader {
     }
   }
 
+  /**
+   * Resolve the `data` section used by `each`/`if` directives
+   * A string loads the whole section from a JSON/YAML file; string values
+   * ending in .json/.yaml/.yml load just that key from a file
+   */
+  async _loadData(data, manifestUrl) {
+    if (typeof data === 'string') {
+      return this._loadDataFile(data, manifestUrl);
+    }
+
+    const resolved = {};
+    for (const [key, value] of Object.entries(data)) {
+      resolved[key] = typeof value === 'string' && DATA_FILE.test(value)
+        ? await this._loadDataFile(value, manifestUrl)
+        : value;
+    }
+    return resolved;
+  }
+
+  async _loadDataFile(file, manifestUrl) {
+    const url = manifestUrl ? this.resolveModuleUrl(file, manifestUrl) : file;
+    let content;
+
+    if (url.startsWith('http://') || url.startsWith('https://')) {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to load data from ${url}: ${response.statusText}`);
+      }
+      content = await response.text();
+      this._checkLock(url, content);
+    } else {
+      content = await this._loadLocalFile(path.resolve(this.baseDir, url));
+    }
+
+    if (manifestUrl) {
+      this.resolver.addDependency(this._sourceKey(manifestUrl), this._sourceKey(url));
+    }
+
+    try {
+      return /\.json$/i.test(url) ? JSON.parse(content) : jsyaml.load(content);
+    } catch (error) {
+      throw new Error(`Invalid data file ${url}: ${error.message}`);
+    }
+  }
+
   /**
    * Resolve module dependencies for local file system (no HTTP URLs)
    * Used by expandManifest for direct manifest processing
@@ -170,10 +292,12 @@ class ManifestLoader {
     const resolvedModules = {};
     const loadPromises = modules.map(async (moduleConfig) => {
       // Force local file path resolution
-      let moduleUrl = moduleConfig.url;
+      let moduleUrl = isRegistryUrl(moduleConfig.url)
+        ? await this.resolveModuleLocation(moduleConfig.url, moduleConfig.version)
+        : moduleConfig.url;
       
       // Resolve relative to manifests directory
-      if (!moduleUrl.startsWith('/')) {
+      if (!moduleUrl.startsWith('/') && !/^https?:\/\//.test(moduleUrl)) {
         moduleUrl = path.join(this.baseDir, moduleUrl);
       }
       
@@ -205,23 +329,8 @@ class ManifestLoader {
   async _resolveModules(modules, baseUrl) {
     const resolvedModules = {};
     const loadPromises = modules.map(async (moduleConfig) => {
-      let moduleUrl;
-      
-      if (moduleConfig.url.startsWith('http')) {
-        // Absolute HTTP URL
-        moduleUrl = moduleConfig.url;
-      } else if (moduleConfig.url.startsWith('/')) {
-        // Absolute local path
-        moduleUrl = moduleConfig.url;
-      } else {
-        // Relative path - resolve relative to the current manifest's directory within baseDir
-        const currentManifestFullPath = path.resolve(this.baseDir, baseUrl);
-        const currentManifestDir = path.dirname(currentManifestFullPath);
-        const resolvedFullPath = path.resolve(currentManifestDir, moduleConfig.url);
-        // Make path relative to baseDir
-        moduleUrl = path.relative(path.resolve(this.baseDir), resolvedFullPath);
-      }
-      
+      const moduleUrl = await this.resolveModuleLocation(moduleConfig.url, moduleConfig.version, baseUrl);
+      this.resolver.addDependency(this._sourceKey(baseUrl), this._sourceKey(moduleUrl));
       const loadedModule = await this.loadManifest(moduleUrl);
       
       // Apply version constraints if specified
@@ -244,6 +353,49 @@ class ManifestLoader {
     return resolvedModules;
   }
 
+  /**
+   * Resolve a module URL that may name a registry module (`registry:footer@^2`)
+   * The range comes from the URL or else from the module's `version`; a lock pins what it resolved to
+   */
+  async resolveModuleLocation(moduleUrl, version, manifestUrl) {
+    if (!isRegistryUrl(moduleUrl)) return this.resolveModuleUrl(moduleUrl, manifestUrl);
+
+    const { name, range } = parseRegistrySpec(moduleUrl);
+    const key = `${REGISTRY_PROTOCOL}${name}@${range || version || 'latest'}`;
+    const pinned = this.lock && this.lockMode !== 'update' ? this.lock.get(key) : null;
+    const resolved = await this.registry.resolve(name, pinned ? pinned.version : range || version);
+
+    if (this.lock) {
+      this.registryLocks.set(this.resolveUrl(resolved.url), { key, version: resolved.version });
+    }
+    return resolved.url;
+  }
+
+  /**
+   * Resolve a module URL as referenced from the manifest at manifestUrl
+   */
+  resolveModuleUrl(moduleUrl, manifestUrl) {
+    if (moduleUrl.startsWith('http')) {
+      // Absolute HTTP URL
+      return moduleUrl;
+    }
+    if (moduleUrl.startsWith('/')) {
+      // Absolute local path
+      return moduleUrl;
+    }
+    if (/^https?:\/\//.test(manifestUrl || '')) {
+      // Relative to a remote manifest
+      return new URL(moduleUrl, manifestUrl).href;
+    }
+
+    // Relative path - resolve relative to the current manifest's directory within baseDir
+    const currentManifestFullPath = path.resolve(this.baseDir, manifestUrl);
+    const currentManifestDir = path.dirname(currentManifestFullPath);
+    const resolvedFullPath = path.resolve(currentManifestDir, moduleUrl);
+    // Make path relative to baseDir
+    return path.relative(path.resolve(this.baseDir), resolvedFullPath);
+  }
+
   /**
    * Process template inheritance
    */
@@ -278,6 +430,16 @@ class ManifestLoader {
       mergedManifest.styles = manifest.styles;
     }
     
+    // Merge design tokens and themes; the extending manifest's values win
+    for (const section of ['tokens', 'themes']) {
+      if (manifest[section]) {
+        mergedManifest[section] = DesignTokens.merge(templateManifest[section], manifest[section]);
+      }
+    }
+    if (manifest.stylesheet) {
+      mergedManifest.stylesheet = Stylesheet.merge(templateManifest.stylesheet, manifest.stylesheet);
+    }
+
     // Handle structure inheritance
     if (inheritanceConfig.override_structure && manifest.structure) {
       mergedManifest.structure = manifest.structure;
@@ -289,6 +451,28 @@ class ManifestLoader {
       );
     }
     
+    // The page's modules are resolved by expandManifest; the template's are already resolved
+    if (manifest.modules) {
+      if (mergedManifest.modules && !Array.isArray(mergedManifest.modules)) {
+        mergedManifest._inheritedModules = mergedManifest.modules;
+      }
+      mergedManifest.modules = manifest.modules;
+    }
+
+    // Fill the template's slot nodes from the `slots` section
+    if (mergedManifest.structure) {
+      const slots = new Slots(manifest.slots);
+      const unknown = slots.unknown(mergedManifest.structure);
+      if (unknown.length > 0) {
+        throw new ManifestValidationError(unknown.map(name => ({
+          path: this._pointer(['slots', name]),
+          keyword: 'slots',
+          message: `template ${templatePath} has no slot '${name}'`
+        })));
+      }
+      mergedManifest.structure = slots.fill(mergedManifest.structure);
+    }
+
     // Merge template slots
     if (manifest.template_slots) {
       mergedManifest.template_slots = {
@@ -349,6 +533,11 @@ class ManifestLoader {
       templates: []
     };
 
+    // Object form ({ scripts, styles, fonts }) has no per-item options
+    if (!Array.isArray(imports)) {
+      return { ...processed, ...await this._processImports(imports, baseUrl) };
+    }
+
     for (const importItem of imports) {
       if (typeof importItem === 'string') {
         // Legacy format - assume it's a style
@@ -416,39 +605,75 @@ class ManifestLoader {
   }
 
   /**
-   * Expand module references in structure
+   * Replace elements that reference a module with the module's structure,
+   * substituting the call-site `props` declared by the module and filling its slots
+   * Props that do not match the declarations fail with a ManifestValidationError
    */
-  _expandModuleReferences(structure, modules) {
+  _expandModuleReferences(structure, modules, { source = null, file = null } = {}) {
     if (!structure || !modules) return structure;
 
-    const expandNode = (node) => {
+    const errors = [];
+
+    const expandNode = (node, pointer) => {
       if (typeof node !== 'object' || node === null) return node;
 
       // Handle arrays
       if (Array.isArray(node)) {
-        return node.map(expandNode);
+        return node.map((child, index) => expandNode(child, [...pointer, index]));
       }
 
       // Handle objects
       const result = {};
       for (const [key, value] of Object.entries(node)) {
+        const path = [...pointer, key];
         if (typeof value === 'object' && value !== null) {
           // Check if this node has a module reference
           if (value.module && modules[value.module]) {
             const moduleManifest = modules[value.module].manifest;
+            let moduleStructure = null;
             // Try to get component structure from module exports
             if (moduleManifest.exports && moduleManifest.exports.components && moduleManifest.exports.components[key]) {
-              result[key] = expandNode(moduleManifest.exports.components[key]);
+              moduleStructure = moduleManifest.exports.components[key];
             } else if (moduleManifest.structure) {
               // Fallback to module's main structure
-              result[key] = expandNode(moduleManifest.structure);
+              moduleStructure = moduleManifest.structure;
+            }
+
+            if (moduleStructure) {
+              const moduleProps = new ModuleProps(moduleManifest.props);
+              const propErrors = moduleProps.validate(value.props || {});
+              propErrors.forEach(error => {
+                errors.push({ ...error, path: `${this._pointer([...path, 'props'])}${error.path}`, module: value.module });
+              });
+
+              // `children` of the referencing element fill the default slot
+              const slotContent = { ...value.slots };
+              if (value.children !== undefined) slotContent[DEFAULT_SLOT] = value.children;
+              const slots = new Slots(slotContent);
+              const declared = Slots.names(moduleStructure);
+              slots.unknown(moduleStructure).forEach(name => {
+                const fromChildren = name === DEFAULT_SLOT && value.children !== undefined;
+                errors.push({
+                  path: this._pointer(fromChildren ? [...path, 'children'] : [...path, 'slots', name]),
+                  keyword: 'slots',
+                  message: fromChildren
+                    ? `module '${value.module}' has no default slot for children`
+                    : `unknown slot '${name}'${declared.length > 0 ? ` (declared: ${declared.join(', ')})` : ''}`,
+                  module: value.module
+                });
+              });
+
+              // Qualify the module's style references before slot content (owned by the caller) goes in
+              const ownStyles = Object.keys(moduleManifest._mergedStyles || moduleManifest.styles || {});
+              const scoped = StyleScope.qualify(moduleProps.apply(moduleStructure, value.props || {}), value.module, ownStyles);
+              result[key] = expandNode(slots.fill(scoped), path);
             } else {
               // Keep original if no matching structure found
-              result[key] = expandNode(value);
+              result[key] = expandNode(value, path);
             }
           } else {
             // Recursively expand children
-            result[key] = expandNode(value);
+            result[key] = expandNode(value, path);
           }
         } else {
           result[key] = value;
@@ -457,28 +682,109 @@ class ManifestLoader {
       return result;
     };
 
-    return expandNode(structure);
+    const expanded = expandNode(structure, ['structure']);
+
+    if (errors.length > 0) {
+      const located = source
+        ? errors.map(error => ({ ...this.validator.locate(source, error.path), ...error }))
+        : errors;
+      located.sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+      throw new ManifestValidationError(located, file);
+    }
+
+    return expanded;
+  }
+
+  _pointer(segments) {
+    return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+  }
+
+
+  /**
+   * Merge design tokens and themes from all loaded modules
+   * Tokens share one namespace (they become :root variables); the manifest's own values win
+   */
+  _mergeModuleTokens(manifest) {
+    const modules = Object.values(this._loadedModules(manifest));
+    const tokens = DesignTokens.merge(...modules.map(module => this._tokensOf(module.manifest).tokens), manifest.tokens);
+    const themes = DesignTokens.merge(...modules.map(module => this._tokensOf(module.manifest).themes), manifest.themes);
+    return { tokens, themes };
+  }
+
+  _tokensOf(manifest) {
+    return manifest._mergedTokens || { tokens: manifest.tokens, themes: manifest.themes };
+  }
+
+  _loadedModules(manifest) {
+    return (manifest.modules && !Array.isArray(manifest.modules) ? manifest.modules : manifest._resolvedModules) || {};
   }
 
   /**
    * Merge styles from all loaded modules
+   * Module styles (already merged with their own modules) are keyed `alias.name`; see StyleScope
+   * token(...) references compile to the CSS variables of the merged design tokens
    */
   _mergeModuleStyles(manifest) {
     const mergedStyles = { ...manifest.styles || {} };
+    const modules = this._loadedModules(manifest);
 
-    if (manifest._resolvedModules) {
-      for (const [alias, module] of Object.entries(manifest._resolvedModules)) {
-        const moduleStyles = module.manifest.styles || {};
-        
-        // Prefix module styles with alias to avoid conflicts
-        for (const [styleName, styleValue] of Object.entries(moduleStyles)) {
-          const prefixedName = `${alias}.${styleName}`;
-          mergedStyles[prefixedName] = styleValue;
-        }
+    for (const [alias, module] of Object.entries(modules)) {
+      const moduleStyles = module.manifest._mergedStyles || module.manifest.styles || {};
+
+      // Prefix module styles with alias to avoid conflicts
+      for (const [styleName, styleValue] of Object.entries(moduleStyles)) {
+        const prefixedName = `${alias}.${styleName}`;
+        mergedStyles[prefixedName] = styleValue;
       }
     }
 
-    return this._resolveStyleInheritance(mergedStyles);
+    const resolved = this._resolveStyleInheritance(mergedStyles);
+    const tokens = DesignTokens.forManifest(manifest);
+    for (const [name, declarations] of Object.entries(resolved)) {
+      resolved[name] = mapDeclarations(declarations, value => tokens.resolve(value, `style '${name}'`));
+    }
+    return resolved;
+  }
+
+  /**
+   * Merge the global stylesheets of all loaded modules (font faces, keyframes and
+   * global rules apply to the whole page); token(...) references compile as in styles
+   */
+  _mergeModuleStylesheets(manifest) {
+    const modules = Object.values(this._loadedModules(manifest));
+    const merged = Stylesheet.merge(
+      ...modules.map(module => module.manifest._mergedStylesheet || module.manifest.stylesheet),
+      manifest.stylesheet
+    );
+    const tokens = DesignTokens.forManifest(manifest);
+    return Stylesheet.map(merged, value => tokens.resolve(value, 'stylesheet'));
+  }
+
+  /**
+   * Parse the declaration strings of the `stylesheet` section in place and check the CSS it produces
+   */
+  _checkStylesheet(manifest, { source = null, file = null } = {}) {
+    const section = manifest.stylesheet;
+    if (!section) return;
+
+    const parse = (value, name) => typeof value === 'string' ? this._parseDeclarations(value) : this._parseVariants(value || {}, name);
+    manifest.stylesheet = {
+      ...section,
+      font_faces: (section.font_faces || []).map((face, index) => parse(face, `@font-face ${index}`)),
+      global: Object.fromEntries(Object.entries(section.global || {}).map(([selector, style]) => [selector, parse(style, selector)])),
+      keyframes: Object.fromEntries(Object.entries(section.keyframes || {}).map(([name, steps]) =>
+        [name, Object.fromEntries(Object.entries(steps || {}).map(([step, declarations]) => [step, parse(declarations, `@keyframes ${name}`)]))]))
+    };
+
+    const errors = new Stylesheet(manifest.stylesheet).validate().map(error => ({
+      path: this._pointer(['stylesheet', ...error.path]),
+      keyword: 'stylesheet',
+      message: error.message
+    }));
+    if (errors.length > 0) {
+      const located = source ? errors.map(error => ({ ...this.validator.locate(source, error.path), ...error })) : errors;
+      throw new ManifestValidationError(located, file);
+    }
   }
 
   /**
@@ -495,25 +801,17 @@ class ManifestLoader {
       }
 
       resolving.add(name);
-      const style = styles[name];
+      // "color: red; margin: 0" strings become declaration objects
+      const style = typeof styles[name] === 'string' ? this._parseDeclarations(styles[name]) : styles[name];
       
       if (!style) {
         throw new Error(`Style '${name}' not found`);
       }
 
-      let result = {};
-      
-      if (style.extends) {
-        const parentStyle = resolveStyle(style.extends);
-        result = { ...parentStyle };
-      }
-
-      // Merge current style (excluding extends)
-      for (const [key, value] of Object.entries(style)) {
-        if (key !== 'extends') {
-          result[key] = value;
-        }
-      }
+      const { extends: parent, ...own } = style;
+      const declarations = this._parseVariants(own, name);
+      // Variants (hover, @media, ...) merge with the parent's instead of replacing them
+      const result = parent ? mergeStyles(resolveStyle(parent), declarations) : declarations;
 
       resolving.delete(name);
       resolved[name] = result;
@@ -528,50 +826,81 @@ class ManifestLoader {
   }
 
   /**
-   * Validate manifest structure
+   * Check the nested variants of a style; variants given as strings become declaration objects
    */
-  _validateManifest(manifest) {
+  _parseVariants(style, name) {
+    const result = {};
+
+    for (const [key, value] of Object.entries(style)) {
+      const nested = value && typeof value === 'object';
+      if (nested && !isVariant(key)) {
+        throw new Error(`Unknown style variant '${key}' in style '${name}' (use ${Object.keys(STATE_VARIANTS).join(', ')}, dark, light, @media, @container or @supports)`);
+      }
+      if (nested) {
+        result[key] = this._parseVariants(value, name);
+      } else if (typeof value === 'string' && isVariant(key)) {
+        result[key] = this._parseDeclarations(value);
+      } else {
+        result[key] = value;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse an inline CSS declaration string into a { property: value } object
+   */
+  _parseDeclarations(css) {
+    const declarations = {};
+
+    for (const rule of css.split(';')) {
+      const colon = rule.indexOf(':');
+      if (colon === -1) continue;
+
+      const property = rule.slice(0, colon).trim();
+      const value = rule.slice(colon + 1).trim();
+      if (property) declarations[property] = value;
+    }
+
+    return declarations;
+  }
+
+  /**
+   * Validate manifest structure against the JSON Schema
+   * `source` (the YAML text) adds line/column information to reported errors
+   */
+  _validateManifest(manifest, { source = null, file = null } = {}) {
     if (!manifest || typeof manifest !== 'object') {
       throw new Error('Invalid manifest: must be an object');
     }
 
+    if (this.validateSchema) {
+      const { valid, errors } = this.validator.validate(manifest, { source });
+      if (!valid) {
+        throw new ManifestValidationError(errors, file);
+      }
+    }
+
     if (manifest.manifest && manifest.manifest.version) {
       const version = manifest.manifest.version;
       if (!this._isVersionSupported(version)) {
-        throw new Error(`Unsupported manifest version: ${version}`);
+        throw new Error(`Unsupported manifest version: ${version} (supported: ${this.supportedVersions})`);
       }
     }
   }
 
   /**
-   * Check version compatibility
+   * Check a module's version against the semver range its importer requires
    */
   _checkVersionCompatibility(manifest, requiredVersion) {
-    const manifestVersion = manifest.manifest?.version || '1.0.0';
-    
-    // Simple version check - in production, use a proper semver library
-    if (requiredVersion.startsWith('^')) {
-      const required = requiredVersion.slice(1);
-      
-      // Convert versions to comparable format (e.g., "2.0" -> "2.0.0")
-      const normalizeVersion = (v) => {
-        const parts = v.split('.');
-        while (parts.length < 3) parts.push('0');
-        return parts.map(p => parseInt(p)).join('.');
-      };
-      
-      const normalizedManifest = normalizeVersion(manifestVersion);
-      const normalizedRequired = normalizeVersion(required);
-      
-      // For caret (^) compatibility: major version must match, minor/patch can be higher
-      const manifestParts = normalizedManifest.split('.').map(p => parseInt(p));
-      const requiredParts = normalizedRequired.split('.').map(p => parseInt(p));
-      
-      if (manifestParts[0] !== requiredParts[0] || 
-          manifestParts[0] < requiredParts[0] ||
-          (manifestParts[0] === requiredParts[0] && manifestParts[1] < requiredParts[1])) {
-        throw new Error(`Version mismatch: required ${requiredVersion}, got ${manifestVersion}`);
-      }
+    const manifestVersion = packageVersion(manifest) || '1.0.0';
+
+    if (!normalizeRange(requiredVersion)) {
+      throw new Error(`Invalid version range: ${requiredVersion}`);
+    }
+    if (!satisfies(manifestVersion, requiredVersion)) {
+      throw new Error(`Version mismatch: required ${requiredVersion}, got ${manifestVersion}`);
     }
   }
 
@@ -665,7 +994,9 @@ class ManifestLoader {
         if (importItem.type === 'module' && importItem.path) {
           try {
             const moduleManifest = await this.loadManifest(importItem.path);
-            return moduleManifest.structure || moduleManifest.exports?.structure;
+            const structure = moduleManifest.structure || moduleManifest.exports?.structure;
+            // Same prop defaults and substitution as a module referenced from the structure
+            return structure && new ModuleProps(moduleManifest.props).apply(structure, slotConfig.props || {});
           } catch (error) {
             if (!importItem.optional) {
               throw error;
@@ -730,8 +1061,7 @@ class ManifestLoader {
    * Check if manifest version is supported
    */
   _isVersionSupported(version) {
-    const supportedVersions = ['1.0', '2.0'];
-    return supportedVersions.some(v => version.startsWith(v));
+    return satisfies(version, this.supportedVersions, { includePrerelease: true });
   }
 
   /**
@@ -782,6 +1112,33 @@ class ManifestLoader {
     this.loadingPromises.clear();
   }
 
+  /**
+   * Drop cached entries for a changed file and every manifest that depends on it
+   * through modules or template inheritance. Returns the affected sources.
+   */
+  invalidate(file) {
+    const source = this._sourceKey(file);
+    const affected = [source, ...this.resolver.getDependents(source)];
+
+    for (const [key, entry] of this.cache) {
+      if (affected.includes(entry.source)) {
+        this.cache.delete(key);
+      }
+    }
+
+    return affected;
+  }
+
+  /**
+   * Stable identity of a manifest: absolute path for local files, URL otherwise
+   */
+  _sourceKey(url) {
+    if (url.startsWith('http://') || url.startsWith('https://')) {
+      return url;
+    }
+    return path.resolve(typeof this.baseDir === 'string' ? this.baseDir : '.', url);
+  }
+
   /**
    * Get cache statistics
    */
@@ -811,6 +1168,33 @@ class DependencyResolver {
     this.dependencies.get(module).add(dependsOn);
   }
 
+  /**
+   * Forget the recorded dependencies of a module (before it is re-resolved)
+   */
+  removeDependencies(module) {
+    this.dependencies.delete(module);
+  }
+
+  /**
+   * Get every module that directly or transitively depends on the given one
+   */
+  getDependents(module) {
+    const dependents = new Set();
+    const queue = [module];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const [candidate, deps] of this.dependencies) {
+        if (deps.has(current) && !dependents.has(candidate) && candidate !== module) {
+          dependents.add(candidate);
+          queue.push(candidate);
+        }
+      }
+    }
+
+    return [...dependents];
+  }
+
   /**
    * Resolve dependencies using topological sort
    */
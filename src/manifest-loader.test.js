@@ -0,0 +1,94 @@
+/**
+ * ManifestLoader: template slots filled from module imports
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ManifestLoader } = require('./manifest-loader');
+const { ManifestToHTMLConverter } = require('./converters/format-converters');
+
+const HEADER = `
+manifest:
+  version: "2.0"
+props:
+  title: { type: string, default: "MyApp" }
+  links: { type: array, default: [{ text: Home, href: / }, { text: About, href: /about }] }
+structure:
+  header:
+    children:
+      - a: { href: "/", text: "{{ props.title }}" }
+      - a: { each: props.links as link, href: "{{ link.href }}", text: "{{ link.text }}" }
+`;
+
+describe('ManifestLoader template slots', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-loader-'));
+    await fs.writeFile(path.join(dir, 'header.yaml'), HEADER);
+  });
+
+  afterAll(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const page = (slot = {}) => ({
+    manifest: { version: '2.0' },
+    structure: { body: { children: [{ div: { id: 'header-slot' } }] } },
+    template_slots: { header: { element_id: 'header-slot', ...slot } },
+    imports: [{ type: 'module', path: 'header.yaml', slot: 'header' }]
+  });
+
+  const render = async manifest => {
+    const expanded = await new ManifestLoader({ baseDir: dir }).expandManifest(manifest, dir);
+    return new ManifestToHTMLConverter().convertToHTML(expanded).content;
+  };
+
+  test('applies the module prop defaults to slot imports', async () => {
+    const html = await render(page());
+    expect(html).toContain('<a href="/">MyApp</a>');
+    expect(html).toContain('<a href="/about">About</a>');
+    expect(html).not.toContain('{{');
+  });
+
+  test('passes the slot props to the module', async () => {
+    const html = await render(page({ props: { title: 'Docs', links: [] } }));
+    expect(html).toContain('<a href="/">Docs</a>');
+    expect(html).not.toContain('About');
+  });
+});
+
+describe('ManifestLoader data files', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-loader-'));
+    await fs.writeFile(path.join(dir, 'features.json'), JSON.stringify([{ name: 'Fast' }, { name: 'Safe' }]));
+    await fs.writeFile(path.join(dir, 'site.yaml'), 'team:\n  - Ada\n  - Linus\n');
+    await fs.writeFile(path.join(dir, 'page.yaml'), `
+manifest:
+  version: "2.0"
+data:
+  features: features.json
+  heading: Features
+structure:
+  ul:
+    children:
+      - li: { each: data.features as feature, text: "{{ feature.name }}" }
+`);
+  });
+
+  afterAll(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const loader = () => new ManifestLoader({ baseDir: dir });
+
+  test('loads data keys from files next to the manifest', async () => {
+    const manifest = await loader().loadManifest(path.join(dir, 'page.yaml'));
+    expect(manifest.data).toEqual({ features: [{ name: 'Fast' }, { name: 'Safe' }], heading: 'Features' });
+    expect(new ManifestToHTMLConverter().convertToHTML(manifest).content).toMatch(/<li>Fast<\/li>\s*<li>Safe<\/li>/);
+  });
+
+  test('loads a whole data section from one file', async () => {
+    const manifest = await loader().expandManifest({ manifest: { version: '2.0' }, data: 'site.yaml', structure: { div: {} } }, dir);
+    expect(manifest.data).toEqual({ team: ['Ada', 'Linus'] });
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Manifest Validator - JSON Schema validation for v2 manifests
+ * Reports every violation with a JSON pointer and, when the YAML source
+ * is available, the line/column of the offending node
+ */
+
+const Ajv = require('ajv');
+const { parseDocument, LineCounter, isMap, isSeq, isScalar } = require('yaml');
+const manifestSchema = require('./schema/manifest.schema.json');
+
+/**
+ * Error thrown when a manifest does not satisfy the schema
+ */
+class ManifestValidationError extends Error {
+  constructor(errors, file = null) {
+    const summary = errors.map(error => formatValidationError(error)).join('\n  ');
+    super(`Invalid manifest${file ? ` ${file}` : ''}:\n  ${summary}`);
+    this.name = 'ManifestValidationError';
+    this.errors = errors;
+    this.file = file;
+  }
+}
+
+class ManifestValidator {
+  constructor(options = {}) {
+    this.schema = options.schema || manifestSchema;
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    this._validate = this.ajv.compile(this.schema);
+  }
+
+  /**
+   * Validate a parsed manifest object
+   * Pass the original YAML text as `source` to get line/column information
+   */
+  validate(manifest, options = {}) {
+    const locate = options.source ? this._createLocator(options.source) : () => null;
+
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+      return {
+        valid: false,
+        errors: [{ path: '', keyword: 'type', message: 'manifest must be an object', ...locate([]) }]
+      };
+    }
+
+    if (this._validate(manifest)) {
+      return { valid: true, errors: [] };
+    }
+
+    const errors = this._simplifyErrors(this._validate.errors).map(error => {
+      const segments = this._pointerToSegments(error.instancePath);
+      if (error.keyword === 'additionalProperties') {
+        segments.push(error.params.additionalProperty);
+      }
+
+      return {
+        path: this._segmentsToPointer(segments),
+        keyword: error.keyword,
+        message: this._describeError(error),
+        ...locate(segments)
+      };
+    });
+
+    // Report in document order when positions are known
+    errors.sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+
+    return { valid: false, errors };
+  }
+
+  /**
+   * Parse and validate YAML text, reporting syntax errors with positions too
+   */
+  validateSource(source) {
+    const lineCounter = new LineCounter();
+    const doc = parseDocument(source, { lineCounter });
+
+    if (doc.errors.length > 0) {
+      return {
+        valid: false,
+        manifest: null,
+        errors: doc.errors.map(error => ({
+          path: '',
+          keyword: 'syntax',
+          message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''),
+          ...this._position(lineCounter, error.pos[0]),
+          endLine: this._position(lineCounter, error.pos[1]).line,
+          endColumn: this._position(lineCounter, error.pos[1]).column
+        }))
+      };
+    }
+
+    const manifest = doc.toJS();
+    return { ...this.validate(manifest, { source: { doc, lineCounter } }), manifest };
+  }
+
+  /**
+   * Position of a JSON pointer in YAML source: { line, column, endLine, endColumn } or {}
+   */
+  locate(source, pointer) {
+    return this._createLocator(source)(this._pointerToSegments(pointer));
+  }
+
+  /**
+   * Collapse the noise Ajv produces for oneOf/anyOf
+   * Every alternative in the schema is discriminated by type, so a type error
+   * at the same location as another error just means "the other branch applied"
+   */
+  _simplifyErrors(errors) {
+    const combinators = new Set(['oneOf', 'anyOf']);
+    let result = errors.filter(error => error.keyword !== 'if');
+
+    const combinatorPaths = [...new Set(result
+      .filter(error => combinators.has(error.keyword))
+      .map(error => error.instancePath))];
+
+    for (const instancePath of combinatorPaths) {
+      const isAtPath = error => error.instancePath === instancePath;
+      const isBelowPath = error => error.instancePath.startsWith(`${instancePath}/`);
+      const isNoise = error => isAtPath(error) && (combinators.has(error.keyword) || error.keyword === 'type');
+
+      const substantive = result.filter(error => (isAtPath(error) || isBelowPath(error)) && !isNoise(error));
+      const typeErrors = result.filter(error => isAtPath(error) && error.keyword === 'type');
+
+      result = result.filter(error => !isNoise(error));
+
+      if (substantive.length === 0 && typeErrors.length > 0) {
+        const types = [...new Set(typeErrors.flatMap(error => [].concat(error.params.type)))];
+        result.push({
+          instancePath,
+          keyword: 'type',
+          params: { type: types },
+          message: `must be ${types.join(' or ')}`
+        });
+      }
+    }
+
+    // Drop duplicates reported through different schema branches
+    const seen = new Set();
+    return result.filter(error => {
+      const key = `${error.instancePath}|${error.keyword}|${error.message}|${JSON.stringify(error.params)}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  _describeError(error) {
+    switch (error.keyword) {
+      case 'additionalProperties':
+        return `unknown property '${error.params.additionalProperty}'`;
+      case 'type':
+        return `must be ${[].concat(error.params.type).join(' or ')}`;
+      case 'enum':
+        return `must be one of: ${error.params.allowedValues.join(', ')}`;
+      default:
+        return error.message;
+    }
+  }
+
+  /**
+   * Build a function mapping path segments to a { line, column } position
+   */
+  _createLocator(source) {
+    let { doc, lineCounter } = source;
+    if (typeof source === 'string') {
+      lineCounter = new LineCounter();
+      doc = parseDocument(source, { lineCounter });
+    }
+
+    return (segments) => {
+      const range = this._findRange(doc, segments);
+      if (!range) return {};
+
+      const end = this._position(lineCounter, range[1]);
+      return { ...this._position(lineCounter, range[0]), endLine: end.line, endColumn: end.column };
+    };
+  }
+
+  /**
+   * Walk the YAML AST as far as the path exists and return the [start, end] source offsets
+   * Missing nodes (e.g. a required property) resolve to their closest parent
+   */
+  _findRange(doc, segments) {
+    let node = doc.contents;
+    let range = node && node.range ? node.range : null;
+
+    for (const segment of segments) {
+      if (isMap(node)) {
+        const pair = node.items.find(item => {
+          const key = isScalar(item.key) ? item.key.value : item.key;
+          return String(key) === segment;
+        });
+        if (!pair) break;
+
+        node = pair.value;
+        if (node && node.range) {
+          range = node.range;
+        } else if (pair.key && pair.key.range) {
+          range = pair.key.range;
+        }
+      } else if (isSeq(node)) {
+        const item = node.items[Number(segment)];
+        if (!item) break;
+
+        node = item;
+        if (node.range) range = node.range;
+      } else {
+        break;
+      }
+    }
+
+    return range ? [range[0], range[1]] : null;
+  }
+
+  _position(lineCounter, offset) {
+    const { line, col } = lineCounter.linePos(offset);
+    return { line, column: col };
+  }
+
+  _pointerToSegments(pointer) {
+    if (!pointer) return [];
+    return pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  _segmentsToPointer(segments) {
+    return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+  }
+}
+
+/**
+ * Format a validation error as "path: message (line:column)"
+ */
+function formatValidationError(error) {
+  const location = error.line ? ` (${error.line}:${error.column})` : '';
+  return `${error.path || '/'}: ${error.message}${location}`;
+}
+
+module.exports = { ManifestValidator, ManifestValidationError, formatValidationError };
@@ -0,0 +1,57 @@
+/**
+ * ManifestValidator: schema violations as JSON pointers with YAML positions
+ */
+
+const { ManifestValidator, ManifestValidationError, formatValidationError } = require('./manifest-validator');
+
+const SOURCE = `manifest:
+  version: "2.0"
+modules:
+  - name: header
+    version: 3
+structure:
+  div:
+    text: hi
+`;
+
+describe('ManifestValidator', () => {
+  const validator = new ManifestValidator();
+
+  test('accepts a minimal manifest', () => {
+    expect(validator.validate({ manifest: { version: '2.0' }, structure: { div: {} } })).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports each violation at its pointer and position, in document order', () => {
+    const { valid, errors } = validator.validateSource(SOURCE);
+    expect(valid).toBe(false);
+    expect(errors.map(error => [error.path, error.message, error.line, error.column])).toEqual([
+      ['/modules/0', "must have required property 'url'", 4, 5],
+      ['/modules/0', "must have required property 'alias'", 4, 5],
+      ['/modules/0/name', "unknown property 'name'", 4, 11],
+      ['/modules/0/version', 'must be string', 5, 14]
+    ]);
+  });
+
+  test('reports YAML syntax errors with their position', () => {
+    const { manifest, errors } = validator.validateSource('manifest:\n  version: [2\n');
+    expect(manifest).toBeNull();
+    expect(errors).toEqual([expect.objectContaining({ path: '', keyword: 'syntax', line: 3, column: 1 })]);
+  });
+
+  test('locates escaped pointers and falls back to the closest parent', () => {
+    const source = 'styles:\n  a/b:\n    color: red\n';
+    expect(validator.locate(source, '/styles/a~1b/color')).toMatchObject({ line: 3, column: 12 });
+    expect(validator.locate(source, '/styles/a~1b/missing')).toMatchObject({ line: 3, column: 5 });
+  });
+
+  test('rejects non-object manifests', () => {
+    expect(validator.validate([]).errors).toEqual([{ path: '', keyword: 'type', message: 'manifest must be an object' }]);
+  });
+
+  test('formats errors as pointer, message and position', () => {
+    const { errors } = validator.validateSource(SOURCE);
+    const error = new ManifestValidationError(errors, 'page.yaml');
+    expect(error.message).toContain('Invalid manifest page.yaml:');
+    expect(formatValidationError(errors[3])).toBe('/modules/0/version: must be string (5:14)');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Manifest Watcher - Watch manifest files and invalidate only what changed
+ * Uses the loader's module/extends dependency graph so editing a shared
+ * module, base template or data file refreshes every manifest built on top of it
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const chokidar = require('chokidar');
+
+class ManifestWatcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.manifestDir = path.resolve(options.manifestDir || './manifests');
+    this.loader = options.loader;
+    this.debounce = options.debounce ?? 50;
+    this.watcher = null;
+    this.pending = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Start watching; resolves once the initial scan is complete
+   */
+  start() {
+    this.watcher = chokidar.watch(this.manifestDir, {
+      ignoreInitial: true,
+      // Editors often write in several steps; wait for the file to settle
+      awaitWriteFinish: { stabilityThreshold: 50, pollInterval: 10 }
+    });
+
+    const onFile = file => {
+      // JSON/YAML data files are tracked too: manifests depend on them through `data`
+      if (/\.(ya?ml|json)$/.test(file)) this._queue(path.resolve(file));
+    };
+    this.watcher.on('add', onFile).on('change', onFile).on('unlink', onFile);
+    this.watcher.on('error', error => this.emit('error', error));
+
+    return new Promise(resolve => this.watcher.once('ready', resolve));
+  }
+
+  async stop() {
+    clearTimeout(this.timer);
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Name of a manifest as used in /api/preview/:name
+   */
+  manifestName(file) {
+    const relative = path.relative(this.manifestDir, file);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+    return relative.replace(/\.ya?ml$/, '').split(path.sep).join('/');
+  }
+
+  _queue(file) {
+    this.pending.add(file);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._flush(), this.debounce);
+  }
+
+  _flush() {
+    const files = [...this.pending];
+    this.pending.clear();
+
+    const affected = new Set();
+    for (const file of files) {
+      const sources = this.loader ? this.loader.invalidate(file) : [file];
+      sources.forEach(source => affected.add(source));
+    }
+
+    const manifests = [...affected]
+      .filter(source => /\.ya?ml$/.test(source))
+      .map(source => this.manifestName(source))
+      .filter(Boolean);
+    this.emit('change', { files, affected: [...affected], manifests });
+  }
+}
+
+module.exports = { ManifestWatcher };
@@ -0,0 +1,190 @@
+/**
+ * Module Props - Parameterize module structures with call-site props
+ * A module declares typed props with defaults in its `props` section and the
+ * element that uses it passes values:
+ *   header: { module: header, props: { title: "Docs" } }
+ * Values are checked against the declarations, then substituted into the
+ * module's {{ props.x }} expressions, `each: props.x as item` loops and
+ * `if: props.x` conditions while the module is expanded
+ */
+
+const { Interpolator } = require('./interpolation');
+
+const interpolator = new Interpolator();
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && !Number.isNaN(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  // Handlers are passed by name (e.g. onclick: "handleClick()")
+  function: value => typeof value === 'string'
+};
+
+class ModuleProps {
+  constructor(declarations = {}) {
+    this.declarations = declarations || {};
+    this.names = new Set(Object.keys(this.declarations));
+  }
+
+  /**
+   * Check call-site props against the declarations
+   * Returns [{ path, keyword, message }] with paths relative to the props object
+   */
+  validate(props = {}) {
+    const errors = [];
+
+    if (props === null || typeof props !== 'object' || Array.isArray(props)) {
+      return [{ path: '', keyword: 'type', message: 'props must be an object' }];
+    }
+
+    for (const name of Object.keys(props)) {
+      if (!this.names.has(name)) {
+        const known = [...this.names];
+        errors.push({
+          path: `/${name}`,
+          keyword: 'additionalProperties',
+          message: `unknown prop '${name}'${known.length > 0 ? ` (declared: ${known.join(', ')})` : ''}`
+        });
+      }
+    }
+
+    for (const [name, declaration] of Object.entries(this.declarations)) {
+      const value = props[name];
+
+      if (value === undefined || value === null) {
+        if (declaration && declaration.required && declaration.default === undefined) {
+          errors.push({ path: `/${name}`, keyword: 'required', message: `missing required prop '${name}'` });
+        }
+        continue;
+      }
+
+      const type = declaration && declaration.type;
+      if (TYPE_CHECKS[type] && !TYPE_CHECKS[type](value)) {
+        errors.push({ path: `/${name}`, keyword: 'type', message: `prop '${name}' must be ${type}` });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Call-site values over declared defaults
+   */
+  resolve(props = {}) {
+    const values = {};
+    for (const [name, declaration] of Object.entries(this.declarations)) {
+      values[name] = props[name] !== undefined ? props[name] : declaration && declaration.default;
+    }
+    return values;
+  }
+
+  /**
+   * Substitute prop values into a copy of the module structure
+   */
+  apply(structure, props = {}) {
+    const values = this.resolve(props);
+    // Declared props are reachable by bare name as well as through props.*
+    const scope = { ...values, props: values };
+    const isBound = path => path[0] === 'props' || this.names.has(path[0]);
+
+    return this._expandNode(structure, scope, isBound);
+  }
+
+  /**
+   * A node is text, a list of nodes, or a map of tag → element
+   * Maps keep their shape unless a loop or condition changed the number of elements
+   */
+  _expandNode(node, scope, isBound) {
+    if (typeof node === 'string') return interpolator.substitute(node, scope, isBound);
+    if (Array.isArray(node)) {
+      return node.flatMap(child => {
+        const expanded = this._expandNode(child, scope, isBound);
+        return this._isElementList(child, expanded) ? expanded : [expanded];
+      });
+    }
+    if (!node || typeof node !== 'object') return node;
+
+    const elements = [];
+    let reshaped = false;
+
+    for (const [tag, props] of Object.entries(node)) {
+      if (tag === 'text') {
+        elements.push({ text: interpolator.substitute(props, scope, isBound) });
+        continue;
+      }
+
+      const expanded = this._expandElement(tag, props, scope, isBound);
+      if (expanded.length !== 1) reshaped = true;
+      elements.push(...expanded);
+    }
+
+    return reshaped ? elements : Object.assign({}, ...elements);
+  }
+
+  /**
+   * Expand one element into zero or more elements, resolving directives on props
+   */
+  _expandElement(tag, props, scope, isBound) {
+    if (!props || typeof props !== 'object' || Array.isArray(props)) {
+      return [{ [tag]: this._substituteValue(props, scope, isBound) }];
+    }
+
+    const { each, if: condition, ...rest } = props;
+
+    if (each) {
+      const loop = interpolator.parseEach(each);
+      if (isBound(loop.collection.path)) {
+        const collection = interpolator.evaluate(loop.collection, scope);
+        const entries = Array.isArray(collection)
+          ? [...collection.entries()]
+          : Object.entries(collection && typeof collection === 'object' ? collection : {});
+        const itemBound = path => isBound(path) || path[0] === loop.item || path[0] === loop.index;
+        const element = condition ? { ...rest, if: condition } : rest;
+
+        return entries.flatMap(([index, item]) =>
+          this._expandElement(tag, element, { ...scope, [loop.item]: item, [loop.index]: index }, itemBound));
+      }
+    }
+
+    let keepCondition = condition;
+    if (condition) {
+      const parsed = interpolator.parseCondition(condition);
+      if (isBound(parsed.expression.path)) {
+        if (!interpolator.test(parsed, scope)) return [];
+        keepCondition = undefined;
+      }
+    }
+
+    const result = {};
+    if (each) result.each = each;
+    if (keepCondition) result.if = keepCondition;
+
+    for (const [key, value] of Object.entries(rest)) {
+      result[key] = key === 'children'
+        ? this._expandNode(value, scope, isBound)
+        : this._substituteValue(value, scope, isBound);
+    }
+
+    return [{ [tag]: result }];
+  }
+
+  _substituteValue(value, scope, isBound) {
+    if (typeof value === 'string') return interpolator.substitute(value, scope, isBound);
+    if (Array.isArray(value)) return value.map(item => this._substituteValue(item, scope, isBound));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._substituteValue(item, scope, isBound)]));
+    }
+    return value;
+  }
+
+  /**
+   * Did a map child of a list expand into several elements (to be spliced into the list)?
+   */
+  _isElementList(original, expanded) {
+    return Array.isArray(expanded) && original !== null && typeof original === 'object' && !Array.isArray(original);
+  }
+}
+
+module.exports = { ModuleProps };
@@ -0,0 +1,188 @@
+/**
+ * Manifest Packager - Versioned tarballs of module manifests for a registry
+ * A package holds the module manifest with every local file it reaches: its
+ * modules, extended templates, data files and imported assets. Files keep their
+ * layout relative to their common directory, so relative references still resolve.
+ *   package/manifest-package.json   name, version, main, exports, dependencies, file hashes
+ *   package/components/footer.yaml  main
+ * Remote and `registry:` modules are not bundled; they are listed as dependencies.
+ * Files are sorted and timestamps fixed, so packing the same inputs gives the same bytes.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const jsyaml = require('js-yaml');
+const tar = require('tar');
+const { ManifestLock } = require('./lockfile');
+const { MODULE_NAME, PACKAGE_METADATA, PACKAGE_PREFIX, isRegistryUrl, tarballName } = require('./registry');
+const { normalizeVersion, packageVersion } = require('./versions');
+
+const DATA_FILE = /\.(json|ya?ml)$/i;
+const EXTERNAL_URL = /^([a-z][a-z0-9+.-]*:|\/\/|#)/i;
+const ASSET_IMPORT_TYPES = ['css', 'style', 'js', 'script', 'font'];
+const MANIFEST_IMPORT_TYPES = ['module', 'template'];
+
+class ManifestPackager {
+  constructor(options = {}) {
+    // Optional ManifestLoader used to check that the module resolves before it is packed
+    this.loader = options.loader || null;
+  }
+
+  /**
+   * Write <name>-<version>.tgz for the module manifest at `entry` into outDir
+   * options.name overrides manifest.name
+   */
+  async pack(entry, outDir, options = {}) {
+    entry = path.resolve(entry);
+    const collected = await this.collect(entry);
+    const metadata = await this.metadata(entry, collected, options);
+
+    if (this.loader) {
+      await this.loader.loadManifest(entry);
+    }
+
+    const staging = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-pack-'));
+    try {
+      const packageDir = path.join(staging, PACKAGE_PREFIX);
+      for (const file of collected.files) {
+        const target = path.join(packageDir, path.relative(collected.root, file));
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.copyFile(file, target);
+      }
+      await fs.writeFile(path.join(packageDir, PACKAGE_METADATA), `${JSON.stringify(metadata, null, 2)}\n`, 'utf8');
+
+      await fs.mkdir(outDir, { recursive: true });
+      const file = path.resolve(outDir, tarballName(metadata.name, metadata.version));
+      const entries = [PACKAGE_METADATA, ...Object.keys(metadata.files)].map(name => `${PACKAGE_PREFIX}/${name}`);
+      await tar.c({ gzip: true, file, cwd: staging, portable: true, noDirRecurse: true, mtime: new Date(0) }, entries);
+
+      const integrity = ManifestLock.integrity(await fs.readFile(file));
+      return { file, integrity, ...metadata };
+    } finally {
+      await fs.rm(staging, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Local files reachable from a manifest, their common root, and its external module references
+   */
+  async collect(entry) {
+    const files = new Set();
+    const dependencies = {};
+    const queue = [path.resolve(entry)];
+
+    const addFile = async (file, from) => {
+      try {
+        await fs.access(file);
+      } catch (error) {
+        throw new Error(`${path.relative(process.cwd(), from)} references missing file ${file}`);
+      }
+      files.add(file);
+    };
+
+    while (queue.length > 0) {
+      const file = queue.shift();
+      if (files.has(file)) continue;
+      await addFile(file, file);
+
+      const manifest = jsyaml.load(await fs.readFile(file, 'utf8')) || {};
+      const dir = path.dirname(file);
+      const local = url => typeof url === 'string' && !EXTERNAL_URL.test(url) && !url.startsWith('/');
+      const resolve = url => path.resolve(dir, url.replace(/[?#].*$/, ''));
+
+      for (const module of manifest.modules || []) {
+        if (!module || typeof module.url !== 'string') continue;
+        if (isRegistryUrl(module.url) || !local(module.url)) {
+          dependencies[module.url] = module.version || 'latest';
+        } else {
+          queue.push(resolve(module.url));
+        }
+      }
+
+      const template = manifest.metadata?.extends;
+      if (local(template)) queue.push(resolve(template));
+
+      for (const dataFile of this._dataFiles(manifest.data)) {
+        if (local(dataFile)) await addFile(resolve(dataFile), file);
+      }
+
+      for (const item of this._imports(manifest.imports)) {
+        if (!local(item.url)) continue;
+        if (MANIFEST_IMPORT_TYPES.includes(item.type)) {
+          queue.push(resolve(item.url));
+        } else if (!item.type || ASSET_IMPORT_TYPES.includes(item.type)) {
+          await addFile(resolve(item.url), file);
+        }
+      }
+    }
+
+    const list = [...files].sort();
+    return { root: this._commonDir(list), files: list, dependencies };
+  }
+
+  /**
+   * Contents of manifest-package.json
+   */
+  async metadata(entry, collected, options = {}) {
+    const manifest = jsyaml.load(await fs.readFile(entry, 'utf8')) || {};
+    const info = manifest.manifest || {};
+
+    const name = options.name || info.name || path.basename(entry).replace(/\.ya?ml$/i, '');
+    if (!MODULE_NAME.test(name)) {
+      throw new Error(`Invalid package name '${name}': use letters, digits, '.', '_' or '-' (optionally @scope/name)`);
+    }
+    const version = normalizeVersion(packageVersion(manifest));
+    if (!version) {
+      throw new Error(`${path.basename(entry)} needs a manifest.package_version to be packed (got ${packageVersion(manifest) ?? 'none'})`);
+    }
+
+    const files = {};
+    for (const file of collected.files) {
+      files[this._packagePath(collected.root, file)] = ManifestLock.integrity(await fs.readFile(file));
+    }
+
+    return {
+      name,
+      version,
+      description: info.description || '',
+      main: this._packagePath(collected.root, entry),
+      exports: manifest.exports || {},
+      dependencies: collected.dependencies,
+      files
+    };
+  }
+
+  _dataFiles(data) {
+    if (typeof data === 'string') return [data];
+    if (!data || typeof data !== 'object') return [];
+    return Object.values(data).filter(value => typeof value === 'string' && DATA_FILE.test(value));
+  }
+
+  /**
+   * Imports in either shape, as { type, url }
+   */
+  _imports(imports) {
+    if (Array.isArray(imports)) {
+      return imports.map(item => typeof item === 'string' ? { url: item } : { type: item.type, url: item.url || item.path });
+    }
+    if (!imports || typeof imports !== 'object') return [];
+    return ['scripts', 'styles', 'fonts'].flatMap(type => (imports[type] || []).map(url => ({ url })));
+  }
+
+  _commonDir(files) {
+    const dirs = files.map(file => path.dirname(file).split(path.sep));
+    const common = dirs.reduce((prefix, parts) => {
+      let i = 0;
+      while (i < prefix.length && prefix[i] === parts[i]) i++;
+      return prefix.slice(0, i);
+    });
+    return common.join(path.sep) || path.sep;
+  }
+
+  _packagePath(root, file) {
+    return path.relative(root, file).split(path.sep).join('/');
+  }
+}
+
+module.exports = { ManifestPackager };
@@ -0,0 +1,314 @@
+/**
+ * Module Registry - Resolve `registry:` module URLs to published manifest versions
+ *   modules:
+ *     - url: "registry:footer@^2"          # or url: "registry:footer" with version: "^2"
+ *       alias: footer
+ * A registry is a local directory or an HTTP base URL with one index per module:
+ *   <registry>/footer/index.json  { "name": "footer", "versions": { "2.1.0": { "manifest": "2.1.0/footer.yaml" } } }
+ * Manifest paths are relative to the index. A local module without an index may
+ * instead keep one file per version (<registry>/footer/2.1.0.yaml).
+ * The highest version satisfying the range wins.
+ * Packages from `manifest pack` are published by unpacking them to
+ * <registry>/<name>/<version>/ next to the tarball and adding them to the index.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
+const { ManifestLock } = require('./lockfile');
+const { normalizeVersion, normalizeRange, maxSatisfying, compareVersions } = require('./versions');
+
+const REGISTRY_PROTOCOL = 'registry:';
+const MODULE_NAME = /^(@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*$/i;
+const PACKAGE_METADATA = 'manifest-package.json';
+const PACKAGE_PREFIX = 'package';
+
+/**
+ * Error thrown when a registry module cannot be resolved or published
+ * code: ENOTFOUND (no such module), EPUBLISHED (version exists) or EINVALID
+ */
+class RegistryError extends Error {
+  constructor(message, spec, code = 'EINVALID') {
+    super(message);
+    this.name = 'RegistryError';
+    this.spec = spec;
+    this.code = code;
+  }
+}
+
+function isRegistryUrl(url) {
+  return typeof url === 'string' && url.startsWith(REGISTRY_PROTOCOL);
+}
+
+/**
+ * Split `registry:name@range` (names may be scoped: `registry:@team/footer@~2.1`)
+ */
+function parseRegistrySpec(url) {
+  const spec = url.slice(REGISTRY_PROTOCOL.length);
+  const at = spec.indexOf('@', spec.startsWith('@') ? 1 : 0);
+  const name = at === -1 ? spec : spec.slice(0, at);
+  const range = at === -1 ? null : spec.slice(at + 1);
+
+  if (!MODULE_NAME.test(name)) {
+    throw new RegistryError(`Invalid registry module name '${name}' in ${url}`, url);
+  }
+  return { name, range };
+}
+
+/**
+ * File name npm would use: @team/header@2.1.0 → team-header-2.1.0.tgz
+ */
+function tarballName(name, version) {
+  return `${name.replace(/^@/, '').replace('/', '-')}-${version}.tgz`;
+}
+
+class ModuleRegistry {
+  /**
+   * root: local directory or http(s) base URL of the registry
+   */
+  constructor(options = {}) {
+    this.root = options.root || null;
+    // Bearer token sent when publishing to an HTTP registry
+    this.token = options.token || process.env.MANIFEST_REGISTRY_TOKEN || null;
+    this.indexes = new Map();
+  }
+
+  get remote() {
+    return /^https?:\/\//.test(this.root || '');
+  }
+
+  /**
+   * Pick the highest published version of `name` that satisfies `range`
+   * Resolves to { name, version, url } where url is a local path or http URL
+   */
+  async resolve(name, range) {
+    const spec = `${REGISTRY_PROTOCOL}${name}@${range || 'latest'}`;
+    if (!this.root) {
+      throw new RegistryError(`Cannot resolve ${spec}: no registry configured (--registry or MANIFEST_REGISTRY)`, spec);
+    }
+    if (!normalizeRange(range)) {
+      throw new RegistryError(`Invalid version range '${range}' for ${name}`, spec);
+    }
+
+    const index = await this.index(name);
+    const versions = Object.keys(index.versions);
+    const version = maxSatisfying(versions, range);
+    if (!version) {
+      const available = versions.filter(normalizeVersion).sort(compareVersions);
+      throw new RegistryError(
+        `No version of '${name}' in ${this.root} satisfies ${range || 'latest'} (available: ${available.join(', ') || 'none'})`,
+        spec
+      );
+    }
+
+    return { name, version, url: this._locate(index, index.versions[version].manifest) };
+  }
+
+  /**
+   * The module's index: { name, versions: { version: { manifest } } }
+   */
+  async index(name) {
+    if (!this.indexes.has(name)) {
+      // Cache the promise so concurrent module loads share one read
+      const pending = this._readIndex(name);
+      this.indexes.set(name, pending);
+      pending.catch(() => this.indexes.delete(name));
+    }
+    return this.indexes.get(name);
+  }
+
+  async _readIndex(name) {
+    const location = this.remote
+      ? `${this.root.replace(/\/+$/, '')}/${name}/index.json`
+      : path.resolve(this.root, name, 'index.json');
+
+    let text;
+    if (this.remote) {
+      const response = await fetch(location);
+      if (response.status === 404) {
+        throw new RegistryError(`Module '${name}' not found in registry ${this.root}`, name, 'ENOTFOUND');
+      }
+      if (!response.ok) {
+        throw new RegistryError(`Failed to load registry index ${location}: ${response.statusText}`, name);
+      }
+      text = await response.text();
+    } else {
+      try {
+        text = await fs.readFile(location, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return this._scanVersions(name);
+      }
+    }
+
+    let index;
+    try {
+      index = JSON.parse(text);
+    } catch (error) {
+      throw new RegistryError(`Invalid registry index ${location}: ${error.message}`, name);
+    }
+    if (!index || typeof index.versions !== 'object' || index.versions === null) {
+      throw new RegistryError(`Invalid registry index ${location}: missing "versions"`, name);
+    }
+    return { ...index, location };
+  }
+
+  /**
+   * Index for a local module kept as one <version>.yaml file per version
+   */
+  async _scanVersions(name) {
+    const dir = path.resolve(this.root, name);
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new RegistryError(`Module '${name}' not found in registry ${this.root}`, name, 'ENOTFOUND');
+    }
+
+    const versions = {};
+    for (const file of files) {
+      const version = file.replace(/\.ya?ml$/i, '');
+      if (version !== file && normalizeVersion(version)) {
+        versions[version] = { manifest: file };
+      }
+    }
+    return { name, versions, location: path.join(dir, 'index.json') };
+  }
+
+  /**
+   * Add a package tarball (a file path or Buffer) to the registry; resolves to its metadata
+   * options.force replaces an already published version; options.expect { name, version }
+   * rejects a package that is not the one announced
+   */
+  async publish(tarball, options = {}) {
+    if (!this.root) {
+      throw new RegistryError('Cannot publish: no registry configured (--registry or MANIFEST_REGISTRY)', null);
+    }
+
+    const content = Buffer.isBuffer(tarball) ? tarball : await fs.readFile(tarball);
+    const staging = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-publish-'));
+    try {
+      const file = path.join(staging, 'package.tgz');
+      await fs.writeFile(file, content);
+      const metadata = await this._extract(file, path.join(staging, PACKAGE_PREFIX));
+
+      const { expect } = options;
+      if (expect && (expect.name !== metadata.name || expect.version !== metadata.version)) {
+        throw new RegistryError(
+          `Package is ${metadata.name}@${metadata.version}, not ${expect.name}@${expect.version}`,
+          `${expect.name}@${expect.version}`
+        );
+      }
+
+      if (this.remote) {
+        await this._upload(metadata, content, options);
+      } else {
+        await this._store(metadata, path.join(staging, PACKAGE_PREFIX), content, options);
+      }
+      return metadata;
+    } finally {
+      await fs.rm(staging, { recursive: true, force: true });
+    }
+  }
+
+  async _extract(file, dir) {
+    await fs.mkdir(dir, { recursive: true });
+    try {
+      await tar.x({ file, cwd: dir, strip: 1 });
+    } catch (error) {
+      throw new RegistryError(`Invalid package tarball: ${error.message}`, null);
+    }
+
+    let metadata;
+    try {
+      metadata = JSON.parse(await fs.readFile(path.join(dir, PACKAGE_METADATA), 'utf8'));
+    } catch (error) {
+      throw new RegistryError(`Invalid package: missing or unreadable ${PACKAGE_METADATA}`, null);
+    }
+
+    const spec = `${metadata.name}@${metadata.version}`;
+    if (!MODULE_NAME.test(metadata.name || '') || !normalizeVersion(metadata.version) || typeof metadata.main !== 'string') {
+      throw new RegistryError(`Invalid package metadata for ${spec}: name, version and main are required`, spec);
+    }
+    return metadata;
+  }
+
+  async _store(metadata, packageDir, content, options) {
+    const { name, version } = metadata;
+    const moduleDir = path.resolve(this.root, name);
+
+    let index;
+    try {
+      index = await this._readIndex(name);
+    } catch (error) {
+      if (error.code !== 'ENOTFOUND') throw error;
+      index = { name, versions: {} };
+    }
+    if (index.versions[version] && !options.force) {
+      throw new RegistryError(`${name}@${version} is already published to ${this.root}`, `${name}@${version}`, 'EPUBLISHED');
+    }
+
+    const target = path.join(moduleDir, version);
+    await fs.rm(target, { recursive: true, force: true });
+    await fs.mkdir(moduleDir, { recursive: true });
+    await fs.cp(packageDir, target, { recursive: true });
+
+    const file = tarballName(name, version);
+    await fs.writeFile(path.join(moduleDir, file), content);
+
+    const versions = { ...index.versions };
+    versions[version] = {
+      manifest: `${version}/${metadata.main}`,
+      tarball: file,
+      integrity: ManifestLock.integrity(content),
+      dependencies: metadata.dependencies || {}
+    };
+    const sorted = {};
+    Object.keys(versions).filter(normalizeVersion).sort(compareVersions).forEach(key => { sorted[key] = versions[key]; });
+
+    const written = { ...index, name, versions: sorted };
+    delete written.location;
+    await fs.writeFile(path.join(moduleDir, 'index.json'), `${JSON.stringify(written, null, 2)}\n`, 'utf8');
+    this.indexes.delete(name);
+  }
+
+  /**
+   * PUT <root>/<name>/<version> with the tarball (see ManifestServer#publishPackage)
+   */
+  async _upload(metadata, content, options) {
+    const { name, version } = metadata;
+    const url = `${this.root.replace(/\/+$/, '')}/${name}/${version}${options.force ? '?force=1' : ''}`;
+    const headers = { 'Content-Type': 'application/gzip' };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+    const response = await fetch(url, { method: 'PUT', headers, body: content });
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new RegistryError(
+        `Publishing ${name}@${version} to ${this.root} failed: ${body.error || `${response.status} ${response.statusText}`}`,
+        `${name}@${version}`,
+        response.status === 409 ? 'EPUBLISHED' : 'EINVALID'
+      );
+    }
+    this.indexes.delete(name);
+  }
+
+  _locate(index, manifest) {
+    if (this.remote) return new URL(manifest, index.location).href;
+    return path.resolve(path.dirname(index.location), manifest);
+  }
+}
+
+module.exports = {
+  ModuleRegistry,
+  RegistryError,
+  REGISTRY_PROTOCOL,
+  MODULE_NAME,
+  PACKAGE_METADATA,
+  PACKAGE_PREFIX,
+  isRegistryUrl,
+  parseRegistrySpec,
+  tarballName
+};
@@ -0,0 +1,106 @@
+/**
+ * ModuleRegistry: `registry:` specs resolved against local and HTTP registries
+ */
+
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { ModuleRegistry, RegistryError, parseRegistrySpec, tarballName } = require('./registry');
+
+const INDEX = {
+  name: 'footer',
+  versions: {
+    '1.0.0': { manifest: '1.0.0/footer.yaml' },
+    '2.0.0': { manifest: '2.0.0/footer.yaml' },
+    '2.1.3': { manifest: '2.1.3/footer.yaml' },
+    '3.0.0-beta.1': { manifest: '3.0.0-beta.1/footer.yaml' }
+  }
+};
+
+describe('registry specs', () => {
+  test.each([
+    ['registry:footer@^2', { name: 'footer', range: '^2' }],
+    ['registry:footer', { name: 'footer', range: null }],
+    ['registry:@team/footer@~2.1', { name: '@team/footer', range: '~2.1' }]
+  ])('%s', (url, expected) => {
+    expect(parseRegistrySpec(url)).toEqual(expected);
+  });
+
+  test('rejects invalid names', () => {
+    expect(() => parseRegistrySpec('registry:../footer@1')).toThrow(RegistryError);
+  });
+
+  test('tarball names follow npm', () => {
+    expect(tarballName('@team/header', '2.1.0')).toBe('team-header-2.1.0.tgz');
+  });
+});
+
+describe('ModuleRegistry', () => {
+  let root;
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-'));
+    await fs.mkdir(path.join(root, 'footer'));
+    await fs.writeFile(path.join(root, 'footer', 'index.json'), JSON.stringify(INDEX));
+    // A module without an index: one file per version
+    await fs.mkdir(path.join(root, 'header'));
+    await Promise.all(['1.2.yaml', '1.10.yaml', 'notes.txt'].map(file => fs.writeFile(path.join(root, 'header', file), '')));
+  });
+
+  afterAll(() => fs.rm(root, { recursive: true, force: true }));
+
+  test.each([
+    ['^2', '2.1.3'],
+    ['~2.0', '2.0.0'],
+    ['>=1 <2', '1.0.0'],
+    ['1.x || 2.x', '2.1.3'],
+    [null, '2.1.3'],
+    ['^3.0.0-beta.0', '3.0.0-beta.1']
+  ])('resolves %s to %s', async (range, version) => {
+    const resolved = await new ModuleRegistry({ root }).resolve('footer', range);
+    expect(resolved).toEqual({ name: 'footer', version, url: path.join(root, 'footer', version, 'footer.yaml') });
+  });
+
+  test('lists the available versions when nothing satisfies the range', async () => {
+    await expect(new ModuleRegistry({ root }).resolve('footer', '^4'))
+      .rejects.toThrow('satisfies ^4 (available: 1.0.0, 2.0.0, 2.1.3, 3.0.0-beta.1)');
+  });
+
+  test('rejects invalid ranges and unknown modules', async () => {
+    const registry = new ModuleRegistry({ root });
+    await expect(registry.resolve('footer', 'not a range')).rejects.toThrow("Invalid version range 'not a range'");
+    await expect(registry.resolve('missing', '^1')).rejects.toMatchObject({ code: 'ENOTFOUND' });
+  });
+
+  test('resolves modules kept as one file per version', async () => {
+    const resolved = await new ModuleRegistry({ root }).resolve('header', '^1');
+    expect(resolved).toEqual({ name: 'header', version: '1.10', url: path.join(root, 'header', '1.10.yaml') });
+  });
+
+  test('resolves against an HTTP registry', async () => {
+    const server = http.createServer((req, res) => {
+      if (req.url !== '/registry/footer/index.json') {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(INDEX));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/registry/`;
+
+    try {
+      const registry = new ModuleRegistry({ root: base });
+      await expect(registry.resolve('footer', '~2.1')).resolves.toEqual({
+        name: 'footer',
+        version: '2.1.3',
+        url: `${base}footer/2.1.3/footer.yaml`
+      });
+      await expect(registry.resolve('missing', '^1')).rejects.toMatchObject({ code: 'ENOTFOUND' });
+    } finally {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,336 @@
+/**
+ * Site Builder - Static site generation from a tree of manifests
+ * A site manifest maps URLs to page manifests through `routes` and/or `pages`;
+ * every page is written as its own HTML file with clean URLs, module CSS is
+ * shared in one stylesheet, local imports are copied and internal links rewritten
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const jsyaml = require('js-yaml');
+const { ManifestLoader } = require('./manifest-loader');
+const { ManifestToHTMLConverter } = require('./converters/format-converters');
+const { StyleScope } = require('./style-scope');
+const { CssOptimizer } = require('./css-optimizer');
+
+const EXTERNAL_URL = /^([a-z][a-z0-9+.-]*:|\/\/|#)/i;
+const ASSET_IMPORT_TYPES = ['css', 'style', 'js', 'script', 'font'];
+
+class SiteBuilder {
+  constructor(options = {}) {
+    this.loader = options.loader || new ManifestLoader({ baseDir: process.cwd() });
+    this.converter = options.converter || new ManifestToHTMLConverter();
+    this.cleanUrls = options.cleanUrls !== false;
+    this.assetsDir = options.assetsDir || 'assets';
+    this.sharedStylesheet = options.sharedStylesheet || 'site.css';
+    // Overrides manifest.style_scope for every page
+    this.styleScope = options.styleScope || null;
+    // CssOptimizer options (or true): applied to every page and to the shared stylesheet
+    this.optimizer = CssOptimizer.from(options.optimize);
+    // Content-Security-Policy options (or true): every page gets a <meta> policy
+    this.csp = options.csp || null;
+  }
+
+  /**
+   * Build every page reachable from the site manifest into outDir
+   */
+  async build(siteFile, outDir) {
+    siteFile = path.resolve(siteFile);
+    outDir = path.resolve(outDir);
+    const siteRoot = path.dirname(siteFile);
+
+    const routes = await this.collectRoutes(siteFile);
+    if (routes.length === 0) {
+      throw new Error(`No pages found in ${siteFile}: add a 'routes' or 'pages' section`);
+    }
+
+    const site = {
+      root: siteRoot,
+      outDir,
+      routes,
+      byRoute: new Map(routes.map(page => [page.route, page])),
+      byFile: new Map(routes.map(page => [page.file, page])),
+      assets: new Map()
+    };
+
+    // Load everything first: shared CSS depends on all pages
+    const pages = [];
+    for (const page of routes) {
+      const raw = jsyaml.load(await fs.readFile(page.file, 'utf8'));
+      let manifest = await this.loader.expandManifest(raw, path.dirname(page.file));
+      // Pruned before the shared rules are counted, so site.css only holds used styles
+      if (this.optimizer) manifest = this.optimizer.prune(manifest);
+      pages.push({ ...page, manifest, rules: this._pageRules(manifest) });
+    }
+
+    const sharedRules = this._sharedRules(pages);
+    const sharedPath = sharedRules.length > 0 ? `${this.assetsDir}/${this.sharedStylesheet}` : null;
+    if (sharedPath) {
+      const css = sharedRules.join('\n\n');
+      await this._write(outDir, sharedPath, (this.optimizer ? this.optimizer.process(css) : css) + '\n');
+    }
+    const omitRules = new Set(sharedRules);
+
+    const written = [];
+    const styleMap = {};
+    for (const page of pages) {
+      const output = this.routeToOutput(page.route);
+      const manifest = {
+        ...page.manifest,
+        structure: this._rewriteLinks(page.manifest.structure, page, site),
+        imports: await this._processAssets(page.manifest.imports, page, site)
+      };
+
+      const { content, styleMap: pageStyleMap } = this.converter.convertToHTML(manifest, {
+        filename: path.posix.basename(output),
+        title: page.title,
+        stylesheets: sharedPath ? [this._relativeTo(output, sharedPath)] : [],
+        omitRules,
+        styleScope: this.styleScope,
+        optimize: this.optimizer,
+        csp: this.csp
+      });
+      Object.assign(styleMap, pageStyleMap);
+
+      await this._write(outDir, output, content);
+      written.push({ route: page.route, source: page.file, output });
+    }
+
+    const styleMapPath = Object.keys(styleMap).length > 0 ? `${this.assetsDir}/styles.map.json` : null;
+    if (styleMapPath) {
+      await this._write(outDir, styleMapPath, `${JSON.stringify(styleMap, null, 2)}\n`);
+    }
+
+    return {
+      pages: written,
+      assets: [...site.assets.values()],
+      sharedStylesheet: sharedPath,
+      styleMap: styleMapPath
+    };
+  }
+
+  /**
+   * Walk the manifest tree and return [{ route, file, title }]
+   * A route target that has its own routes/pages is mounted under that route
+   */
+  async collectRoutes(file, prefix = '/', visited = new Set()) {
+    file = path.resolve(file);
+    if (visited.has(file)) {
+      throw new Error(`Circular site routes: ${[...visited, file].join(' → ')}`);
+    }
+    visited = new Set([...visited, file]);
+
+    const manifest = jsyaml.load(await fs.readFile(file, 'utf8')) || {};
+    const result = [];
+
+    for (const entry of this._routeEntries(manifest)) {
+      const route = this.joinRoutes(prefix, entry.path);
+      const target = path.resolve(path.dirname(file), entry.manifest);
+      const targetManifest = jsyaml.load(await fs.readFile(target, 'utf8')) || {};
+
+      if (targetManifest.structure) {
+        result.push({ route, file: target, title: entry.title });
+      }
+      if (this._routeEntries(targetManifest).length > 0) {
+        result.push(...await this.collectRoutes(target, route, visited));
+      }
+    }
+
+    const seen = new Set();
+    for (const page of result) {
+      if (seen.has(page.route)) {
+        throw new Error(`Duplicate route ${page.route} in ${file}`);
+      }
+      seen.add(page.route);
+    }
+
+    return result;
+  }
+
+  /**
+   * Normalize the `routes` map and `pages` list into { path, manifest, title } entries
+   */
+  _routeEntries(manifest) {
+    const entries = [];
+
+    Object.entries(manifest.routes || {}).forEach(([route, target]) => {
+      entries.push(typeof target === 'string'
+        ? { path: route, manifest: target }
+        : { path: route, manifest: target.manifest, title: target.title });
+    });
+
+    (manifest.pages || []).forEach(page => {
+      entries.push({ path: page.path, manifest: page.manifest, title: page.title });
+    });
+
+    return entries;
+  }
+
+  joinRoutes(prefix, route) {
+    const joined = path.posix.join('/', prefix, route);
+    return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+  }
+
+  /**
+   * Output file for a route: /about → about/index.html (or about.html without clean URLs)
+   */
+  routeToOutput(route) {
+    if (route === '/') return 'index.html';
+
+    const name = route.replace(/^\//, '');
+    if (path.posix.extname(name) === '.html') return name;
+
+    return this.cleanUrls ? `${name}/index.html` : `${name}.html`;
+  }
+
+  /**
+   * URL of `target` (an output path) relative to the page written at `fromOutput`
+   */
+  _relativeTo(fromOutput, target) {
+    const relative = path.posix.relative(path.posix.dirname(fromOutput), target);
+    return relative || path.posix.basename(target);
+  }
+
+  _pageUrl(fromOutput, route) {
+    const target = this.routeToOutput(route);
+    let url = this._relativeTo(fromOutput, target);
+
+    if (this.cleanUrls && path.posix.basename(target) === 'index.html') {
+      url = url.replace(/index\.html$/, '') || './';
+    }
+    return url;
+  }
+
+  /**
+   * CSS rules of a page: its design tokens, stylesheet and own styles, and the styles of the modules it uses (keyed `alias.name`)
+   */
+  _pageRules(manifest) {
+    const scope = StyleScope.forManifest(manifest, { styleScope: this.styleScope });
+    const { before, after } = this.converter.generateGlobalRules(manifest);
+    const local = {};
+    const modules = {};
+    for (const [key, declarations] of Object.entries(manifest._mergedStyles || {})) {
+      (StyleScope.split(key).owner ? modules : local)[key] = declarations;
+    }
+
+    return {
+      local: [...before, ...this.converter.generateCSSRules(local, scope), ...after],
+      modules: this.converter.generateCSSRules(modules, scope)
+    };
+  }
+
+  /**
+   * Module CSS and any rule used by more than one page go to the shared stylesheet
+   */
+  _sharedRules(pages) {
+    const usage = new Map();
+    pages.forEach(page => {
+      new Set(page.rules.local).forEach(rule => usage.set(rule, (usage.get(rule) || 0) + 1));
+    });
+
+    const shared = new Set();
+    pages.forEach(page => {
+      page.rules.modules.forEach(rule => shared.add(rule));
+      page.rules.local.filter(rule => usage.get(rule) > 1).forEach(rule => shared.add(rule));
+    });
+
+    return [...shared];
+  }
+
+  /**
+   * Rewrite hrefs that point at a route or a page manifest to relative page URLs
+   */
+  _rewriteLinks(structure, page, site) {
+    const output = this.routeToOutput(page.route);
+
+    const rewrite = href => {
+      if (typeof href !== 'string' || EXTERNAL_URL.test(href)) return href;
+
+      const [, target, suffix = ''] = href.match(/^([^?#]*)(.*)$/);
+      let route = null;
+
+      if (/\.ya?ml$/.test(target)) {
+        const linked = site.byFile.get(path.resolve(path.dirname(page.file), target));
+        route = linked ? linked.route : null;
+      } else if (target.startsWith('/')) {
+        const normalized = this.joinRoutes('/', target);
+        route = site.byRoute.has(normalized) ? normalized : null;
+      }
+
+      return route ? this._pageUrl(output, route) + suffix : href;
+    };
+
+    const walk = node => {
+      if (Array.isArray(node)) return node.map(walk);
+      if (!node || typeof node !== 'object') return node;
+
+      const result = {};
+      for (const [key, value] of Object.entries(node)) {
+        result[key] = key === 'href' ? rewrite(value) : walk(value);
+      }
+      return result;
+    };
+
+    return walk(structure);
+  }
+
+  /**
+   * Name for a file outside the site root: its basename in a directory named after a hash of
+   * where it is, so ../a/logo.png and ../b/logo.png stay apart (and builds stay reproducible)
+   */
+  _externalAsset(relative) {
+    const dir = crypto.createHash('sha256').update(path.posix.dirname(relative)).digest('hex').slice(0, 8);
+    return `external/${dir}/${path.posix.basename(relative)}`;
+  }
+
+  /**
+   * Copy local files referenced in imports and point the imports at the copies
+   */
+  async _processAssets(imports, page, site) {
+    if (!imports) return imports;
+
+    const output = this.routeToOutput(page.route);
+    const copy = async url => {
+      if (typeof url !== 'string' || EXTERNAL_URL.test(url) || url.startsWith('/')) return url;
+
+      const source = path.resolve(path.dirname(page.file), url.replace(/[?#].*$/, ''));
+      if (!site.assets.has(source)) {
+        const relative = path.relative(site.root, source).split(path.sep).join('/');
+        const target = `${this.assetsDir}/${relative.startsWith('..') ? this._externalAsset(relative) : relative}`;
+
+        await fs.mkdir(path.dirname(path.join(site.outDir, target)), { recursive: true });
+        await fs.copyFile(source, path.join(site.outDir, target));
+        site.assets.set(source, target);
+      }
+      return this._relativeTo(output, site.assets.get(source));
+    };
+
+    if (Array.isArray(imports)) {
+      return Promise.all(imports.map(async item => {
+        if (typeof item === 'string') return copy(item);
+        // Template and module imports are manifests, not files to publish
+        if (!ASSET_IMPORT_TYPES.includes(item.type)) return item;
+        if (item.url) return { ...item, url: await copy(item.url) };
+        if (item.path) return { ...item, path: await copy(item.path) };
+        return item;
+      }));
+    }
+
+    const result = { ...imports };
+    for (const type of ['scripts', 'styles', 'fonts']) {
+      if (Array.isArray(imports[type])) {
+        result[type] = await Promise.all(imports[type].map(copy));
+      }
+    }
+    return result;
+  }
+
+  async _write(outDir, relativePath, content) {
+    const fullPath = path.join(outDir, relativePath);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, content, 'utf8');
+  }
+}
+
+module.exports = { SiteBuilder };
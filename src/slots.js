@@ -0,0 +1,119 @@
+/**
+ * Slots - Named content slots in module and template structures
+ * A module or template marks insertion points with `slot` nodes; their children
+ * are the fallback content:
+ *   - slot: { name: actions, children: [{ button: { text: "Sign in" } }] }
+ *   - slot: {}                     # the default slot
+ * Callers fill them inline, from the element that uses the module
+ *   header: { module: header, slots: { actions: [...] }, children: [...] }
+ * or from the `slots` section of a manifest that extends a template.
+ * Every slot node with the same name receives the content; a list is spliced in place
+ */
+
+const DEFAULT_SLOT = 'default';
+
+class Slots {
+  /**
+   * content: map of slot name → node or list of nodes
+   */
+  constructor(content = {}) {
+    this.content = content || {};
+  }
+
+  /**
+   * Name and fallback children of a slot node (`slot: name` is shorthand for `slot: { name }`)
+   */
+  static normalize(props) {
+    if (typeof props === 'string') return { name: props, children: null };
+    const { name, children = null } = props || {};
+    return { name: name || DEFAULT_SLOT, children };
+  }
+
+  /**
+   * Names of the slots declared in a structure, in document order
+   */
+  static names(structure) {
+    const names = new Set();
+
+    const walk = node => {
+      if (Array.isArray(node)) return node.forEach(walk);
+      if (!node || typeof node !== 'object') return;
+
+      for (const [tag, props] of Object.entries(node)) {
+        if (tag === 'slot') {
+          const slot = Slots.normalize(props);
+          names.add(slot.name);
+          walk(slot.children);
+        } else if (props && typeof props === 'object') {
+          walk(props.children);
+        }
+      }
+    };
+
+    walk(structure);
+    return [...names];
+  }
+
+  /**
+   * Slot names in `content` that the structure does not declare
+   */
+  unknown(structure) {
+    const declared = new Set(Slots.names(structure));
+    return Object.keys(this.content).filter(name => !declared.has(name));
+  }
+
+  /**
+   * Replace every slot node with its content, or its fallback children when unfilled
+   */
+  fill(structure) {
+    return this._fillNode(structure);
+  }
+
+  _fillNode(node) {
+    if (Array.isArray(node)) {
+      return node.flatMap(child => {
+        const filled = this._fillNode(child);
+        return child && typeof child === 'object' && !Array.isArray(child) && Array.isArray(filled) ? filled : [filled];
+      });
+    }
+    if (!node || typeof node !== 'object') return node;
+
+    const entries = Object.entries(node);
+    const nodes = [];
+    let reshaped = false;
+
+    for (const [tag, props] of entries) {
+      if (tag === 'slot') {
+        nodes.push(...this._slotNodes(Slots.normalize(props)));
+        reshaped = true;
+      } else if (props && typeof props === 'object' && props.children !== undefined) {
+        const { children, ...rest } = props;
+        const filled = this._fillNode(children);
+        // An element whose only child was an empty slot has no children left
+        nodes.push({ [tag]: Array.isArray(filled) && filled.length === 0 ? rest : { ...rest, children: filled } });
+      } else {
+        nodes.push({ [tag]: props });
+      }
+    }
+
+    // A slot can expand to any number of nodes, which a single-key map cannot hold
+    if (!reshaped) return Object.assign({}, ...nodes);
+    return nodes.length === 1 && entries.length === 1 ? nodes[0] : nodes;
+  }
+
+  _slotNodes(slot) {
+    const provided = this.content[slot.name];
+    if (provided !== undefined && provided !== null) {
+      // Caller content belongs to the caller: its own slot nodes are left for its caller
+      const copy = JSON.parse(JSON.stringify(provided));
+      return Array.isArray(copy) ? copy : [copy];
+    }
+    if (slot.children === undefined || slot.children === null) return [];
+
+    // Fallback content may contain slots of its own
+    const filled = this._fillNode(JSON.parse(JSON.stringify(slot.children)));
+    return Array.isArray(filled) ? filled : [filled];
+  }
+}
+
+module.exports = { Slots, DEFAULT_SLOT };
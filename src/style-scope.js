@@ -0,0 +1,145 @@
+/**
+ * Style Scope - Keep module styles from colliding with page and other module styles
+ * Module styles are merged into the page as `alias.name`, and the `style`
+ * references inside a module are qualified the same way when it is expanded,
+ * so every style key names the module that owns it. A StyleScope turns those
+ * keys into class names and CSS selectors for a scoping mode, set with
+ * `manifest.style_scope` or the converters' `styleScope` option:
+ *   none       header.container → .container (module and page styles can collide)
+ *   hash       header.container → .container-1f3a9c; page styles keep their names
+ *   attribute  header.container → .container[data-scope="header"], and the module's
+ *              elements get data-scope="header"; page rules skip module elements
+ *              (.container:not([data-scope]))
+ */
+
+const crypto = require('crypto');
+
+const SCOPE_MODES = ['none', 'hash', 'attribute'];
+const SCOPE_ATTRIBUTE = 'data-scope';
+
+class StyleScope {
+  /**
+   * styles: merged styles keyed by style name or `alias.name`
+   */
+  constructor(styles = {}, mode = 'none') {
+    if (!SCOPE_MODES.includes(mode)) {
+      throw new Error(`Unknown style scope '${mode}' (expected one of: ${SCOPE_MODES.join(', ')})`);
+    }
+    this.styles = styles || {};
+    this.mode = mode;
+  }
+
+  /**
+   * Scope for a loaded manifest; options.styleScope overrides manifest.style_scope
+   */
+  static forManifest(manifest, options = {}) {
+    return new StyleScope(manifest._mergedStyles, options.styleScope || manifest.manifest?.style_scope || 'none');
+  }
+
+  /**
+   * Prefix the style references in a module structure that name one of `names` with `owner.`
+   * Dynamic ({{ }}) styles and unknown class names are left alone
+   */
+  static qualify(structure, owner, names) {
+    const known = new Set(names);
+    if (known.size === 0) return structure;
+
+    const walk = node => {
+      if (Array.isArray(node)) return node.map(walk);
+      if (!node || typeof node !== 'object') return node;
+
+      const result = {};
+      for (const [tag, props] of Object.entries(node)) {
+        if (!props || typeof props !== 'object' || Array.isArray(props)) {
+          result[tag] = props;
+          continue;
+        }
+
+        const element = { ...props };
+        if (typeof element.style === 'string' && !element.style.includes('{{')) {
+          element.style = element.style.split(/\s+/).filter(Boolean)
+            .map(token => known.has(token) ? `${owner}.${token}` : token)
+            .join(' ');
+        }
+        // Includes the fallback content of slots, which belongs to the module too
+        if (element.children !== undefined) element.children = walk(element.children);
+        result[tag] = element;
+      }
+      return result;
+    };
+
+    return walk(structure);
+  }
+
+  /**
+   * Owning module path and local style name of a key: header.nav.link → { owner: 'header.nav', name: 'link' }
+   */
+  static split(key) {
+    const dot = key.lastIndexOf('.');
+    return dot === -1 ? { owner: null, name: key } : { owner: key.slice(0, dot), name: key.slice(dot + 1) };
+  }
+
+  /**
+   * Class attribute value for a static `style` value
+   */
+  className(style) {
+    return this._tokens(style).map(token => this.styles[token] !== undefined ? this._class(token) : token).join(' ');
+  }
+
+  /**
+   * Value of the data-scope attribute for a static `style` value, or null
+   */
+  scopeOf(style) {
+    if (this.mode !== 'attribute') return null;
+
+    const owned = this._tokens(style).find(token => this.styles[token] !== undefined && StyleScope.split(token).owner);
+    return owned ? this._scopeName(StyleScope.split(owned).owner) : null;
+  }
+
+  /**
+   * Attributes an element with this `style` renders: { class, data-scope? }
+   */
+  attributes(style) {
+    const scope = this.scopeOf(style);
+    return scope ? { class: this.className(style), [SCOPE_ATTRIBUTE]: scope } : { class: this.className(style) };
+  }
+
+  /**
+   * CSS selector for a style key
+   */
+  selector(key) {
+    const { owner, name } = StyleScope.split(key);
+
+    if (this.mode === 'attribute') {
+      return owner
+        ? `.${name}[${SCOPE_ATTRIBUTE}="${this._scopeName(owner)}"]`
+        : `.${name}:not([${SCOPE_ATTRIBUTE}])`;
+    }
+    return `.${this._class(key)}`;
+  }
+
+  /**
+   * Style key → selector, for debugging which rule a class came from
+   */
+  mapping() {
+    return Object.fromEntries(Object.keys(this.styles).map(key => [key, this.selector(key)]));
+  }
+
+  _class(key) {
+    const { owner, name } = StyleScope.split(key);
+    if (this.mode === 'hash' && owner) {
+      return `${name}-${crypto.createHash('sha256').update(key).digest('hex').slice(0, 6)}`;
+    }
+    return name;
+  }
+
+  _scopeName(owner) {
+    return owner.replace(/\./g, '-');
+  }
+
+  _tokens(style) {
+    return String(style).split(/\s+/).filter(Boolean);
+  }
+}
+
+module.exports = { StyleScope, SCOPE_MODES, SCOPE_ATTRIBUTE };
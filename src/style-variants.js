@@ -0,0 +1,107 @@
+/**
+ * Style Variants - State, responsive and color-scheme rules nested in a style
+ *   cta-button:
+ *     background: white
+ *     hover: { transform: "translateY(-2px)" }           # .cta-button:hover
+ *     focus-visible: { outline: "2px solid #667eea" }
+ *     "@media (max-width: 768px)":                       # wraps the rule in @media
+ *       padding: "0.75rem 1.5rem"
+ *       hover: { transform: none }                       # variants nest
+ *     dark: { background: "#1e293b" }                    # @media (prefers-color-scheme: dark)
+ *     "@container card (min-width: 400px)": { display: flex }
+ * A style is flattened into one block per variant: { selector, atRules, declarations }.
+ * The converters only differ in how they print declarations, see styleToCSS().
+ */
+
+const STATE_VARIANTS = {
+  hover: ':hover',
+  focus: ':focus',
+  'focus-visible': ':focus-visible',
+  'focus-within': ':focus-within',
+  active: ':active',
+  visited: ':visited',
+  disabled: ':disabled',
+  checked: ':checked'
+};
+const SCHEME_VARIANTS = {
+  dark: '@media (prefers-color-scheme: dark)',
+  light: '@media (prefers-color-scheme: light)'
+};
+const AT_RULE_VARIANT = /^@(media|container|supports)\b/;
+
+function isVariant(key) {
+  return key in STATE_VARIANTS || key in SCHEME_VARIANTS || AT_RULE_VARIANT.test(key);
+}
+
+/**
+ * Blocks of a resolved style: its own declarations first, then one per (nested) variant
+ */
+function flattenStyle(selector, style) {
+  const [base, ...variants] = collectBlocks(selector, style, []);
+  // Variants that only group other variants have nothing of their own to print
+  return [base, ...variants.filter(block => Object.keys(block.declarations).length > 0)];
+}
+
+function collectBlocks(selector, style, atRules) {
+  const declarations = {};
+  const nested = [];
+
+  for (const [key, value] of Object.entries(style || {})) {
+    if (value && typeof value === 'object') {
+      nested.push([key, value]);
+    } else {
+      declarations[key] = value;
+    }
+  }
+
+  const blocks = [{ selector, atRules, declarations }];
+  for (const [key, value] of nested) {
+    if (key in STATE_VARIANTS) {
+      blocks.push(...collectBlocks(`${selector}${STATE_VARIANTS[key]}`, value, atRules));
+    } else {
+      blocks.push(...collectBlocks(selector, value, [...atRules, SCHEME_VARIANTS[key] || key]));
+    }
+  }
+  return blocks;
+}
+
+/**
+ * CSS text of a style and its variants
+ * declaration(property, value) prints one declaration; compact drops whitespace
+ */
+function styleToCSS(selector, style, { declaration = (property, value) => `${property}: ${value}`, compact = false } = {}) {
+  return flattenStyle(selector, style).map(({ selector: blockSelector, atRules, declarations }) => {
+    const lines = Object.entries(declarations).map(([property, value]) => declaration(property, value));
+    let css = compact
+      ? `${blockSelector}{${lines.join(';')}}`
+      : `${blockSelector} {\n${lines.map(line => `  ${line};`).join('\n')}\n}`;
+
+    for (const atRule of [...atRules].reverse()) {
+      css = compact ? `${atRule}{${css}}` : `${atRule} {\n${css.replace(/^/gm, '  ')}\n}`;
+    }
+    return css;
+  }).join(compact ? '' : '\n');
+}
+
+/**
+ * Apply fn(value, property) to every declaration, keeping the variant structure
+ */
+function mapDeclarations(style, fn) {
+  return Object.fromEntries(Object.entries(style).map(([key, value]) =>
+    [key, value && typeof value === 'object' ? mapDeclarations(value, fn) : fn(value, key)]));
+}
+
+/**
+ * Merge a style over the one it extends; variants merge too instead of being replaced
+ */
+function mergeStyles(base, style) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(style)) {
+    merged[key] = value && typeof value === 'object' && merged[key] && typeof merged[key] === 'object'
+      ? mergeStyles(merged[key], value)
+      : value;
+  }
+  return merged;
+}
+
+module.exports = { STATE_VARIANTS, SCHEME_VARIANTS, isVariant, flattenStyle, styleToCSS, mapDeclarations, mergeStyles };
@@ -0,0 +1,156 @@
+/**
+ * Stylesheet - Global CSS that is not a style class
+ *   stylesheet:
+ *     font_faces:
+ *       - { font-family: Inter, src: "url(/fonts/inter.woff2) format('woff2')", font-display: swap }
+ *     global:                        # any selector, unscoped; variants work as in `styles`
+ *       "*": "box-sizing: border-box"
+ *       body: { margin: 0, font-family: "token(typography.family.body)" }
+ *     keyframes:
+ *       fadeInUp:
+ *         from: "opacity: 0; transform: translateY(30px)"
+ *         to: { opacity: 1, transform: none }
+ *     css: |                         # passed through as written
+ *       @supports (backdrop-filter: blur(4px)) { .glass { backdrop-filter: blur(4px); } }
+ * Font faces, global rules and keyframes come before the style classes, raw css after them.
+ * Every rule is parsed as CSS, so syntax errors are reported against the manifest path.
+ */
+
+const postcss = require('postcss');
+const { styleToCSS, mapDeclarations } = require('./style-variants');
+
+const KEYFRAME_NAME = /^-?[A-Za-z_][\w-]*$/;
+const KEYFRAME_STEP = /^(from|to|\d+(\.\d+)?%)$/;
+const FONT_FACE_REQUIRED = ['font-family', 'src'];
+
+class Stylesheet {
+  /**
+   * section: normalized `stylesheet` section (declaration strings already parsed, see ManifestLoader)
+   */
+  constructor(section = {}) {
+    section = section || {};
+    this.fontFaces = section.font_faces || [];
+    this.global = section.global || {};
+    this.keyframes = section.keyframes || {};
+    this.css = section.css || '';
+  }
+
+  static forManifest(manifest) {
+    return new Stylesheet(manifest._mergedStylesheet || manifest.stylesheet);
+  }
+
+  /**
+   * Combine sections; later ones win per selector and keyframe name, font faces and css are appended
+   */
+  static merge(...sections) {
+    const present = sections.filter(Boolean);
+    return {
+      font_faces: present.flatMap(section => section.font_faces || []),
+      global: Object.assign({}, ...present.map(section => section.global)),
+      keyframes: Object.assign({}, ...present.map(section => section.keyframes)),
+      css: present.map(section => section.css).filter(Boolean).join('\n')
+    };
+  }
+
+  /**
+   * Copy with fn(value) applied to every declaration value and the raw css
+   */
+  static map(section, fn) {
+    if (!section) return section;
+    return {
+      ...section,
+      font_faces: (section.font_faces || []).map(face => mapDeclarations(face, fn)),
+      global: mapDeclarations(section.global || {}, fn),
+      keyframes: mapDeclarations(section.keyframes || {}, fn),
+      css: section.css ? fn(section.css) : section.css
+    };
+  }
+
+  get empty() {
+    return this.fontFaces.length === 0 && Object.keys(this.global).length === 0 &&
+      Object.keys(this.keyframes).length === 0 && !this.css.trim();
+  }
+
+  /**
+   * Rules that go before the style classes: @font-face, global selectors, @keyframes
+   */
+  rules(options = {}) {
+    return this._entries(options).filter(entry => entry.path[0] !== 'css').map(entry => entry.css);
+  }
+
+  /**
+   * The raw css block, after the style classes
+   */
+  rawRules() {
+    return this.css.trim() ? [this.css.trim()] : [];
+  }
+
+  /**
+   * Problems as [{ path: ['keyframes', 'fadeIn'], message }], paths relative to the stylesheet section
+   */
+  validate() {
+    const errors = [];
+
+    this.fontFaces.forEach((face, index) => {
+      const missing = FONT_FACE_REQUIRED.filter(property => !face[property]);
+      if (missing.length > 0) {
+        errors.push({ path: ['font_faces', index], message: `@font-face needs ${missing.join(' and ')}` });
+      }
+    });
+
+    for (const [name, steps] of Object.entries(this.keyframes)) {
+      if (!KEYFRAME_NAME.test(name)) {
+        errors.push({ path: ['keyframes', name], message: `invalid @keyframes name '${name}'` });
+      }
+      for (const step of Object.keys(steps || {})) {
+        const invalid = step.split(',').map(part => part.trim()).filter(part => !KEYFRAME_STEP.test(part));
+        if (invalid.length > 0) {
+          errors.push({ path: ['keyframes', name, step], message: `invalid keyframe selector '${invalid.join(', ')}' (use from, to or a percentage)` });
+        }
+      }
+    }
+
+    for (const entry of this._entries()) {
+      try {
+        postcss.parse(entry.css);
+      } catch (error) {
+        if (error.name !== 'CssSyntaxError') throw error;
+        // Only the raw block was written as CSS, so its positions are the useful ones
+        const where = entry.path[0] === 'css' ? ` (line ${error.line}, column ${error.column} of the CSS)` : '';
+        errors.push({ path: entry.path, message: `CSS syntax error: ${error.reason}${where}` });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Every rule with the path of the entry it was generated from
+   */
+  _entries({ compact = false } = {}) {
+    const declaration = compact ? (property, value) => `${property}:${value}` : undefined;
+    const block = (selector, declarations) => styleToCSS(selector, declarations, { declaration, compact });
+    const entries = [];
+
+    this.fontFaces.forEach((face, index) => {
+      entries.push({ path: ['font_faces', index], css: block('@font-face', face) });
+    });
+    for (const [selector, style] of Object.entries(this.global)) {
+      entries.push({ path: ['global', selector], css: block(selector, style) });
+    }
+    for (const [name, steps] of Object.entries(this.keyframes)) {
+      const body = Object.entries(steps || {}).map(([step, declarations]) => block(step, declarations));
+      entries.push({
+        path: ['keyframes', name],
+        css: compact ? `@keyframes ${name}{${body.join('')}}` : `@keyframes ${name} {\n${body.join('\n').replace(/^/gm, '  ')}\n}`
+      });
+    }
+    if (this.css.trim()) {
+      entries.push({ path: ['css'], css: this.css.trim() });
+    }
+
+    return entries;
+  }
+}
+
+module.exports = { Stylesheet };
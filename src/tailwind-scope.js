@@ -0,0 +1,281 @@
+/**
+ * Tailwind Scope - Manifest styles as Tailwind utility classes
+ * A StyleScope for the converters' `tailwind` option: instead of naming a CSS rule,
+ * a style reference renders the utilities of its declarations on the element
+ *   hero: { padding: "5rem 2rem", text-align: center, hover: { opacity: 0.9 } }
+ *   → class="py-20 px-8 text-center hover:opacity-90"
+ * Declarations with an equivalent in the default theme become named utilities, the rest
+ * arbitrary values (max-w-[1200px], text-[#333], [transition:all_0.3s_ease]).
+ * Class names that are not manifest styles (Tailwind classes written in the manifest)
+ * are passed through untouched.
+ */
+
+const { StyleScope } = require('./style-scope');
+const { STATE_VARIANTS, mergeStyles } = require('./style-variants');
+
+const TAILWIND_CDN = 'https://cdn.tailwindcss.com';
+
+// Default theme scales, keyed by CSS value
+const SPACING = [0, 0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4, 5, 6, 7, 8, 9, 10, 11, 12, 14, 16, 20, 24, 28, 32, 36, 40, 44, 48, 52, 56, 60, 64, 72, 80, 96];
+const FONT_SIZES = {
+  '0.75rem': 'xs', '0.875rem': 'sm', '1rem': 'base', '1.125rem': 'lg', '1.25rem': 'xl', '1.5rem': '2xl',
+  '1.875rem': '3xl', '2.25rem': '4xl', '3rem': '5xl', '3.75rem': '6xl', '4.5rem': '7xl', '6rem': '8xl', '8rem': '9xl'
+};
+const RADII = {
+  0: 'none', '0.125rem': 'sm', '0.25rem': '', '0.375rem': 'md', '0.5rem': 'lg', '0.75rem': 'xl', '1rem': '2xl',
+  '1.5rem': '3xl', '9999px': 'full'
+};
+const MAX_WIDTHS = {
+  '20rem': 'xs', '24rem': 'sm', '28rem': 'md', '32rem': 'lg', '36rem': 'xl', '42rem': '2xl', '48rem': '3xl',
+  '56rem': '4xl', '64rem': '5xl', '72rem': '6xl', '80rem': '7xl', '100%': 'full', none: 'none', '65ch': 'prose'
+};
+const LEADING = { 1: 'none', 1.25: 'tight', 1.375: 'snug', 1.5: 'normal', 1.625: 'relaxed', 2: 'loose' };
+const FONT_WEIGHTS = {
+  100: 'thin', 200: 'extralight', 300: 'light', 400: 'normal', normal: 'normal', 500: 'medium',
+  600: 'semibold', 700: 'bold', bold: 'bold', 800: 'extrabold', 900: 'black'
+};
+const COLORS = {
+  white: 'white', '#fff': 'white', '#ffffff': 'white', black: 'black', '#000': 'black', '#000000': 'black',
+  transparent: 'transparent', currentcolor: 'current', inherit: 'inherit'
+};
+const SIZES = { '100%': 'full', 'fit-content': 'fit', 'min-content': 'min', 'max-content': 'max' };
+const FRACTIONS = { '100%': 'full', '50%': '1/2', '25%': '1/4', '75%': '3/4' };
+const BREAKPOINTS = { '640px': 'sm', '768px': 'md', '1024px': 'lg', '1280px': 'xl', '1536px': '2xl' };
+
+// Properties whose keyword values have a utility
+const KEYWORDS = {
+  display: { ...same('block', 'inline-block', 'inline', 'flex', 'inline-flex', 'grid', 'inline-grid', 'contents', 'table'), none: 'hidden' },
+  position: same('static', 'fixed', 'absolute', 'relative', 'sticky'),
+  'flex-direction': { row: 'flex-row', 'row-reverse': 'flex-row-reverse', column: 'flex-col', 'column-reverse': 'flex-col-reverse' },
+  'flex-wrap': { wrap: 'flex-wrap', 'wrap-reverse': 'flex-wrap-reverse', nowrap: 'flex-nowrap' },
+  flex: { 1: 'flex-1', '1 1 0%': 'flex-1', auto: 'flex-auto', '1 1 auto': 'flex-auto', none: 'flex-none', '0 1 auto': 'flex-initial' },
+  'flex-grow': { 0: 'grow-0', 1: 'grow' },
+  'flex-shrink': { 0: 'shrink-0', 1: 'shrink' },
+  'align-items': { ...prefixed('items-', 'center', 'baseline', 'stretch', 'start', 'end'), 'flex-start': 'items-start', 'flex-end': 'items-end' },
+  'align-self': { ...prefixed('self-', 'auto', 'center', 'baseline', 'stretch', 'start', 'end'), 'flex-start': 'self-start', 'flex-end': 'self-end' },
+  'justify-content': {
+    ...prefixed('justify-', 'center', 'start', 'end'), 'flex-start': 'justify-start', 'flex-end': 'justify-end',
+    'space-between': 'justify-between', 'space-around': 'justify-around', 'space-evenly': 'justify-evenly'
+  },
+  'text-align': prefixed('text-', 'left', 'center', 'right', 'justify', 'start', 'end'),
+  'font-style': { italic: 'italic', normal: 'not-italic' },
+  'text-decoration': { none: 'no-underline', underline: 'underline', 'line-through': 'line-through' },
+  'text-transform': { ...same('uppercase', 'lowercase', 'capitalize'), none: 'normal-case' },
+  'white-space': prefixed('whitespace-', 'normal', 'nowrap', 'pre', 'pre-line', 'pre-wrap'),
+  'list-style': { none: 'list-none' },
+  'list-style-type': prefixed('list-', 'none', 'disc', 'decimal'),
+  overflow: prefixed('overflow-', 'auto', 'hidden', 'clip', 'visible', 'scroll'),
+  'overflow-x': prefixed('overflow-x-', 'auto', 'hidden', 'clip', 'visible', 'scroll'),
+  'overflow-y': prefixed('overflow-y-', 'auto', 'hidden', 'clip', 'visible', 'scroll'),
+  cursor: prefixed('cursor-', 'auto', 'default', 'pointer', 'wait', 'text', 'move', 'not-allowed', 'grab'),
+  'box-sizing': { 'border-box': 'box-border', 'content-box': 'box-content' },
+  'pointer-events': prefixed('pointer-events-', 'none', 'auto'),
+  'user-select': prefixed('select-', 'none', 'text', 'all', 'auto'),
+  visibility: { visible: 'visible', hidden: 'invisible' },
+  'object-fit': prefixed('object-', 'contain', 'cover', 'fill', 'none', 'scale-down'),
+  'border-style': prefixed('border-', 'solid', 'dashed', 'dotted', 'double', 'none'),
+  border: { none: 'border-none', 0: 'border-0' },
+  'box-shadow': { none: 'shadow-none' },
+  outline: { none: 'outline-none' }
+};
+
+// Properties on the spacing scale (n × 0.25rem), with their utility prefix
+const SPACED = {
+  padding: 'p', 'padding-top': 'pt', 'padding-right': 'pr', 'padding-bottom': 'pb', 'padding-left': 'pl',
+  margin: 'm', 'margin-top': 'mt', 'margin-right': 'mr', 'margin-bottom': 'mb', 'margin-left': 'ml',
+  gap: 'gap', 'row-gap': 'gap-y', 'column-gap': 'gap-x',
+  top: 'top', right: 'right', bottom: 'bottom', left: 'left', inset: 'inset',
+  width: 'w', height: 'h', 'min-width': 'min-w', 'min-height': 'min-h', 'max-height': 'max-h'
+};
+// Box shorthands: 1 to 4 values → sides
+const BOX_SIDES = {
+  padding: [['p'], ['py', 'px'], ['pt', 'px', 'pb'], ['pt', 'pr', 'pb', 'pl']],
+  margin: [['m'], ['my', 'mx'], ['mt', 'mx', 'mb'], ['mt', 'mr', 'mb', 'ml']]
+};
+const COLORED = { color: 'text', 'background-color': 'bg', 'border-color': 'border', fill: 'fill', stroke: 'stroke' };
+
+function same(...values) {
+  return Object.fromEntries(values.map(value => [value, value]));
+}
+
+function prefixed(prefix, ...values) {
+  return Object.fromEntries(values.map(value => [value, `${prefix}${value}`]));
+}
+
+class TailwindScope extends StyleScope {
+  constructor(styles = {}) {
+    super(styles);
+    // Not a scoping mode of StyleScope: the style map lists utilities instead of selectors
+    this.mode = 'tailwind';
+  }
+
+  /**
+   * Class attribute value for a static `style` value: the utilities of its manifest styles
+   * (merged in stylesheet order, as the cascade would), followed by any other class names
+   */
+  className(style) {
+    const tokens = this._tokens(style);
+    const known = Object.keys(this.styles).filter(key => tokens.includes(key));
+    const merged = known.reduce((result, key) => mergeStyles(result, this.styles[key]), {});
+    const passThrough = tokens.filter(token => this.styles[token] === undefined);
+
+    return [...this.utilities(merged), ...passThrough].join(' ');
+  }
+
+  scopeOf() {
+    return null;
+  }
+
+  /**
+   * Style key → utility classes
+   */
+  mapping() {
+    return Object.fromEntries(Object.entries(this.styles).map(([key, style]) => [key, this.utilities(style).join(' ')]));
+  }
+
+  /**
+   * Utility classes of a resolved style and its variants
+   */
+  utilities(style, variants = '') {
+    const classes = [];
+
+    for (const [key, value] of Object.entries(style || {})) {
+      if (value && typeof value === 'object') {
+        classes.push(...this.utilities(value, `${variants}${this._variant(key)}:`));
+      } else {
+        classes.push(...this._declaration(key, String(value)).map(utility => `${variants}${utility}`));
+      }
+    }
+    return classes;
+  }
+
+  _variant(key) {
+    if (key in STATE_VARIANTS) return key;
+    if (key === 'dark') return 'dark';
+    if (key === 'light') return '[@media(prefers-color-scheme:light)]';
+
+    const minWidth = key.match(/^@media\s*\(\s*min-width:\s*(\d+px)\s*\)$/);
+    if (minWidth && BREAKPOINTS[minWidth[1]]) return BREAKPOINTS[minWidth[1]];
+    return `[${arbitrary(key)}]`;
+  }
+
+  /**
+   * Utilities for one declaration; `!important` becomes the ! modifier
+   */
+  _declaration(property, value) {
+    const important = /\s*!important$/.test(value);
+    const plain = value.replace(/\s*!important$/, '').trim();
+    return this._utilities(property, plain).map(utility => important ? `!${utility}` : utility);
+  }
+
+  _utilities(property, value) {
+    const keyword = KEYWORDS[property]?.[value];
+    if (keyword) return [keyword];
+
+    if (BOX_SIDES[property]) {
+      const parts = splitValue(value);
+      if (parts.length > 1 && parts.length <= 4) {
+        return BOX_SIDES[property][parts.length - 1].map((prefix, index) => this._spaced(prefix, parts[index]));
+      }
+    }
+    if (SPACED[property]) return [this._spaced(SPACED[property], value)];
+
+    if (COLORED[property]) return [this._color(COLORED[property], value)];
+    if (property === 'background') {
+      // A single color or image (such as a gradient) has a utility, other shorthands do not
+      if (splitValue(value).length > 1) return [`[background:${arbitrary(value)}]`];
+      return [/^(url|(repeating-)?(linear|radial|conic)-gradient)\(/.test(value) ? `bg-[${arbitrary(value)}]` : this._color('bg', value)];
+    }
+
+    switch (property) {
+      case 'font-size':
+        return [FONT_SIZES[value] ? `text-${FONT_SIZES[value]}` : `text-[${value.startsWith('var(') ? 'length:' : ''}${arbitrary(value)}]`];
+      case 'font-weight':
+        return [FONT_WEIGHTS[value] ? `font-${FONT_WEIGHTS[value]}` : `font-[${arbitrary(value)}]`];
+      case 'line-height':
+        return [LEADING[value] ? `leading-${LEADING[value]}` : `leading-[${arbitrary(value)}]`];
+      case 'border-radius':
+        return [value in RADII ? ['rounded', RADII[value]].filter(Boolean).join('-') : `rounded-[${arbitrary(value)}]`];
+      case 'max-width':
+        return [MAX_WIDTHS[value] ? `max-w-${MAX_WIDTHS[value]}` : `max-w-[${arbitrary(value)}]`];
+      case 'opacity': {
+        const percent = Math.round(Number(value) * 100);
+        return [value !== '' && percent % 5 === 0 && percent >= 0 && percent <= 100 ? `opacity-${percent}` : `opacity-[${arbitrary(value)}]`];
+      }
+      case 'z-index':
+        return [['0', '10', '20', '30', '40', '50', 'auto'].includes(value) ? `z-${value}` : `z-[${arbitrary(value)}]`];
+      case 'border-width':
+        return [{ 0: 'border-0', '1px': 'border', '2px': 'border-2', '4px': 'border-4', '8px': 'border-8' }[value] || `border-[length:${arbitrary(value)}]`];
+      case 'box-shadow':
+        return [`shadow-[${arbitrary(value)}]`];
+      case 'grid-template-columns': {
+        const columns = value.match(/^repeat\((\d+),\s*minmax\(0,\s*1fr\)\)$/);
+        return [columns && Number(columns[1]) <= 12 ? `grid-cols-${columns[1]}` : `grid-cols-[${arbitrary(value)}]`];
+      }
+      default:
+        return [`[${property}:${arbitrary(value)}]`];
+    }
+  }
+
+  /**
+   * Spacing-scale utility: 1rem → 4, 4px → 1, 1px → px, keywords and fractions for sizes
+   */
+  _spaced(prefix, value) {
+    const positioned = /^(top|right|bottom|left|inset)$/.test(prefix);
+    const sized = /^(w|h|min-w|min-h|max-h)$/.test(prefix);
+    const negative = value.startsWith('-') && (positioned || /^m[trblxy]?$/.test(prefix));
+    const magnitude = negative ? value.slice(1) : value;
+    const sign = negative ? '-' : '';
+
+    if (magnitude === '0') return `${sign}${prefix}-0`;
+    if (magnitude === '1px') return `${sign}${prefix}-px`;
+    if (magnitude === 'auto' && !/^(p|gap)/.test(prefix)) return `${prefix}-auto`;
+    if (sized && SIZES[magnitude]) return `${prefix}-${SIZES[magnitude]}`;
+    if ((positioned || /^(w|h)$/.test(prefix)) && FRACTIONS[magnitude]) return `${sign}${prefix}-${FRACTIONS[magnitude]}`;
+    if (magnitude === '100vw' && prefix === 'w') return 'w-screen';
+    if (magnitude === '100vh' && /^(min-h|h|max-h)$/.test(prefix)) return `${prefix}-screen`;
+
+    const number = magnitude.match(/^(\d*\.?\d+)(rem|px)$/);
+    if (number) {
+      const step = number[2] === 'rem' ? Number(number[1]) * 4 : Number(number[1]) / 4;
+      if (SPACING.includes(step)) return `${sign}${prefix}-${step}`;
+    }
+    return `${prefix}-[${arbitrary(value)}]`;
+  }
+
+  _color(prefix, value) {
+    const named = COLORS[value.toLowerCase()];
+    return named ? `${prefix}-${named}` : `${prefix}-[${arbitrary(value)}]`;
+  }
+}
+
+/**
+ * Space-separated parts of a CSS value, keeping functions such as rgba(0, 0, 0, 0.1) whole
+ */
+function splitValue(value) {
+  const parts = [''];
+  let depth = 0;
+  for (const char of value.trim()) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (/\s/.test(char) && depth === 0) {
+      if (parts[parts.length - 1]) parts.push('');
+    } else {
+      parts[parts.length - 1] += char;
+    }
+  }
+  return parts.filter(Boolean);
+}
+
+/**
+ * Value inside [...]: spaces become underscores (literal ones are escaped), double quotes single
+ */
+function arbitrary(value) {
+  return value.trim()
+    .replace(/_/g, '\\_')
+    .replace(/"/g, '\'')
+    .replace(/\s*,\s*/g, ',')
+    .replace(/\s+/g, '_');
+}
+
+module.exports = { TailwindScope, TAILWIND_CDN };
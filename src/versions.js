@@ -0,0 +1,71 @@
+/**
+ * Versions - semver ranges for manifest and module versions
+ * Manifests often shorten versions ("2.0"); they are padded to full semver
+ * ("2.0.0") before ranges such as ^2, ~2.1, >=1.2 <3 or 1.x || 2.x are applied.
+ * Prereleases only match ranges that name a prerelease of the same version,
+ * as in npm.
+ * A manifest has two versions: `manifest.version` is the format it is written in
+ * (checked by the loader), `manifest.package_version` the release of its content
+ * that module ranges and the registry match.
+ */
+
+const semver = require('semver');
+
+/**
+ * Full semver for a possibly shortened version, or null if it is not one
+ */
+function normalizeVersion(version) {
+  const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?([-+].*)?$/.exec(String(version ?? '').trim());
+  if (!match) return null;
+  const [, major, minor = '0', patch = '0', rest = ''] = match;
+  return semver.valid(`${major}.${minor}.${patch}${rest}`);
+}
+
+/**
+ * Parsed range, or null if it is not valid; 'latest' and '' mean any release
+ */
+function normalizeRange(range) {
+  if (range === undefined || range === null || range === '' || range === 'latest') return '*';
+  return semver.validRange(String(range));
+}
+
+/**
+ * options.includePrerelease lets any prerelease inside the range match
+ */
+function satisfies(version, range, options = {}) {
+  const normalized = normalizeVersion(version);
+  const parsed = normalizeRange(range);
+  return Boolean(normalized && parsed && semver.satisfies(normalized, parsed, options));
+}
+
+/**
+ * Highest of `versions` that satisfies `range`, in its original spelling
+ */
+function maxSatisfying(versions, range) {
+  const parsed = normalizeRange(range);
+  if (!parsed) return null;
+
+  let best = null;
+  for (const version of versions) {
+    const normalized = normalizeVersion(version);
+    if (normalized && semver.satisfies(normalized, parsed) && (!best || semver.gt(normalized, best.normalized))) {
+      best = { version, normalized };
+    }
+  }
+  return best ? best.version : null;
+}
+
+function compareVersions(a, b) {
+  return semver.compare(normalizeVersion(a), normalizeVersion(b));
+}
+
+/**
+ * Release version of a loaded manifest; manifests without package_version fall back to
+ * manifest.version, which modules used for both before the two were separated
+ */
+function packageVersion(manifest) {
+  const info = manifest?.manifest || {};
+  return info.package_version || info.version || null;
+}
+
+module.exports = { normalizeVersion, packageVersion, normalizeRange, satisfies, maxSatisfying, compareVersions };
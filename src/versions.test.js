@@ -0,0 +1,59 @@
+/**
+ * Versions: shortened versions and semver ranges
+ */
+
+const { normalizeVersion, normalizeRange, satisfies, maxSatisfying, compareVersions, packageVersion } = require('./versions');
+
+describe('versions', () => {
+  test.each([
+    ['2', '2.0.0'],
+    ['v2.1', '2.1.0'],
+    ['2.0-beta.1', '2.0.0-beta.1'],
+    ['1.2.3+build.5', '1.2.3'],
+    ['latest', null]
+  ])('normalizeVersion(%s) → %s', (version, expected) => {
+    expect(normalizeVersion(version)).toBe(expected);
+  });
+
+  test.each([
+    ['2.0', '^2', true],
+    ['3.0', '^2', false],
+    ['2.1.5', '~2.1', true],
+    ['2.2.0', '~2.1', false],
+    ['2.9', '>=1.2 <3', true],
+    ['3.0', '>=1.2 <3', false],
+    ['1.4', '1.x || 2.x', true],
+    ['1.0', 'latest', true],
+    ['2.1.0-beta.1', '^2.0', false],
+    ['2.1.0-beta.1', '^2.1.0-beta.0', true],
+    ['2.0', 'not a range', false]
+  ])('satisfies(%s, %s) → %s', (version, range, expected) => {
+    expect(satisfies(version, range)).toBe(expected);
+  });
+
+  test('prereleases match any range with includePrerelease', () => {
+    expect(satisfies('2.1.0-beta.1', '^2', { includePrerelease: true })).toBe(true);
+  });
+
+  test('maxSatisfying keeps the spelling of the winning version', () => {
+    expect(maxSatisfying(['1.0', '2.0', '2.3', '3.0-rc.1', '3.0'], '^2')).toBe('2.3');
+    expect(maxSatisfying(['1.0', '2'], 'latest')).toBe('2');
+    expect(maxSatisfying(['1.0'], '^2')).toBeNull();
+    expect(maxSatisfying(['1.0'], 'not a range')).toBeNull();
+  });
+
+  test('compares shortened versions', () => {
+    expect(['2.1', '1', '2.0.1', '2.1-rc.1'].sort(compareVersions)).toEqual(['1', '2.0.1', '2.1-rc.1', '2.1']);
+  });
+
+  test('empty ranges and latest mean any release', () => {
+    expect(normalizeRange(undefined)).toBe('*');
+    expect(normalizeRange('latest')).toBe('*');
+  });
+
+  test('packageVersion prefers package_version over the format version', () => {
+    expect(packageVersion({ manifest: { version: '2.0', package_version: '1.4.0' } })).toBe('1.4.0');
+    expect(packageVersion({ manifest: { version: '2.0' } })).toBe('2.0');
+    expect(packageVersion({})).toBeNull();
+  });
+});